@@ -1,6 +1,7 @@
 // Netlify Background Function for Story Generation
 // Runs up to 15 minutes - perfect for generating all images in parallel
 // Note: For true production, use Redis or Supabase for job storage
+import { buildArtStyleRules } from '../../src/services/artStyles.js';
 
 const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
 
@@ -250,7 +251,8 @@ async function generateSingleImage(apiKey, imagePrompt, pageNumber, childPhoto,
         }
     }
 
-    enhancedPrompt += `\n\nStyle: Vibrant, colorful, whimsical, professional children's book illustration.
+    // Same style block as the in-browser providers, so background-drawn books match
+    enhancedPrompt += `\n\n${buildArtStyleRules(storyContext?.artStyle)}
 Quality: High quality, detailed, suitable for ages 4-8.
 Page: ${pageNumber}`;
 
@@ -20,7 +20,7 @@ exports.handler = async (event) => {
             console.error('GOOGLE_API_KEY not configured');
             return {
                 statusCode: 500,
-                body: JSON.stringify({ error: 'API key not configured' })
+                body: JSON.stringify({ error: 'API key not configured', code: 'API_KEY_NOT_CONFIGURED' })
             };
         }
 
@@ -46,7 +46,9 @@ exports.handler = async (event) => {
         return {
             statusCode: response.status,
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                // Pass rate-limit hints through so the client can wait the right amount
+                ...(response.headers.get('retry-after') && { 'Retry-After': response.headers.get('retry-after') })
             },
             body: data
         };
@@ -1,19 +1,33 @@
 // Netlify serverless function to proxy OpenRouter API calls
 // This hides your API key from the client
+// Uses the Request/Response function format so streamed completions (`stream: true`)
+// can be passed through to the browser as they arrive.
 
-export async function handler(event) {
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*'
+};
+
+function jsonResponse(status, body, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: {
+            'Content-Type': 'application/json',
+            ...CORS_HEADERS,
+            ...headers
+        }
+    });
+}
+
+export default async function handler(req) {
     const requestId = Date.now().toString(36);
     console.log(`[${requestId}] === NEW REQUEST ===`);
-    console.log(`[${requestId}] Method: ${event.httpMethod}`);
-    console.log(`[${requestId}] Origin: ${event.headers.origin}`);
+    console.log(`[${requestId}] Method: ${req.method}`);
+    console.log(`[${requestId}] Origin: ${req.headers.get('origin')}`);
 
     // Only allow POST
-    if (event.httpMethod !== 'POST') {
+    if (req.method !== 'POST') {
         console.log(`[${requestId}] ERROR: Method not allowed`);
-        return {
-            statusCode: 405,
-            body: JSON.stringify({ error: 'Method not allowed' })
-        };
+        return jsonResponse(405, { error: 'Method not allowed' });
     }
 
     // Get API key from environment variable (set in Netlify dashboard)
@@ -27,25 +41,20 @@ export async function handler(event) {
 
     if (!apiKey) {
         console.error(`[${requestId}] CRITICAL: API key not configured`);
-        return {
-            statusCode: 500,
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*'
-            },
-            body: JSON.stringify({
-                error: 'API key not configured',
-                requestId,
-                debug: 'Check Netlify environment variables for OPENROUTER_API_KEY'
-            })
-        };
+        return jsonResponse(500, {
+            error: 'API key not configured',
+            code: 'API_KEY_NOT_CONFIGURED',
+            requestId,
+            debug: 'Check Netlify environment variables for OPENROUTER_API_KEY'
+        });
     }
 
     try {
-        const body = JSON.parse(event.body);
+        const body = await req.json();
         console.log(`[${requestId}] Request body parsed successfully`);
         console.log(`[${requestId}] Model: ${body.model}`);
         console.log(`[${requestId}] Messages count: ${body.messages?.length || 0}`);
+        console.log(`[${requestId}] Streaming: ${!!body.stream}`);
 
         const startTime = Date.now();
         console.log(`[${requestId}] Calling OpenRouter API...`);
@@ -55,10 +64,12 @@ export async function handler(event) {
             headers: {
                 'Authorization': `Bearer ${apiKey}`,
                 'Content-Type': 'application/json',
-                'HTTP-Referer': event.headers.origin || 'https://storybookmagic.netlify.app',
+                'HTTP-Referer': req.headers.get('origin') || 'https://storybookmagic.netlify.app',
                 'X-Title': 'StoryBook Magic'
             },
-            body: JSON.stringify(body)
+            body: JSON.stringify(body),
+            // Stop the upstream request if the browser goes away (e.g. the user cancelled)
+            signal: req.signal
         });
 
         const duration = Date.now() - startTime;
@@ -66,6 +77,25 @@ export async function handler(event) {
         console.log(`[${requestId}] Response status: ${response.status}`);
         console.log(`[${requestId}] Response headers:`, Object.fromEntries(response.headers.entries()));
 
+        // Pass rate-limit hints through so the client can wait the right amount
+        const retryHeaders = response.headers.get('retry-after')
+            ? { 'Retry-After': response.headers.get('retry-after') }
+            : {};
+
+        // Stream the server-sent events straight through; errors still come back as JSON
+        if (body.stream && response.ok) {
+            console.log(`[${requestId}] Streaming response to client`);
+            return new Response(response.body, {
+                status: response.status,
+                headers: {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    ...CORS_HEADERS,
+                    'X-Request-Id': requestId
+                }
+            });
+        }
+
         const data = await response.json();
 
         if (!response.ok) {
@@ -76,38 +106,27 @@ export async function handler(event) {
             console.log(`[${requestId}] Success! Tokens used: ${data.usage?.total_tokens || 'unknown'}`);
         }
 
-        return {
-            statusCode: response.status,
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*',
-                'X-Request-Id': requestId
-            },
-            body: JSON.stringify({
-                ...data,
-                _debug: {
-                    requestId,
-                    duration,
-                    timestamp: new Date().toISOString()
-                }
-            })
-        };
+        return jsonResponse(response.status, {
+            ...data,
+            _debug: {
+                requestId,
+                duration,
+                timestamp: new Date().toISOString()
+            }
+        }, {
+            'X-Request-Id': requestId,
+            ...retryHeaders
+        });
     } catch (error) {
         console.error(`[${requestId}] EXCEPTION:`, error);
         console.error(`[${requestId}] Stack:`, error.stack);
-        return {
-            statusCode: 500,
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*',
-                'X-Request-Id': requestId
-            },
-            body: JSON.stringify({
-                error: 'Failed to call API',
-                message: error.message,
-                requestId,
-                stack: error.stack?.split('\n').slice(0, 3).join('\n')
-            })
-        };
+        return jsonResponse(500, {
+            error: 'Failed to call API',
+            message: error.message,
+            requestId,
+            stack: error.stack?.split('\n').slice(0, 3).join('\n')
+        }, {
+            'X-Request-Id': requestId
+        });
     }
 }
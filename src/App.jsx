@@ -1,17 +1,25 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import Hero from './components/Hero';
 import StoryCreator from './components/StoryCreator';
 import StoryViewer from './components/StoryViewer';
 import Library from './components/Library';
 import Navbar from './components/Navbar';
-import { getSavedStories } from './services/storageService';
+import ResumePrompt from './components/ResumePrompt';
+import { getSavedStories, getGenerationCheckpoint, clearGenerationCheckpoint } from './services/storageService';
+import { illustrateStory } from './services/storyGenerator';
+import { isAbortError } from './utils/abort';
+import logger from './utils/logger';
 import './index.css';
 
 function App() {
   const [activeModal, setActiveModal] = useState(null);
   const [currentStory, setCurrentStory] = useState(null);
   const [libraryCount, setLibraryCount] = useState(0);
+  // Unfinished generation from a previous visit, offered for resuming
+  const [resumableStory, setResumableStory] = useState(null);
   const [theme, setTheme] = useState(() => localStorage.getItem('theme') || 'dark');
+  // AbortController for the story currently being generated (null when idle)
+  const generationRef = useRef(null);
 
   useEffect(() => {
     // Apply theme to document
@@ -26,35 +34,112 @@ function App() {
   useEffect(() => {
     // Update library count on mount
     updateLibraryCount();
+
+    // Offer to finish a book whose generation was interrupted by a reload
+    getGenerationCheckpoint().then(story => {
+      if (story) setResumableStory(story);
+    });
   }, []);
 
-  const updateLibraryCount = () => {
-    const stories = getSavedStories();
+  const updateLibraryCount = async () => {
+    const stories = await getSavedStories();
     setLibraryCount(stories.length);
   };
 
   const openModal = (modalName) => {
+    // Leaving the creator before the story is shown stops its generation
+    if (activeModal === 'creator') {
+      cancelGeneration();
+    }
     setActiveModal(modalName);
   };
 
   const closeModal = () => {
-    setActiveModal(null);
+    openModal(null);
+  };
+
+  // Called by the creator when it starts generating; returns the signal to pass to API calls
+  const startGeneration = () => {
+    // A new generation replaces any unfinished one (only one checkpoint is kept)
+    setResumableStory(null);
+    generationRef.current?.abort();
+    generationRef.current = new AbortController();
+    return generationRef.current.signal;
+  };
+
+  // Abort outstanding requests; pages already written or illustrated are kept
+  const cancelGeneration = () => {
+    if (!generationRef.current) return;
+
+    generationRef.current.abort();
+    generationRef.current = null;
+
+    setCurrentStory(prev => {
+      if (!prev?.isGenerating) return prev;
+
+      return {
+        ...prev,
+        isGenerating: false,
+        isWriting: false,
+        pages: prev.pages
+          // Cancelled while the text was streaming - drop the pages it never reached
+          .filter(page => !(page.isWriting && !page.text))
+          .map(page => (page.isLoading || page.isWriting ? { ...page, isLoading: false, isWriting: false } : page))
+      };
+    });
   };
 
   const handleStoryGenerated = (story) => {
     setCurrentStory(story);
+    setActiveModal('viewer');
+  };
+
+  // Continue an interrupted generation - only pages without an image are generated
+  const handleResumeGeneration = () => {
+    const story = resumableStory;
+    const missingPages = story.pages.filter(page => !page.image).length;
+    setResumableStory(null);
+
+    const resumed = {
+      ...story,
+      isGenerating: missingPages > 0,
+      pages: story.pages.map(page => (page.image ? page : { ...page, isLoading: true }))
+    };
+    setCurrentStory(resumed);
+    setActiveModal('viewer');
+
+    if (missingPages === 0) {
+      clearGenerationCheckpoint(story.id);
+      return;
+    }
+
+    logger.info('APP', 'Resuming interrupted generation', { storyId: story.id, missingPages });
+    illustrateStory(resumed, { signal: startGeneration(), onPageComplete: handlePageUpdate })
+      .catch(error => {
+        if (!isAbortError(error)) {
+          logger.error('APP', 'Resumed generation failed', error, { storyId: story.id });
+        }
+      });
+  };
+
+  const handleDiscardResumable = () => {
+    clearGenerationCheckpoint(resumableStory.id);
+    setResumableStory(null);
+  };
+
+  const handleDiscardStory = () => {
+    setCurrentStory(null);
     closeModal();
-    openModal('viewer');
   };
 
   // Called when a page image is generated (for progressive loading)
-  const handlePageUpdate = (pageNumber, imageUrl, isComplete = false) => {
+  const handlePageUpdate = (pageNumber, imageUrl, isComplete = false, provider = null, usedReferenceSheet = false) => {
     setCurrentStory(prev => {
       if (!prev) return prev;
 
       const updatedPages = prev.pages.map(page => {
         if (page.pageNumber === pageNumber) {
-          return { ...page, image: imageUrl, isLoading: false };
+          return { ...page, image: imageUrl, provider, usedReferenceSheet, isLoading: false };
         }
         return page;
       });
@@ -65,6 +150,10 @@ function App() {
         isGenerating: !isComplete
       };
     });
+
+    if (isComplete) {
+      generationRef.current = null;
+    }
   };
 
   const handleStorySaved = () => {
@@ -98,6 +187,8 @@ function App() {
           onClose={closeModal}
           onStoryGenerated={handleStoryGenerated}
           onPageUpdate={handlePageUpdate}
+          onGenerationStart={startGeneration}
+          onCancelGeneration={cancelGeneration}
         />
       )}
 
@@ -106,6 +197,9 @@ function App() {
           story={currentStory}
           onClose={closeModal}
           onStorySaved={handleStorySaved}
+          onStoryUpdated={setCurrentStory}
+          onCancelGeneration={cancelGeneration}
+          onDiscardStory={handleDiscardStory}
           isGenerating={currentStory.isGenerating || false}
         />
       )}
@@ -114,11 +208,17 @@ function App() {
         <Library
           onClose={closeModal}
           onViewStory={handleViewStory}
-          onStoryDeleted={updateLibraryCount}
+          onLibraryChanged={updateLibraryCount}
         />
       )}
 
-
+      {resumableStory && !activeModal && (
+        <ResumePrompt
+          story={resumableStory}
+          onResume={handleResumeGeneration}
+          onDiscard={handleDiscardResumable}
+        />
+      )}
     </div>
   );
 }
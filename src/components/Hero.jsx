@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react';
+import { PAGE_COUNT_RANGE } from '../services/bookFormats';
 
 export default function Hero({ onCreateStory }) {
     const [activeTestimonial, setActiveTestimonial] = useState(0);
@@ -146,7 +147,7 @@ export default function Hero({ onCreateStory }) {
                         </div>
                         <ul className="pricing-features">
                             <li>✓ High-res PDF download</li>
-                            <li>✓ 5-12 illustrated pages</li>
+                            <li>✓ {PAGE_COUNT_RANGE.min}-{PAGE_COUNT_RANGE.max} illustrated pages</li>
                             <li>✓ Personalized to your child</li>
                             <li>✓ Print at home or local shop</li>
                             <li>✓ Instant delivery</li>
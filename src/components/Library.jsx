@@ -1,23 +1,205 @@
-import { useState, useEffect } from 'react';
-import { getSavedStories, deleteStory } from '../services/storageService';
+import { useState, useEffect, useRef } from 'react';
+import { getSavedStories, getStory, getStoryImage, deleteStory, getProfiles } from '../services/storageService';
+import { exportLibrary, importLibrary } from '../utils/libraryArchive';
 
-export default function Library({ onClose, onViewStory, onStoryDeleted }) {
+/**
+ * Story thumbnail that only loads its image Blob once the card scrolls into view
+ */
+function LibraryThumbnail({ story }) {
+    const containerRef = useRef(null);
+    const [isVisible, setIsVisible] = useState(false);
+    const [imageUrl, setImageUrl] = useState(null);
+
+    // Prefer the cover, fall back to the first illustrated page
+    const thumbnailPage = story.pages.find(p => p.hasStoredImage || p.image);
+
+    useEffect(() => {
+        const element = containerRef.current;
+        if (!element || typeof IntersectionObserver === 'undefined') {
+            setIsVisible(true);
+            return;
+        }
+
+        const observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                setIsVisible(true);
+                observer.disconnect();
+            }
+        }, { rootMargin: '200px' });
+
+        observer.observe(element);
+        return () => observer.disconnect();
+    }, []);
+
+    useEffect(() => {
+        if (!isVisible || !thumbnailPage) return;
+
+        // Remote images (not stored as Blobs) can be used directly
+        if (!thumbnailPage.hasStoredImage) {
+            setImageUrl(thumbnailPage.image);
+            return;
+        }
+
+        let objectUrl = null;
+        let cancelled = false;
+
+        getStoryImage(story.id, thumbnailPage.pageNumber).then(blob => {
+            if (cancelled || !blob) return;
+            objectUrl = URL.createObjectURL(blob);
+            setImageUrl(objectUrl);
+        });
+
+        return () => {
+            cancelled = true;
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+        };
+    }, [isVisible, story.id, thumbnailPage]);
+
+    return (
+        <div className="library-story-thumbnail" ref={containerRef}>
+            {imageUrl ? (
+                <img src={imageUrl} alt={story.title} />
+            ) : (
+                '📖'
+            )}
+        </div>
+    );
+}
+
+/**
+ * Human-readable summary of an importLibrary() result
+ */
+function describeImportResult(result) {
+    const lines = [];
+    const added = result.imported.length + result.replaced.length;
+
+    lines.push(added > 0 ? `✓ ${added} ${added === 1 ? 'story' : 'stories'} imported.` : 'No new stories were imported.');
+    if (result.replaced.length) lines.push(`${result.replaced.length} existing ${result.replaced.length === 1 ? 'story was' : 'stories were'} replaced.`);
+    if (result.unchanged.length) lines.push(`${result.unchanged.length} already in your library (unchanged).`);
+    if (result.conflicts.length) {
+        lines.push(`${result.conflicts.length} kept your current version:`);
+        result.conflicts.forEach(c => lines.push(`  • ${c.title}`));
+    }
+    if (result.invalid.length) {
+        lines.push(`${result.invalid.length} could not be read:`);
+        result.invalid.forEach(c => lines.push(`  • ${c.title} (${c.reason})`));
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Which child a story is for: its profile, or its child's name for one-off books
+ */
+function getChildKey(story) {
+    return story.profileId ? `profile:${story.profileId}` : `name:${(story.childName || '').trim().toLowerCase()}`;
+}
+
+/**
+ * The children with books in the library, for the filter: [{ key, label }] sorted by label
+ */
+function getChildOptions(stories, profiles) {
+    const profileNames = new Map(profiles.map(profile => [`profile:${profile.id}`, profile.name]));
+    const options = new Map();
+    stories.forEach(story => {
+        const key = getChildKey(story);
+        if (!options.has(key)) options.set(key, profileNames.get(key) || story.childName || 'Unnamed');
+    });
+    return [...options].map(([key, label]) => ({ key, label })).sort((a, b) => a.label.localeCompare(b.label));
+}
+
+export default function Library({ onClose, onViewStory, onLibraryChanged }) {
     const [stories, setStories] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [openingStoryId, setOpeningStoryId] = useState(null);
+    const [archiveStatus, setArchiveStatus] = useState(null); // 'exporting' | 'importing' | null
+    const [profiles, setProfiles] = useState([]);
+    const [childFilter, setChildFilter] = useState('all');
+    const importInputRef = useRef(null);
 
     useEffect(() => {
         loadStories();
     }, []);
 
-    const loadStories = () => {
-        const savedStories = getSavedStories();
+    const loadStories = async () => {
+        const [savedStories, savedProfiles] = await Promise.all([getSavedStories(), getProfiles()]);
         setStories(savedStories);
+        setProfiles(savedProfiles);
+        setIsLoading(false);
+    };
+
+    const childOptions = getChildOptions(stories, profiles);
+    // A child whose last book was deleted drops out of the filter, so fall back to everyone
+    const activeFilter = childOptions.some(option => option.key === childFilter) ? childFilter : 'all';
+    const shownStories = activeFilter === 'all' ? stories : stories.filter(story => getChildKey(story) === activeFilter);
+
+    const handleView = async (storyId) => {
+        setOpeningStoryId(storyId);
+        const story = await getStory(storyId);
+        setOpeningStoryId(null);
+
+        if (story) {
+            onViewStory(story);
+        } else {
+            alert('Failed to open story. Please try again.');
+        }
     };
 
-    const handleDelete = (storyId) => {
+    const handleDelete = async (storyId) => {
         if (window.confirm('Are you sure you want to delete this story?')) {
-            deleteStory(storyId);
-            loadStories();
-            onStoryDeleted();
+            await deleteStory(storyId);
+            await loadStories();
+            onLibraryChanged();
+        }
+    };
+
+    const handleExport = async () => {
+        setArchiveStatus('exporting');
+        try {
+            await exportLibrary();
+        } catch (error) {
+            console.error('Library export failed:', error);
+            alert(`Failed to export library: ${error.message}`);
+        } finally {
+            setArchiveStatus(null);
+        }
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setArchiveStatus('importing');
+        try {
+            let result = await importLibrary(file);
+
+            // Same id, different content: ask before replacing anything
+            if (result.conflicts.length > 0) {
+                const titles = result.conflicts.map(c => `  • ${c.title}`).join('\n');
+                const replace = window.confirm(
+                    `${result.conflicts.length} ${result.conflicts.length === 1 ? 'story in this backup is' : 'stories in this backup are'} already in your library with different content:\n\n${titles}\n\nReplace them with the versions from the backup?`
+                );
+
+                if (replace) {
+                    const retry = await importLibrary(file, { overwriteIds: result.conflicts.map(c => c.id) });
+                    result = {
+                        ...result,
+                        replaced: retry.replaced,
+                        conflicts: retry.conflicts,
+                        invalid: [...result.invalid, ...retry.invalid.filter(r => !result.invalid.some(i => i.id === r.id))]
+                    };
+                }
+            }
+
+            await loadStories();
+            onLibraryChanged();
+            alert(describeImportResult(result));
+        } catch (error) {
+            console.error('Library import failed:', error);
+            alert(`❌ Import failed\n\n${error.message}`);
+        } finally {
+            setArchiveStatus(null);
         }
     };
 
@@ -31,7 +213,61 @@ export default function Library({ onClose, onViewStory, onStoryDeleted }) {
                     <h3 className="step-title">📚 My Story Library</h3>
                     <p className="step-description">Your saved personalized storybooks</p>
 
-                    {stories.length === 0 ? (
+                    <div className="library-toolbar">
+                        <button
+                            className="library-action-btn"
+                            onClick={handleExport}
+                            disabled={archiveStatus !== null || stories.length === 0}
+                            title="Download a backup of every saved story"
+                        >
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+                                <polyline points="7 10 12 15 17 10"></polyline>
+                                <line x1="12" y1="15" x2="12" y2="3"></line>
+                            </svg>
+                            {archiveStatus === 'exporting' ? 'Exporting...' : 'Export library'}
+                        </button>
+                        <button
+                            className="library-action-btn"
+                            onClick={() => importInputRef.current.click()}
+                            disabled={archiveStatus !== null}
+                            title="Restore stories from a library backup"
+                        >
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+                                <polyline points="17 8 12 3 7 8"></polyline>
+                                <line x1="12" y1="3" x2="12" y2="15"></line>
+                            </svg>
+                            {archiveStatus === 'importing' ? 'Importing...' : 'Import library'}
+                        </button>
+                        <input
+                            type="file"
+                            ref={importInputRef}
+                            accept=".zip,application/zip"
+                            onChange={handleImport}
+                            style={{ display: 'none' }}
+                        />
+                        {childOptions.length > 1 && (
+                            <select
+                                className="library-filter"
+                                value={activeFilter}
+                                onChange={(e) => setChildFilter(e.target.value)}
+                                aria-label="Show stories for"
+                            >
+                                <option value="all">All children</option>
+                                {childOptions.map(option => (
+                                    <option key={option.key} value={option.key}>{option.label}</option>
+                                ))}
+                            </select>
+                        )}
+                    </div>
+
+                    {isLoading ? (
+                        <div className="page-loading-spinner">
+                            <div className="spinner"></div>
+                            <p>Loading your library...</p>
+                        </div>
+                    ) : stories.length === 0 ? (
                         <div className="library-empty">
                             <div className="empty-icon">📖</div>
                             <p>No saved stories yet</p>
@@ -39,21 +275,14 @@ export default function Library({ onClose, onViewStory, onStoryDeleted }) {
                         </div>
                     ) : (
                         <div className="library-grid">
-                            {stories.map(story => {
-                                const firstPage = story.pages[0] || {};
+                            {shownStories.map(story => {
                                 const savedDate = new Date(story.savedAt || story.createdAt);
 
                                 return (
                                     <div key={story.id} className="library-story-card">
-                                        <div className="library-story-thumbnail">
-                                            {firstPage.image ? (
-                                                <img src={firstPage.image} alt={story.title} />
-                                            ) : (
-                                                '📖'
-                                            )}
-                                        </div>
+                                        <LibraryThumbnail story={story} />
                                         <div className="library-story-info">
-                                            <h4 className="library-story-title">{story.title}</h4>
+                                            <h4 className="library-story-title" dir="auto">{story.title}</h4>
                                             <div className="library-story-meta">
                                                 <span className="library-story-pages">
                                                     <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -65,12 +294,16 @@ export default function Library({ onClose, onViewStory, onStoryDeleted }) {
                                                 <span>{savedDate.toLocaleDateString()}</span>
                                             </div>
                                             <div className="library-story-actions">
-                                                <button className="library-action-btn" onClick={() => onViewStory(story)}>
+                                                <button
+                                                    className="library-action-btn"
+                                                    onClick={() => handleView(story.id)}
+                                                    disabled={openingStoryId === story.id}
+                                                >
                                                     <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                                                         <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path>
                                                         <circle cx="12" cy="12" r="3"></circle>
                                                     </svg>
-                                                    View
+                                                    {openingStoryId === story.id ? 'Opening...' : 'View'}
                                                 </button>
                                                 <button className="library-action-btn delete" onClick={() => handleDelete(story.id)}>
                                                     <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
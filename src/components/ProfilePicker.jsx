@@ -0,0 +1,251 @@
+import { useState, useEffect } from 'react';
+import { getProfiles, saveProfile, deleteProfile } from '../services/storageService';
+import { MAX_PROFILE_PHOTOS, PREFERENCE_FIELDS, createProfile, getAgeOn } from '../services/childProfiles';
+import { blobToDataUrl, checkPhotoFile } from '../utils/imageData';
+
+/**
+ * Add or edit one child profile
+ */
+function ProfileForm({ profile, isNew, onSaved, onDeleted, onCancel }) {
+    const [draft, setDraft] = useState(profile);
+    const [isSaving, setIsSaving] = useState(false);
+    const today = new Date().toISOString().slice(0, 10);
+
+    const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+    const handlePhotoAdd = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        const problem = checkPhotoFile(file);
+        if (problem) {
+            alert(problem);
+            return;
+        }
+        blobToDataUrl(file).then(photoUrl => setDraft(prev => ({ ...prev, photos: [...prev.photos, photoUrl] })));
+    };
+
+    // The first photo is the one books use as the reference
+    const makeMainPhoto = (index) => update({
+        photos: [draft.photos[index], ...draft.photos.filter((_, i) => i !== index)]
+    });
+
+    const handleSave = async () => {
+        if (!draft.name.trim() || !draft.birthDate || draft.photos.length === 0) {
+            alert('Please add a name, birth date and at least one photo');
+            return;
+        }
+        if (getAgeOn(draft.birthDate) === null) {
+            alert('Please check the birth date');
+            return;
+        }
+
+        setIsSaving(true);
+        const saved = { ...draft, name: draft.name.trim() };
+        const result = await saveProfile(saved);
+        setIsSaving(false);
+
+        if (result.success) {
+            onSaved(saved);
+        } else {
+            alert(`Failed to save profile: ${result.message}`);
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(`Delete ${profile.name}'s profile? Books already made for them are kept.`)) return;
+
+        const result = await deleteProfile(profile.id);
+        if (result.success) {
+            onDeleted(profile.id);
+        } else {
+            alert(`Failed to delete profile: ${result.message}`);
+        }
+    };
+
+    return (
+        <div className="profile-form">
+            <div className="form-row" style={{ display: 'flex', gap: '1rem' }}>
+                <div className="form-group" style={{ flex: 1 }}>
+                    <label htmlFor="profileName">Child's Name</label>
+                    <input
+                        type="text"
+                        id="profileName"
+                        dir="auto"
+                        value={draft.name}
+                        onChange={(e) => update({ name: e.target.value })}
+                        placeholder="Enter hero's name"
+                    />
+                </div>
+                <div className="form-group" style={{ width: '180px' }}>
+                    <label htmlFor="profileBirthDate">Birth Date</label>
+                    <input
+                        type="date"
+                        id="profileBirthDate"
+                        value={draft.birthDate || ''}
+                        max={today}
+                        onChange={(e) => update({ birthDate: e.target.value || null })}
+                    />
+                </div>
+            </div>
+
+            <div className="form-group">
+                <label>Photos</label>
+                <div className="profile-photos">
+                    {draft.photos.map((photo, index) => (
+                        <div key={index} className={`profile-photo ${index === 0 ? 'main' : ''}`}>
+                            <img src={photo} alt={`${draft.name || 'Child'} ${index + 1}`} />
+                            {index === 0 ? (
+                                <span className="profile-photo-badge">Main</span>
+                            ) : (
+                                <button type="button" className="profile-photo-badge" onClick={() => makeMainPhoto(index)}>
+                                    Make main
+                                </button>
+                            )}
+                            <button
+                                type="button"
+                                className="cast-remove profile-photo-remove"
+                                onClick={() => update({ photos: draft.photos.filter((_, i) => i !== index) })}
+                                title="Remove photo"
+                            >
+                                ✕
+                            </button>
+                        </div>
+                    ))}
+                    {draft.photos.length < MAX_PROFILE_PHOTOS && (
+                        <label className="profile-photo profile-photo-add" title="Add a photo">
+                            📸
+                            <input type="file" accept="image/*" onChange={handlePhotoAdd} style={{ display: 'none' }} />
+                        </label>
+                    )}
+                </div>
+                <span className="form-hint">Up to {MAX_PROFILE_PHOTOS} clear photos; books use the main one as the reference</span>
+            </div>
+
+            <div className="form-group">
+                <label>Appearance</label>
+                {draft.characterDescription ? (
+                    <div className="profile-description">
+                        <p dir="auto">{draft.characterDescription.shortDescription || draft.characterDescription.characterDescription}</p>
+                        <button type="button" className="change-photo-btn" onClick={() => update({ characterDescription: null })}>
+                            Describe again from the main photo
+                        </button>
+                    </div>
+                ) : (
+                    <span className="form-hint">Described from the main photo when the next book is made, then kept for every book after it</span>
+                )}
+            </div>
+
+            {PREFERENCE_FIELDS.map(field => (
+                <div key={field.id} className="form-group">
+                    <label htmlFor={`preference-${field.id}`}>{field.label}</label>
+                    <input
+                        type="text"
+                        id={`preference-${field.id}`}
+                        dir="auto"
+                        value={draft.preferences[field.id] || ''}
+                        onChange={(e) => update({ preferences: { ...draft.preferences, [field.id]: e.target.value } })}
+                        placeholder={field.placeholder}
+                    />
+                </div>
+            ))}
+
+            <div className="button-group">
+                <button className="back-btn" onClick={onCancel}>Cancel</button>
+                {!isNew && (
+                    <button className="back-btn profile-delete-btn" onClick={handleDelete}>Delete</button>
+                )}
+                <button className="generate-btn" onClick={handleSave} disabled={isSaving}>
+                    <span className="button-text">{isSaving ? 'Saving...' : 'Save Profile'}</span>
+                </button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * First step of the story creator: pick a saved child, manage profiles, or make a one-off book
+ */
+export default function ProfilePicker({ onSelect, onSkip, onClose }) {
+    const [profiles, setProfiles] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [editing, setEditing] = useState(null); // { profile, isNew }
+
+    useEffect(() => {
+        getProfiles().then(savedProfiles => {
+            setProfiles(savedProfiles);
+            setIsLoading(false);
+        });
+    }, []);
+
+    const handleSaved = (profile) => {
+        setProfiles(prev => [...prev.filter(p => p.id !== profile.id), profile].sort((a, b) => a.name.localeCompare(b.name)));
+        setEditing(null);
+    };
+
+    const handleDeleted = (profileId) => {
+        setProfiles(prev => prev.filter(p => p.id !== profileId));
+        setEditing(null);
+    };
+
+    if (editing) {
+        return (
+            <div className="creator-step">
+                <h3 className="step-title">{editing.isNew ? 'Add a Child' : `Edit ${editing.profile.name}`}</h3>
+                <p className="step-description">Saved on this device, so the next book starts in one click</p>
+                <ProfileForm
+                    profile={editing.profile}
+                    isNew={editing.isNew}
+                    onSaved={handleSaved}
+                    onDeleted={handleDeleted}
+                    onCancel={() => setEditing(null)}
+                />
+            </div>
+        );
+    }
+
+    return (
+        <div className="creator-step">
+            <div className="step-header">
+                <button className="back-link" onClick={onClose}>← Back to Home</button>
+                <h3 className="step-title">Who Is This Story For?</h3>
+            </div>
+            <p className="step-description">Pick a saved child, or add one to skip the photo upload next time</p>
+
+            {isLoading ? (
+                <div className="page-loading-spinner">
+                    <div className="spinner"></div>
+                </div>
+            ) : (
+                <div className="profile-grid">
+                    {profiles.map(profile => {
+                        const age = getAgeOn(profile.birthDate);
+                        return (
+                            <div key={profile.id} className="profile-card">
+                                <button className="profile-card-select" onClick={() => onSelect(profile)}>
+                                    {profile.photos[0] ? <img src={profile.photos[0]} alt={profile.name} /> : <span className="profile-card-icon">🧒</span>}
+                                    <strong dir="auto">{profile.name}</strong>
+                                    {age !== null && <small>{age} {age === 1 ? 'year' : 'years'} old</small>}
+                                </button>
+                                <button className="profile-card-edit" onClick={() => setEditing({ profile, isNew: false })}>
+                                    Edit
+                                </button>
+                            </div>
+                        );
+                    })}
+                    <div className="profile-card">
+                        <button className="profile-card-select profile-card-add" onClick={() => setEditing({ profile: createProfile(), isNew: true })}>
+                            <span className="profile-card-icon">＋</span>
+                            <strong>Add a child</strong>
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            <button className="change-photo-btn profile-skip-btn" onClick={onSkip}>
+                Just this once - upload a photo without saving
+            </button>
+        </div>
+    );
+}
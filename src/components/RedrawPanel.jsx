@@ -0,0 +1,107 @@
+import { useState, useEffect, useRef } from 'react';
+import { generateIllustration } from '../services/storyGenerator';
+import { isAbortError } from '../utils/abort';
+
+export default function RedrawPanel({ story, page, onCommit, onClose }) {
+    const [instruction, setInstruction] = useState('');
+    const [status, setStatus] = useState('idle'); // idle | drawing | choosing | error
+    const [newImage, setNewImage] = useState(null); // { imageUrl, provider }
+    const [error, setError] = useState(null);
+    const controllerRef = useRef(null);
+
+    // Closing the panel cancels a redraw in progress
+    useEffect(() => () => controllerRef.current?.abort(), []);
+
+    const pageLabel = page.isCover ? 'the cover' : `page ${page.pageNumber}`;
+
+    const handleRedraw = async () => {
+        setStatus('drawing');
+        setError(null);
+
+        controllerRef.current = new AbortController();
+
+        try {
+            const result = await generateIllustration(story, page, {
+                extraInstruction: instruction,
+                signal: controllerRef.current.signal
+            });
+            setNewImage(result);
+            setStatus('choosing');
+        } catch (err) {
+            if (isAbortError(err)) return;
+            console.error('Redraw failed:', err);
+            setError(err.message);
+            setStatus('error');
+        }
+    };
+
+    return (
+        <div className="redraw-overlay">
+            <div className="redraw-backdrop" onClick={status === 'drawing' ? undefined : onClose}></div>
+            <div className="redraw-panel">
+                <h3 className="redraw-title">🎨 Redraw {pageLabel}</h3>
+
+                {(status === 'idle' || status === 'error') && (
+                    <>
+                        <p className="redraw-hint">
+                            We'll redraw this illustration using the same scene, characters and outfit.
+                            Add an instruction if something needs fixing.
+                        </p>
+                        <div className="form-group">
+                            <label htmlFor="redrawInstruction">Extra instruction (optional)</label>
+                            <textarea
+                                id="redrawInstruction"
+                                value={instruction}
+                                onChange={(e) => setInstruction(e.target.value)}
+                                rows="2"
+                                placeholder="e.g., make the dragon green, show her curly red hair"
+                            />
+                        </div>
+                        {error && <p className="redraw-error">❌ {error}</p>}
+                        <div className="button-group">
+                            <button className="back-btn" onClick={onClose}>Cancel</button>
+                            <button className="generate-btn" onClick={handleRedraw}>
+                                <span className="button-text">{status === 'error' ? 'Try Again' : 'Redraw ✨'}</span>
+                            </button>
+                        </div>
+                    </>
+                )}
+
+                {status === 'drawing' && (
+                    <div className="page-loading-spinner">
+                        <div className="spinner"></div>
+                        <p>Creating a new illustration...</p>
+                        <button className="back-btn" onClick={onClose}>Cancel</button>
+                    </div>
+                )}
+
+                {status === 'choosing' && (
+                    <>
+                        <p className="redraw-hint">Which illustration should we keep?</p>
+                        <div className="redraw-compare">
+                            <figure className="redraw-option">
+                                {page.image ? (
+                                    <img src={page.image} alt="Current illustration" />
+                                ) : (
+                                    <div className="redraw-empty">No image</div>
+                                )}
+                                <figcaption>Current</figcaption>
+                            </figure>
+                            <figure className="redraw-option">
+                                <img src={newImage.imageUrl} alt="New illustration" />
+                                <figcaption>New</figcaption>
+                            </figure>
+                        </div>
+                        <div className="button-group">
+                            <button className="back-btn" onClick={onClose}>Keep Current</button>
+                            <button className="back-btn" onClick={handleRedraw}>Redraw Again</button>
+                            <button className="generate-btn" onClick={() => onCommit(newImage.imageUrl, newImage.provider, newImage.usedReferenceSheet)}>
+                                <span className="button-text">Use New ✓</span>
+                            </button>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
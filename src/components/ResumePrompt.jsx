@@ -0,0 +1,21 @@
+export default function ResumePrompt({ story, onResume, onDiscard }) {
+    const totalPages = story.pages.length;
+    const illustratedPages = story.pages.filter(page => page.image).length;
+
+    return (
+        <div className="resume-prompt" role="dialog" aria-labelledby="resume-prompt-title">
+            <div className="resume-prompt-icon">📖</div>
+            <div className="resume-prompt-body">
+                <h4 id="resume-prompt-title">You have an unfinished story</h4>
+                <p>
+                    <strong>{story.title}</strong> starring {story.childName} - {illustratedPages} of {totalPages} illustrations
+                    were finished before the page was closed.
+                </p>
+            </div>
+            <div className="resume-prompt-actions">
+                <button className="action-btn" onClick={onDiscard}>Discard</button>
+                <button className="action-btn save-story-btn" onClick={onResume}>Resume ✨</button>
+            </div>
+        </div>
+    );
+}
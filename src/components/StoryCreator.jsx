@@ -1,249 +1,652 @@
 import { useState } from 'react';
-import { generateStoryContent, generatePageImage, analyzePersonPhoto } from '../services/aiProvider';
-import { getCurrentProvider } from '../services/aiProvider';
+import ProfilePicker from './ProfilePicker';
+import { generateStoryContent, generateStoryOutline, analyzePersonPhoto, analyzeCompanionPhoto, getProviderInfo, getProviderLabel, usesReferenceSheet } from '../services/aiProvider';
+import {
+    AuthFailedError,
+    QuotaExceededError,
+    RateLimitedError,
+    ContentBlockedError,
+    TimeoutError,
+    ServiceUnavailableError,
+    MalformedResponseError
+} from '../services/httpClient';
 import { generateImagesInBackground, isBackgroundGenerationAvailable } from '../services/backgroundGenerator';
+import { buildCoverPrompt, getCoverCastNames, generateReferenceSheet, illustrateStory } from '../services/storyGenerator';
+import { createStory } from '../services/storySchema';
+import { validateStoryOutline } from '../services/storyValidator';
+import { BOOK_FORMATS, DEFAULT_FORMAT, PAGE_COUNT_RANGE, describeWordsPerPage, isValidPageCount } from '../services/bookFormats';
+import { READING_LEVELS, DEFAULT_READING_LEVEL } from '../services/readingLevels';
+import { LANGUAGES, DEFAULT_LANGUAGE } from '../services/languages';
+import { ART_STYLES, DEFAULT_ART_STYLE } from '../services/artStyles';
+import { MAX_CO_STARS } from '../services/heroes';
+import { COMPANION_KINDS, DEFAULT_COMPANION_KIND, MAX_COMPANIONS, getCompanionCharacters } from '../services/companions';
+import { getAgeOn } from '../services/childProfiles';
+import { saveProfile } from '../services/storageService';
+import { isAbortError, throwIfAborted } from '../utils/abort';
+import { blobToDataUrl, checkPhotoFile } from '../utils/imageData';
 
-/**
- * Generate images sequentially (for development or fallback)
- * Each API call stays under 26s Netlify timeout
- */
-async function generateImagesSequentially(storyContent, photoPreview, childName, characterDescription, setProgress, setLoadingText) {
-    const pages = [];
-    const totalImages = storyContent.pages.length + 1;
-    let completedImages = 0;
-
-    // Cover image
-    setLoadingText('Creating cover illustration...');
-    try {
-        const coverUrl = await generatePageImage(
-            `Create a stunning storybook cover illustration for "${storyContent.title}". The cover should show ${childName} as the main character in an exciting pose or scene that captures the essence of the story. Style: vibrant, child-friendly, professional children's book cover art.`,
-            0, photoPreview, childName, characterDescription,
-            {
-                characterOutfit: storyContent.characterOutfit,
-                locations: storyContent.locations,
-                currentLocation: storyContent.locations?.[0] || 'magical setting',
-                characters: storyContent.characters || {}
-            },
-            storyContent.childAge || '4-8'
-        );
-        pages.push({ pageNumber: 0, text: '', image: coverUrl, isCover: true });
-    } catch (error) {
-        console.warn('Cover generation failed:', error.message);
-        pages.push({ pageNumber: 0, text: '', image: null, isCover: true });
-    }
-    completedImages++;
-    setProgress(30 + Math.round((completedImages / totalImages) * 65));
-
-    // Story pages
-    for (let i = 0; i < storyContent.pages.length; i++) {
-        const pageData = storyContent.pages[i];
-        setLoadingText(`Illustrating page ${i + 1} of ${storyContent.pages.length}...`);
-
-        try {
-            const imageUrl = await generatePageImage(
-                pageData.imagePrompt, i + 1, photoPreview, childName, characterDescription,
-                {
-                    characterOutfit: storyContent.characterOutfit,
-                    locations: storyContent.locations,
-                    currentLocation: pageData.location,
-                    characters: storyContent.characters || {}
-                }
-            );
-            pages.push({ pageNumber: pageData.pageNumber, text: pageData.text, image: imageUrl });
-        } catch (error) {
-            console.warn(`Page ${i + 1} image failed:`, error.message);
-            pages.push({ pageNumber: pageData.pageNumber, text: pageData.text, image: null });
-        }
-        completedImages++;
-        setProgress(30 + Math.round((completedImages / totalImages) * 65));
-    }
+// "Español (Spanish)", or just "English"
+const languageName = (option) => (option.nativeName === option.label ? option.label : `${option.nativeName} (${option.label})`);
 
-    return pages;
-}
+// Photo analysis details that go into every illustration prompt, so the parent can correct them first
+const APPEARANCE_FIELDS = [
+    { id: 'hairColor', label: 'Hair colour' },
+    { id: 'hairStyle', label: 'Hair style' },
+    { id: 'skinTone', label: 'Skin tone' },
+    { id: 'eyeColor', label: 'Eye colour' }
+];
 
-export default function StoryCreator({ onClose, onStoryGenerated, onPageUpdate }) {
-    const [step, setStep] = useState(1);
+export default function StoryCreator({ onClose, onStoryGenerated, onPageUpdate, onGenerationStart, onCancelGeneration }) {
+    const [step, setStep] = useState(0);
+    const [profile, setProfile] = useState(null);  // Saved child the book is for, if any
     const [photo, setPhoto] = useState(null);
     const [photoPreview, setPhotoPreview] = useState(null);
     const [childName, setChildName] = useState('');
     const [childAge, setChildAge] = useState('');
     const [storyPrompt, setStoryPrompt] = useState('');
-    const [length, setLength] = useState('short');
+    const [format, setFormat] = useState(DEFAULT_FORMAT);
+    const [pageCountInput, setPageCountInput] = useState(String(BOOK_FORMATS[DEFAULT_FORMAT].pageCount));
+    const [readingLevel, setReadingLevel] = useState(DEFAULT_READING_LEVEL);
+    const [language, setLanguage] = useState(DEFAULT_LANGUAGE);
+    const [secondaryLanguage, setSecondaryLanguage] = useState('');
+    const [artStyle, setArtStyle] = useState(DEFAULT_ART_STYLE);
+    const [coStars, setCoStars] = useState([]);  // More heroes: [{ name, age, photo }]
+    const [companions, setCompanions] = useState([]);  // Pets and toys: [{ name, kind, photo }]
     const [loadingText, setLoadingText] = useState('');
     const [error, setError] = useState(null);
+    const [planFirst, setPlanFirst] = useState(false);
+    const [checkCharacters, setCheckCharacters] = useState(true);
+    const [characterSheet, setCharacterSheet] = useState(null);  // { story, signal, cancelStep } while the parent checks it
+    const [useReferenceSheet, setUseReferenceSheet] = useState(false);
+    const [referenceSheet, setReferenceSheet] = useState(null);  // { story, signal, cancelStep, image, error } while the parent approves it
+    const [outline, setOutline] = useState(null);
+
+    // The sheet step is only offered when the first provider asked to draw the pages sends the sheet along
+    const canUseReferenceSheet = usesReferenceSheet(getProviderInfo().chain[0]);
+    const drawsReferenceSheet = useReferenceSheet && canUseReferenceSheet;
+
+    // Check an uploaded photo and read it as a data URL
+    const readPhotoFile = (file, onLoad) => {
+        const problem = checkPhotoFile(file);
+        if (problem) {
+            alert(problem);
+            return false;
+        }
+
+        blobToDataUrl(file).then(onLoad);
+        return true;
+    };
 
     const handleFileChange = (e) => {
         const file = e.target.files[0];
-        if (file) {
-            if (!file.type.startsWith('image/')) {
-                alert('Please upload an image file');
-                return;
-            }
-            if (file.size > 10 * 1024 * 1024) {
-                alert('File size must be less than 10MB');
-                return;
-            }
-
+        if (file && readPhotoFile(file, setPhotoPreview)) {
             setPhoto(file);
-            const reader = new FileReader();
-            reader.onload = (e) => setPhotoPreview(e.target.result);
-            reader.readAsDataURL(file);
         }
     };
 
+    // A saved child skips the photo upload; the age is worked out from their birth date
+    const handleSelectProfile = (selected) => {
+        setProfile(selected);
+        setChildName(selected.name);
+        setChildAge(String(getAgeOn(selected.birthDate) ?? ''));
+        setPhoto(null);
+        setPhotoPreview(selected.photos[0] || null);
+        setStep(2);
+    };
+
+    const handleSkipProfile = () => {
+        setProfile(null);
+        setChildName('');
+        setChildAge('');
+        setPhoto(null);
+        setPhotoPreview(null);
+        setStep(1);
+    };
+
+    const updateCoStar = (index, changes) => setCoStars(prev =>
+        prev.map((coStar, i) => (i === index ? { ...coStar, ...changes } : coStar)));
+
+    const handleCoStarPhotoChange = (index, e) => {
+        const file = e.target.files[0];
+        if (file) readPhotoFile(file, (photoUrl) => updateCoStar(index, { photo: photoUrl }));
+    };
+
+    const updateCompanion = (index, changes) => setCompanions(prev =>
+        prev.map((companion, i) => (i === index ? { ...companion, ...changes } : companion)));
+
+    const handleCompanionPhotoChange = (index, e) => {
+        const file = e.target.files[0];
+        if (file) readPhotoFile(file, (photoUrl) => updateCompanion(index, { photo: photoUrl }));
+    };
+
+    // What the story prompts need to know about the co-stars and companions (their looks come from the photos)
+    const coStarDetails = coStars.map(({ name, age }) => ({ name: name.trim(), age }));
+    const coStarNames = coStarDetails.map(coStar => coStar.name);
+    const companionDetails = companions.map(({ name, kind }) => ({ name: name.trim(), kind }));
+    const companionNames = companionDetails.map(companion => companion.name);
+    const preferences = profile?.preferences || null;
+
+    /**
+     * Why the co-stars and companions can't be used yet, or null if they can
+     */
+    const checkCast = () => {
+        if (coStars.some(coStar => !coStar.name.trim() || !coStar.age || !coStar.photo)) {
+            return 'Please add a name, age and photo for everyone joining the story, or remove them.';
+        }
+        if (companions.some(companion => !companion.name.trim() || !companion.photo)) {
+            return 'Please add a name and photo for every pet or toy, or remove them.';
+        }
+        const names = [childName, ...coStarNames, ...companionNames].map(name => name.trim().toLowerCase());
+        if (new Set(names).size < names.length) {
+            return 'Everyone in the story needs a different name.';
+        }
+        return null;
+    };
+
     const [progress, setProgress] = useState(0);
 
+    // A bilingual book needs two different languages
+    const handleLanguageChange = (languageCode) => {
+        setLanguage(languageCode);
+        if (secondaryLanguage === languageCode) setSecondaryLanguage('');
+    };
+
+    // Each format starts from its own page count; the parent can change it afterwards
+    const handleFormatChange = (formatId) => {
+        setFormat(formatId);
+        setPageCountInput(String(BOOK_FORMATS[formatId].pageCount));
+    };
+
+    // Photo analysis runs alongside story writing; a failure only costs likeness, not the story
+    const analyzePhoto = (photoUrl, personName, age, signal) => analyzePersonPhoto(photoUrl, personName, age, signal)
+        .catch(err => {
+            console.warn(`Character analysis skipped for ${personName}:`, err.message);
+            return null;
+        });
+
+    const analyzeCompanion = (companion, signal) => analyzeCompanionPhoto(companion.photo, companion.name.trim(), companion.kind, signal)
+        .catch(err => {
+            console.warn(`Companion analysis skipped for ${companion.name}:`, err.message);
+            return null;
+        });
+
+    /**
+     * The child's appearance: a profile's locked description, or a fresh photo analysis
+     * (a profile without one keeps the first analysis so later books match it)
+     */
+    const analyzeChild = async (signal) => {
+        if (profile?.characterDescription) {
+            return { characterDescription: profile.characterDescription };
+        }
+
+        const analysis = await analyzePhoto(photoPreview, childName, childAge, signal);
+        if (profile && analysis?.characterDescription) {
+            const locked = { ...profile, characterDescription: analysis.characterDescription };
+            const result = await saveProfile(locked);
+            if (result.success) setProfile(locked);
+        }
+        return analysis;
+    };
+
+    /**
+     * Analyze every photo on its own: { heroes: [child, ...co-stars], companions }
+     */
+    const analyzePhotos = async (signal) => {
+        const [heroes, companionAnalyses] = await Promise.all([
+            Promise.all([
+                analyzeChild(signal),
+                ...coStars.map(coStar => analyzePhoto(coStar.photo, coStar.name.trim(), coStar.age, signal))
+            ]),
+            Promise.all(companions.map(companion => analyzeCompanion(companion, signal)))
+        ]);
+        return { heroes, companions: companionAnalyses };
+    };
+
+    /**
+     * Story for the viewer from the story content written so far
+     * While streaming (`pageCount` given), pages not written yet are placeholders and the story
+     * keeps the id of `shown`, the version already on screen; the final story replaces it the same way.
+     */
+    const buildViewerStory = (storyContent, options) => {
+        const { textProvider = null, analyses = null, approvedOutline = null, shown = null, pageCount = null } = options;
+        const [analysis = null, ...coStarAnalyses] = analyses?.heroes || [];
+        const isWriting = pageCount !== null;
+
+        const storyCoStars = coStars.map((coStar, i) => ({
+            ...coStarDetails[i],
+            photo: coStar.photo,
+            characterDescription: coStarAnalyses[i]?.characterDescription || null
+        }));
+        const storyCompanions = companions.map((companion, i) => ({
+            ...companionDetails[i],
+            photo: companion.photo,
+            characterDescription: analyses?.companions[i]?.characterDescription || null
+        }));
+
+        // Create story shell with placeholder pages (all marked as loading)
+        // Prompts and character context are kept so any page can be redrawn later
+        const coverPage = {
+            pageNumber: 0,
+            text: '',
+            image: null,
+            isCover: true,
+            isLoading: true,
+            imagePrompt: buildCoverPrompt(storyContent.title, childName, getCoverCastNames({ coStars: storyCoStars, companions: storyCompanions })),
+            location: Object.keys(storyContent.locations || {})[0] || null
+        };
+
+        const storyPages = storyContent.pages.map((page, index) => ({
+            pageNumber: isWriting ? index + 1 : page.pageNumber,
+            text: page.text ?? '',
+            secondaryText: page.secondaryText ?? null,
+            image: null,
+            isLoading: true,
+            imagePrompt: page.imagePrompt,
+            location: page.location,
+            charactersPresent: page.charactersPresent || [],
+            ...(isWriting && { isWriting: index >= storyContent.pagesWritten })
+        }));
+
+        // Pages the stream hasn't reached yet
+        const unwrittenPages = isWriting
+            ? Array.from({ length: Math.max(0, pageCount - storyPages.length) }, (_, i) => ({
+                pageNumber: storyPages.length + i + 1,
+                text: '',
+                image: null,
+                isLoading: true,
+                isWriting: true
+            }))
+            : [];
+
+        const providerInfo = getProviderInfo();
+        return createStory({
+            ...(shown && { id: shown.id, createdAt: shown.createdAt }),
+            title: storyContent.title,
+            childName: childName,
+            childAge: childAge,
+            profileId: profile?.id || null,
+            storyPrompt: storyPrompt,
+            format: format,
+            readingLevel: readingLevel,
+            language: language,
+            secondaryLanguage: secondaryLanguage || null,
+            artStyle: artStyle,
+            heroPhoto: photoPreview,
+            characterDescription: analysis?.characterDescription || null,
+            coStars: storyCoStars,
+            companions: storyCompanions,
+            characterOutfit: storyContent.characterOutfit,
+            // Pets and toys are pinned to their photo analysis, whatever the story wrote for them
+            characters: { ...storyContent.characters, ...getCompanionCharacters(childName, storyCompanions) },
+            locations: storyContent.locations || {},
+            outline: approvedOutline,
+            generation: {
+                provider: textProvider,
+                textModel: providerInfo.available[textProvider]?.model || null,
+                imageModel: providerInfo.available[providerInfo.chain[0]]?.imageModel || null,
+                analysisProvider: analysis?.provider || null,
+                generatedAt: new Date().toISOString()
+            },
+            pages: [coverPage, ...storyPages, ...unwrittenPages],
+            isGenerating: true,  // Flag for viewer to show generation in progress
+            ...(isWriting && { isWriting: true })  // ...and that the text is still streaming in
+        });
+    };
+
+    /**
+     * onProgress callback for generateStoryContent: opens the viewer as soon as the title and
+     * first page have streamed in, then fills in pages as they arrive (`shown.story` is on screen)
+     */
+    const streamIntoViewer = (pageCount, approvedOutline, shown) => (partialStory) => {
+        if (!shown.story && !(partialStory.title && partialStory.pagesWritten > 0)) return;
+
+        shown.story = buildViewerStory(partialStory, { approvedOutline, shown: shown.story, pageCount });
+        onStoryGenerated(shown.story);
+    };
+
+    /**
+     * onProgress callback for generateStoryContent: streams into the viewer, or only counts the pages
+     * written when the parent checks the characters or approves a reference sheet first (the viewer opens after that)
+     */
+    const trackWriting = (pageCount, approvedOutline, shown) => (checkCharacters || drawsReferenceSheet
+        ? (partialStory) => setLoadingText(`Writing your story... (${partialStory.pagesWritten || 0} of ${pageCount} pages)`)
+        : streamIntoViewer(pageCount, approvedOutline, shown));
+
+    /**
+     * Show the story in the viewer (replacing the streamed version, if any) and draw its pages
+     */
+    const drawStory = async (story, signal) => {
+        // Show story viewer IMMEDIATELY with loading placeholders!
+        onStoryGenerated(story);
+
+        // Now generate the images (cover queued first, several in parallel), updating each page as it completes
+        // All done when the last onPageUpdate sets isGenerating: false
+        await illustrateStory(story, { signal, onPageComplete: onPageUpdate });
+    };
+
+    /**
+     * Turn the written story into a book and draw it, or stop at the character sheet for the parent to check first
+     */
+    const illustrate = async (storyContent, textProvider, analyses, signal, approvedOutline, shown, cancelStep) => {
+        const story = buildViewerStory(storyContent, { textProvider, analyses, approvedOutline, shown });
+
+        if (checkCharacters) {
+            setCharacterSheet({ story, signal, cancelStep });
+            setStep(6);
+            return;
+        }
+
+        await startIllustrating(story, signal, cancelStep);
+    };
+
+    /**
+     * Draw the book, or first the hero's reference sheet for the parent to approve
+     */
+    const startIllustrating = async (story, signal, cancelStep) => {
+        if (drawsReferenceSheet) {
+            await drawReferenceSheet({ story, signal, cancelStep });
+            return;
+        }
+
+        setProgress(25);
+        setLoadingText('Story created! Starting illustrations...');
+        await drawStory(story, signal);
+    };
+
+    /**
+     * Draw the hero's reference sheet and show it for approval
+     * A failed sheet is shown as an error on the approval step, where it can be retried or skipped.
+     */
+    const drawReferenceSheet = async (request) => {
+        setStep(3);
+        setProgress(25);
+        setLoadingText(`Drawing ${request.story.childName}'s character sheet...`);
+
+        try {
+            const { imageUrl } = await generateReferenceSheet(request.story, { signal: request.signal });
+            setReferenceSheet({ ...request, image: imageUrl, error: null });
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            console.warn('Reference sheet failed:', error.message);
+            setReferenceSheet({ ...request, image: null, error: error.message });
+        }
+        setStep(7);
+    };
+
+    const handleRedrawReferenceSheet = async () => {
+        const { story, signal, cancelStep } = referenceSheet;
+        setReferenceSheet(null);
+
+        try {
+            await drawReferenceSheet({ story, signal, cancelStep });
+        } catch (error) {
+            handleGenerationError(error, cancelStep, null);
+        }
+    };
+
+    /**
+     * Draw the book with the approved sheet sent along with every page (`skip` draws it without one)
+     */
+    const handleApproveReferenceSheet = async (skip = false) => {
+        const { story: sheetStory, signal, cancelStep, image } = referenceSheet;
+        const story = skip ? sheetStory : { ...sheetStory, referenceSheet: image };
+        setReferenceSheet(null);
+
+        try {
+            await drawStory(story, signal);
+        } catch (error) {
+            handleGenerationError(error, cancelStep, story);
+        }
+    };
+
+    /**
+     * Back from the character check or the reference sheet: the written story is dropped
+     */
+    const handleDiscardStory = (cancelStep) => {
+        if (!window.confirm('Go back and discard this story? It will be written again when you generate.')) return;
+
+        onCancelGeneration();
+        setCharacterSheet(null);
+        setReferenceSheet(null);
+        setStep(cancelStep);
+    };
+
+    /**
+     * Show the error screen, or go back to `cancelStep` (with everything still filled in) if cancelled
+     * Once streamed pages are in the viewer (`shownStory`), generation stops there and the error is shown as an alert.
+     */
+    const handleGenerationError = (error, cancelStep, shownStory) => {
+        if (isAbortError(error)) {
+            setProgress(0);
+            setStep(cancelStep);
+            return;
+        }
+
+        console.error('Error generating story:', error);
+        console.error('Full error details:', {
+            message: error.message,
+            stack: error.stack,
+            ...(typeof error.toLogData === 'function' ? error.toLogData() : {})
+        });
+
+        // Errors from the last provider tried (after failover) - say which one it was
+        const providerName = error.provider ? getProviderLabel(error.provider) : 'The AI service';
+
+        let errorTitle = 'Story Generation Error';
+        let errorMessage = `${error.message}\n\nPlease check the browser console (F12) for more details, or contact support with this error.`;
+
+        if (error instanceof AuthFailedError) {
+            errorTitle = 'API Configuration Error';
+            errorMessage = `API key issue: ${error.message}\n\nPlease check your API key in settings or the Netlify environment variables.`;
+        } else if (error instanceof QuotaExceededError) {
+            errorTitle = 'Insufficient Credits';
+            errorMessage = `${providerName} is out of credits or quota. Check your usage with the provider, or add another provider's key.`;
+        } else if (error instanceof RateLimitedError) {
+            errorTitle = 'Rate Limit Reached';
+            errorMessage = error.retryAfterMs
+                ? `Too many requests. Please wait about ${Math.ceil(error.retryAfterMs / 1000)} seconds before trying again.`
+                : 'Too many requests. Please wait a moment before trying again.';
+        } else if (error instanceof ContentBlockedError) {
+            errorTitle = 'Story Blocked';
+            errorMessage = `${providerName} declined this request.\n\nPlease try a different theme or reword your story idea.`;
+        } else if (error instanceof TimeoutError || error instanceof ServiceUnavailableError) {
+            errorTitle = 'Service Unavailable';
+            errorMessage = `${providerName} didn't respond in time or is having problems.\n\nThis is usually temporary - please try again in a moment.`;
+        } else if (error instanceof MalformedResponseError) {
+            errorTitle = 'Story Generation Failed';
+            errorMessage = `Story creation error: ${error.message}\n\nThe story came back incomplete. Please try again, or simplify your request.`;
+        }
+
+        if (shownStory) {
+            onCancelGeneration();
+            alert(`${errorTitle}\n\n${errorMessage}`);
+            return;
+        }
+
+        setError({ title: errorTitle, message: errorMessage });
+        setStep(4);
+    };
+
     const handleGenerate = async () => {
         if (!childName || !storyPrompt || !childAge) {
             alert('Please fill in all fields');
             return;
         }
 
+        const pageCount = Number(pageCountInput);
+        if (!isValidPageCount(pageCount)) {
+            alert(`Please choose a whole number of pages between ${PAGE_COUNT_RANGE.min} and ${PAGE_COUNT_RANGE.max}`);
+            return;
+        }
+
+        const castProblem = checkCast();
+        if (castProblem) {
+            alert(castProblem);
+            return;
+        }
+
         setStep(3);
         setProgress(5);
 
+        const signal = onGenerationStart();
+        const shown = { story: null };
+
         try {
-            const pageCount = length === 'short' ? 5 : 10;
+            // Outline-first: plan the book and let the parent review it before any page is written
+            if (planFirst) {
+                setLoadingText('Planning your story...');
+                const { outline: plannedOutline } = await generateStoryOutline(childName, storyPrompt, pageCount, childAge, {
+                    signal, format, language, coStars: coStarDetails, companions: companionDetails, preferences
+                });
+                throwIfAborted(signal);
+
+                setOutline(plannedOutline);
+                setProgress(0);
+                setStep(5);
+                return;
+            }
 
             // Step 1 & 2: Parallelize photo analysis AND story generation for speed!
             setLoadingText('Preparing your magical story...');
 
-            const [characterDescription, storyContent] = await Promise.all([
-                // Photo analysis (with timeout, non-blocking failure)
-                analyzePersonPhoto(photoPreview, childName, childAge)
-                    .catch(err => {
-                        console.warn('Character analysis skipped:', err.message);
-                        return null;
-                    }),
-                // Story generation
-                generateStoryContent(childName, storyPrompt, pageCount, childAge)
+            const [analyses, { storyContent, provider: textProvider }] = await Promise.all([
+                analyzePhotos(signal),
+                generateStoryContent(childName, storyPrompt, pageCount, childAge, {
+                    onProgress: trackWriting(pageCount, null, shown),
+                    signal,
+                    format,
+                    readingLevel,
+                    language,
+                    secondaryLanguage: secondaryLanguage || null,
+                    coStars: coStarDetails,
+                    companions: companionDetails,
+                    preferences
+                })
             ]);
+            throwIfAborted(signal);
 
-            setProgress(25);
-            setLoadingText('Story created! Starting illustrations...');
+            await illustrate(storyContent, textProvider, analyses, signal, null, shown.story, 2);
+        } catch (error) {
+            handleGenerationError(error, 2, shown.story);
+        }
+    };
 
-            // Create story shell with placeholder pages (all marked as loading)
-            const coverPage = {
-                pageNumber: 0,
-                text: '',
-                image: null,
-                isCover: true,
-                isLoading: true
-            };
+    /**
+     * Write the pages from the outline the parent approved
+     */
+    const handleWriteFromOutline = async () => {
+        const pageCount = outline.beats.length;
+        const issues = validateStoryOutline(outline, { childName, pageCount, coStarNames, companionNames });
+        if (issues.length > 0) {
+            alert(`Please fix the story plan first:\n\n${issues.join('\n')}`);
+            return;
+        }
 
-            const storyPages = storyContent.pages.map(page => ({
-                pageNumber: page.pageNumber,
-                text: page.text,
-                image: null,
-                isLoading: true
-            }));
-
-            const story = {
-                id: Date.now().toString(),
-                title: storyContent.title,
-                childName: childName,
-                pages: [coverPage, ...storyPages],
-                createdAt: new Date().toISOString(),
-                saved: false,
-                isGenerating: true  // Flag for viewer to show generation in progress
-            };
-
-            // Show story viewer IMMEDIATELY with loading placeholders!
-            onStoryGenerated(story);
-
-            // Now generate images one-by-one, updating each page as it completes
-            const totalImages = storyContent.pages.length + 1;
-            let completedImages = 0;
-
-            // Generate cover first
-            try {
-                const coverUrl = await generatePageImage(
-                    `Create a stunning storybook cover illustration for "${storyContent.title}". The cover should show ${childName} as the main character in an exciting pose or scene that captures the essence of the story. Style: vibrant, child-friendly, professional children's book cover art.`,
-                    0, photoPreview, childName, characterDescription,
-                    {
-                        locations: storyContent.locations,
-                        currentLocation: storyContent.locations?.[0] || 'magical setting',
-                        characters: storyContent.characters || {}
-                    },
-                    childAge
-                );
-                completedImages++;
-                onPageUpdate(0, coverUrl, completedImages === totalImages);
-            } catch (error) {
-                console.warn('Cover generation failed:', error.message);
-                completedImages++;
-                onPageUpdate(0, null, completedImages === totalImages);
-            }
+        setStep(3);
+        setProgress(5);
 
-            // Generate story pages one-by-one
-            for (let i = 0; i < storyContent.pages.length; i++) {
-                const pageData = storyContent.pages[i];
-
-                try {
-                    const imageUrl = await generatePageImage(
-                        pageData.imagePrompt,
-                        pageData.pageNumber,
-                        photoPreview,
-                        childName,
-                        characterDescription,
-                        {
-                            currentLocation: pageData.location,
-                            characters: storyContent.characters || {}
-                        },
-                        childAge
-                    );
-                    completedImages++;
-                    onPageUpdate(pageData.pageNumber, imageUrl, completedImages === totalImages);
-                } catch (error) {
-                    console.warn(`Page ${pageData.pageNumber} image failed:`, error.message);
-                    completedImages++;
-                    onPageUpdate(pageData.pageNumber, null, completedImages === totalImages);
-                }
-            }
+        const signal = onGenerationStart();
+        const shown = { story: null };
 
-            // All done! (viewer will update isGenerating: false from the last onPageUpdate)
+        try {
+            setLoadingText('Writing your story from the plan...');
+
+            const [analyses, { storyContent, provider: textProvider }] = await Promise.all([
+                analyzePhotos(signal),
+                generateStoryContent(childName, storyPrompt, pageCount, childAge, {
+                    onProgress: trackWriting(pageCount, outline, shown),
+                    signal,
+                    outline, format,
+                    readingLevel,
+                    language,
+                    secondaryLanguage: secondaryLanguage || null,
+                    coStars: coStarDetails,
+                    companions: companionDetails,
+                    preferences
+                })
+            ]);
+            throwIfAborted(signal);
 
+            await illustrate(storyContent, textProvider, analyses, signal, outline, shown.story, 5);
         } catch (error) {
-            console.error('Error generating story:', error);
-            console.error('Full error details:', {
-                message: error.message,
-                stack: error.stack,
-                response: error.response
-            });
-
-            let errorTitle = 'Story Generation Error';
-            let errorMessage = `${error.message}\n\nPlease check the browser console (F12) for more details, or contact support with this error.`;
-
-            if (error.message.includes('Image generation failed')) {
-                errorTitle = 'Image Generation Issue';
-                errorMessage = `Image generation failed: ${error.message}\n\nThis might be due to API rate limits or temporary service issues. Please try again in a moment.`;
-            } else if (error.message.includes('API key')) {
-                errorTitle = 'API Configuration Error';
-                errorMessage = `API key issue: ${error.message}\n\nPlease check Netlify environment variables.`;
-            } else if (error.message.includes('Story generation failed')) {
-                errorTitle = 'Story Generation Failed';
-                errorMessage = `Story creation error: ${error.message}\n\nPlease try a different theme or simplify your request.`;
-            } else if (error.message.includes('rate limit') || error.message.includes('429')) {
-                errorTitle = 'Rate Limit Reached';
-                errorMessage = 'Too many requests. Please wait a moment before trying again.';
-            } else if (error.message.includes('credits') || error.message.includes('402')) {
-                errorTitle = 'Insufficient Credits';
-                errorMessage = 'API quota exceeded. Check your usage at aistudio.google.com';
-            }
+            handleGenerationError(error, 5, shown.story);
+        }
+    };
+
+    const updateSheetStory = (changes) => setCharacterSheet(prev => ({ ...prev, story: { ...prev.story, ...changes } }));
+
+    // Hero 0 is the child, the rest are the co-stars
+    const updateHeroLooks = (heroIndex, changes) => setCharacterSheet(prev => {
+        const { story } = prev;
+        if (heroIndex === 0) {
+            return { ...prev, story: { ...story, characterDescription: { ...story.characterDescription, ...changes } } };
+        }
+        const coStars = story.coStars.map((coStar, i) => (i === heroIndex - 1
+            ? { ...coStar, characterDescription: { ...coStar.characterDescription, ...changes } }
+            : coStar));
+        return { ...prev, story: { ...story, coStars } };
+    });
 
-            setError({ title: errorTitle, message: errorMessage });
-            setStep(4);
+    /**
+     * Start the illustrations with the character sheet as the parent left it
+     */
+    const handleConfirmCharacters = async () => {
+        const { story, signal, cancelStep } = characterSheet;
+        setCharacterSheet(null);
+
+        // Corrections to the child's looks are kept for their next book
+        if (profile && story.characterDescription && story.characterDescription !== profile.characterDescription) {
+            const corrected = { ...profile, characterDescription: story.characterDescription };
+            const result = await saveProfile(corrected);
+            if (result.success) setProfile(corrected);
+        }
+
+        try {
+            await startIllustrating(story, signal, cancelStep);
+        } catch (error) {
+            handleGenerationError(error, cancelStep, drawsReferenceSheet ? null : story);
         }
     };
 
+    const updateOutline = (changes) => setOutline(prev => ({ ...prev, ...changes }));
+
+    const updateBeat = (index, changes) => setOutline(prev => ({
+        ...prev,
+        beats: prev.beats.map((beat, i) => (i === index ? { ...beat, ...changes } : beat))
+    }));
+
+    // The hero, pets and toys are described from their photos, so only the supporting cast is editable
+    const isFromPhoto = (name) => [childName, ...companionNames]
+        .some(photoName => name.trim().toLowerCase() === photoName.trim().toLowerCase());
+
+    // Beats may name a location in a different case than its key (the validator allows it)
+    const locationKey = (name) => Object.keys(outline.locations)
+        .find(key => key.toLowerCase() === String(name).trim().toLowerCase()) ?? name;
+
+    // The child and the co-stars on the character sheet, with their photo analysis
+    const sheetHeroes = characterSheet
+        ? [
+            { name: childName, photo: characterSheet.story.heroPhoto, looks: characterSheet.story.characterDescription },
+            ...characterSheet.story.coStars.map(coStar => ({ name: coStar.name, photo: coStar.photo, looks: coStar.characterDescription }))
+        ]
+        : [];
+
     return (
         <div className="page-container">
             <div className="story-creator-page">
                 <div className="story-creator">
+                    {step === 0 && (
+                        <ProfilePicker
+                            onSelect={handleSelectProfile}
+                            onSkip={handleSkipProfile}
+                            onClose={onClose}
+                        />
+                    )}
+
                     {step === 1 && (
                         <div className="creator-step">
                             <div className="step-header">
-                                <button className="back-link" onClick={onClose}>← Back to Home</button>
+                                <button className="back-link" onClick={() => setStep(0)}>← Back</button>
                                 <h3 className="step-title">Upload Your Child's Photo</h3>
                             </div>
                             <p className="step-description">Choose a clear, well-lit photo where your child's face is visible</p>
@@ -296,37 +699,162 @@ export default function StoryCreator({ onClose, onStoryGenerated, onPageUpdate }
                             <h3 className="step-title">Tell Us About Your Story</h3>
                             <p className="step-description">What magical adventure should we create?</p>
 
-                            <div className="form-row" style={{ display: 'flex', gap: '1rem' }}>
-                                <div className="form-group" style={{ flex: 1 }}>
-                                    <label htmlFor="childName">Child's Name</label>
-                                    <input
-                                        type="text"
-                                        id="childName"
-                                        value={childName}
-                                        onChange={(e) => setChildName(e.target.value)}
-                                        placeholder="Enter hero's name"
-                                        required
-                                    />
+                            {profile ? (
+                                <div className="profile-banner">
+                                    {photoPreview && <img src={photoPreview} alt={childName} />}
+                                    <span>
+                                        <strong dir="auto">{childName}</strong>
+                                        <small>{childAge} {childAge === '1' ? 'year' : 'years'} old</small>
+                                    </span>
+                                    <button className="change-photo-btn" onClick={() => setStep(0)}>
+                                        Change child
+                                    </button>
                                 </div>
-                                <div className="form-group" style={{ width: '120px' }}>
-                                    <label htmlFor="childAge">Age</label>
-                                    <input
-                                        type="number"
-                                        id="childAge"
-                                        value={childAge}
-                                        onChange={(e) => setChildAge(e.target.value)}
-                                        placeholder="Age"
-                                        min="1"
-                                        max="16"
-                                        required
-                                    />
+                            ) : (
+                                <div className="form-row" style={{ display: 'flex', gap: '1rem' }}>
+                                    <div className="form-group" style={{ flex: 1 }}>
+                                        <label htmlFor="childName">Child's Name</label>
+                                        <input
+                                            type="text"
+                                            id="childName"
+                                            dir="auto"
+                                            value={childName}
+                                            onChange={(e) => setChildName(e.target.value)}
+                                            placeholder="Enter hero's name"
+                                            required
+                                        />
+                                    </div>
+                                    <div className="form-group" style={{ width: '120px' }}>
+                                        <label htmlFor="childAge">Age</label>
+                                        <input
+                                            type="number"
+                                            id="childAge"
+                                            value={childAge}
+                                            onChange={(e) => setChildAge(e.target.value)}
+                                            placeholder="Age"
+                                            min="1"
+                                            max="16"
+                                            required
+                                        />
+                                    </div>
                                 </div>
+                            )}
+
+                            <div className="form-group">
+                                <label>More Heroes (optional)</label>
+                                {coStars.map((coStar, index) => (
+                                    <div key={index} className="cast-row">
+                                        <label className="cast-photo" title={coStar.photo ? 'Change photo' : 'Upload a photo'}>
+                                            {coStar.photo ? <img src={coStar.photo} alt={coStar.name || 'Hero photo'} /> : '📸'}
+                                            <input
+                                                type="file"
+                                                accept="image/*"
+                                                onChange={(e) => handleCoStarPhotoChange(index, e)}
+                                                style={{ display: 'none' }}
+                                            />
+                                        </label>
+                                        <input
+                                            type="text"
+                                            dir="auto"
+                                            value={coStar.name}
+                                            onChange={(e) => updateCoStar(index, { name: e.target.value })}
+                                            placeholder="Name"
+                                            aria-label="Name"
+                                        />
+                                        <input
+                                            type="number"
+                                            className="cast-field-small"
+                                            value={coStar.age}
+                                            onChange={(e) => updateCoStar(index, { age: e.target.value })}
+                                            placeholder="Age"
+                                            aria-label="Age"
+                                            min="1"
+                                            max="120"
+                                        />
+                                        <button
+                                            type="button"
+                                            className="cast-remove"
+                                            onClick={() => setCoStars(prev => prev.filter((_, i) => i !== index))}
+                                            title="Remove"
+                                        >
+                                            ✕
+                                        </button>
+                                    </div>
+                                ))}
+                                {coStars.length < MAX_CO_STARS && (
+                                    <button
+                                        type="button"
+                                        className="add-cast-btn"
+                                        onClick={() => setCoStars(prev => [...prev, { name: '', age: '', photo: null }])}
+                                    >
+                                        + Add another person
+                                    </button>
+                                )}
+                                <span className="form-hint">
+                                    Siblings, parents or grandparents can star too - up to {MAX_CO_STARS}, each with their own clear photo
+                                </span>
+                            </div>
+
+                            <div className="form-group">
+                                <label>Pets &amp; Toys (optional)</label>
+                                {companions.map((companion, index) => (
+                                    <div key={index} className="cast-row">
+                                        <label className="cast-photo" title={companion.photo ? 'Change photo' : 'Upload a photo'}>
+                                            {companion.photo ? <img src={companion.photo} alt={companion.name || 'Companion photo'} /> : '🐾'}
+                                            <input
+                                                type="file"
+                                                accept="image/*"
+                                                onChange={(e) => handleCompanionPhotoChange(index, e)}
+                                                style={{ display: 'none' }}
+                                            />
+                                        </label>
+                                        <input
+                                            type="text"
+                                            dir="auto"
+                                            value={companion.name}
+                                            onChange={(e) => updateCompanion(index, { name: e.target.value })}
+                                            placeholder="Name"
+                                            aria-label="Name"
+                                        />
+                                        <select
+                                            className="cast-field-small"
+                                            value={companion.kind}
+                                            onChange={(e) => updateCompanion(index, { kind: e.target.value })}
+                                            aria-label="Pet or toy"
+                                        >
+                                            {Object.values(COMPANION_KINDS).map(kind => (
+                                                <option key={kind.id} value={kind.id}>{kind.label}</option>
+                                            ))}
+                                        </select>
+                                        <button
+                                            type="button"
+                                            className="cast-remove"
+                                            onClick={() => setCompanions(prev => prev.filter((_, i) => i !== index))}
+                                            title="Remove"
+                                        >
+                                            ✕
+                                        </button>
+                                    </div>
+                                ))}
+                                {companions.length < MAX_COMPANIONS && (
+                                    <button
+                                        type="button"
+                                        className="add-cast-btn"
+                                        onClick={() => setCompanions(prev => [...prev, { name: '', kind: DEFAULT_COMPANION_KIND, photo: null }])}
+                                    >
+                                        + Add a pet or toy
+                                    </button>
+                                )}
+                                <span className="form-hint">
+                                    Their own dog, cat or favourite teddy joins the adventure and looks like the photo on every page
+                                </span>
                             </div>
 
                             <div className="form-group">
                                 <label htmlFor="storyPrompt">Story Theme</label>
                                 <textarea
                                     id="storyPrompt"
+                                    dir="auto"
                                     value={storyPrompt}
                                     onChange={(e) => setStoryPrompt(e.target.value)}
                                     rows="4"
@@ -336,35 +864,169 @@ export default function StoryCreator({ onClose, onStoryGenerated, onPageUpdate }
                             </div>
 
                             <div className="form-group">
-                                <label>Story Length</label>
+                                <label htmlFor="language">Story Language</label>
+                                <select
+                                    id="language"
+                                    value={language}
+                                    onChange={(e) => handleLanguageChange(e.target.value)}
+                                >
+                                    {Object.values(LANGUAGES).map(option => (
+                                        <option key={option.code} value={option.code}>{languageName(option)}</option>
+                                    ))}
+                                </select>
+                                <span className="form-hint">The story text is written in this language; the theme can be in any language</span>
+                            </div>
+
+                            <div className="form-group">
+                                <label htmlFor="secondaryLanguage">Second Language (optional)</label>
+                                <select
+                                    id="secondaryLanguage"
+                                    value={secondaryLanguage}
+                                    onChange={(e) => setSecondaryLanguage(e.target.value)}
+                                >
+                                    <option value="">None - one language only</option>
+                                    {Object.values(LANGUAGES)
+                                        .filter(option => option.code !== language)
+                                        .map(option => (
+                                            <option key={option.code} value={option.code}>{languageName(option)}</option>
+                                        ))}
+                                </select>
+                                <span className="form-hint">Makes a bilingual book: every page is written in both languages, side by side</span>
+                            </div>
+
+                            <div className="form-group">
+                                <label>Book Format</label>
                                 <div className="radio-group">
-                                    {['short', 'long'].map(len => (
-                                        <label key={len} className="radio-option">
+                                    {Object.values(BOOK_FORMATS).map(option => (
+                                        <label key={option.id} className="radio-option">
                                             <input
                                                 type="radio"
-                                                name="length"
-                                                value={len}
-                                                checked={length === len}
-                                                onChange={(e) => setLength(e.target.value)}
+                                                name="format"
+                                                value={option.id}
+                                                checked={format === option.id}
+                                                onChange={() => handleFormatChange(option.id)}
                                             />
                                             <span className="radio-label">
-                                                <strong>{len.charAt(0).toUpperCase() + len.slice(1)}</strong>
-                                                <small>{len === 'short' ? '5 pages' : '10 pages'}</small>
+                                                <strong>{option.label}</strong>
+                                                <small>Ages {option.ages} · {describeWordsPerPage(option.id, readingLevel)} a page</small>
                                             </span>
                                         </label>
                                     ))}
                                 </div>
                             </div>
 
+                            <div className="form-group">
+                                <label>Reading Level</label>
+                                <div className="radio-group">
+                                    {Object.values(READING_LEVELS).map(option => (
+                                        <label key={option.id} className="radio-option">
+                                            <input
+                                                type="radio"
+                                                name="readingLevel"
+                                                value={option.id}
+                                                checked={readingLevel === option.id}
+                                                onChange={() => setReadingLevel(option.id)}
+                                            />
+                                            <span className="radio-label">
+                                                <strong>{option.label}</strong>
+                                                <small>{option.description}</small>
+                                            </span>
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div className="form-group">
+                                <label>Art Style</label>
+                                <div className="radio-group">
+                                    {Object.values(ART_STYLES).map(option => (
+                                        <label key={option.id} className="radio-option art-style-option">
+                                            <input
+                                                type="radio"
+                                                name="artStyle"
+                                                value={option.id}
+                                                checked={artStyle === option.id}
+                                                onChange={() => setArtStyle(option.id)}
+                                            />
+                                            <span className="radio-label">
+                                                <span
+                                                    className="art-style-swatch"
+                                                    style={{ background: `linear-gradient(135deg, ${option.swatch.join(', ')})` }}
+                                                    aria-hidden="true"
+                                                ></span>
+                                                <strong>{option.label}</strong>
+                                                <small>{option.description}</small>
+                                            </span>
+                                        </label>
+                                    ))}
+                                </div>
+                                <span className="form-hint">Every page and the cover are drawn in this style</span>
+                            </div>
+
+                            <div className="form-group">
+                                <label htmlFor="pageCount">Number of Pages</label>
+                                <input
+                                    type="number"
+                                    id="pageCount"
+                                    value={pageCountInput}
+                                    onChange={(e) => setPageCountInput(e.target.value)}
+                                    min={PAGE_COUNT_RANGE.min}
+                                    max={PAGE_COUNT_RANGE.max}
+                                    step="1"
+                                    style={{ width: '120px' }}
+                                />
+                                <span className="form-hint">
+                                    {PAGE_COUNT_RANGE.min}-{PAGE_COUNT_RANGE.max} illustrated pages, plus the cover
+                                </span>
+                            </div>
+
+                            <label className="checkbox-option">
+                                <input
+                                    type="checkbox"
+                                    checked={planFirst}
+                                    onChange={(e) => setPlanFirst(e.target.checked)}
+                                />
+                                <span>
+                                    <strong>Plan the story first</strong>
+                                    <small>Review and tweak the plot, characters and places before the pages are written</small>
+                                </span>
+                            </label>
+
+                            <label className="checkbox-option">
+                                <input
+                                    type="checkbox"
+                                    checked={checkCharacters}
+                                    onChange={(e) => setCheckCharacters(e.target.checked)}
+                                />
+                                <span>
+                                    <strong>Check the characters before drawing</strong>
+                                    <small>Correct hair, skin and eye colour, outfits and the other characters before the illustrations start</small>
+                                </span>
+                            </label>
+
+                            {canUseReferenceSheet && (
+                                <label className="checkbox-option">
+                                    <input
+                                        type="checkbox"
+                                        checked={useReferenceSheet}
+                                        onChange={(e) => setUseReferenceSheet(e.target.checked)}
+                                    />
+                                    <span>
+                                        <strong>Draw a character sheet first</strong>
+                                        <small>Approve a front, side and back view of the hero in their outfit, then every page is drawn to match it</small>
+                                    </span>
+                                </label>
+                            )}
+
                             <div className="button-group">
-                                <button className="back-btn" onClick={() => setStep(1)}>
+                                <button className="back-btn" onClick={() => setStep(profile ? 0 : 1)}>
                                     <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                                         <path d="M19 12H5m7 7l-7-7 7-7"></path>
                                     </svg>
                                     Back
                                 </button>
                                 <button className="generate-btn" onClick={handleGenerate}>
-                                    <span className="button-text">Generate Story ✨</span>
+                                    <span className="button-text">{planFirst ? 'Plan Story ✨' : 'Generate Story ✨'}</span>
                                 </button>
                             </div>
                         </div>
@@ -397,8 +1059,231 @@ export default function StoryCreator({ onClose, onStoryGenerated, onPageUpdate }
                                     marginTop: '1rem',
                                     textAlign: 'center'
                                 }}>
-                                    ⏱️ This might take 4-5 minutes. Please don't close your browser!
+                                    ⏱️ This might take 4-5 minutes. If you close your browser, you can pick up where you left off next time.
                                 </p>
+                                <button className="back-btn cancel-generation-btn" onClick={onCancelGeneration}>
+                                    Cancel
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {step === 5 && outline && (
+                        <div className="creator-step outline-review">
+                            <h3 className="step-title">Review the Story Plan</h3>
+                            <p className="step-description">Change anything you like - the pages will be written from this plan</p>
+
+                            <div className="form-group">
+                                <label htmlFor="outlineTitle">Title</label>
+                                <input
+                                    type="text"
+                                    id="outlineTitle"
+                                    dir="auto"
+                                    value={outline.title}
+                                    onChange={(e) => updateOutline({ title: e.target.value })}
+                                />
+                            </div>
+
+                            <div className="form-group">
+                                <label htmlFor="outlineOutfit">{childName}'s Outfit</label>
+                                <input
+                                    type="text"
+                                    id="outlineOutfit"
+                                    value={outline.characterOutfit}
+                                    onChange={(e) => updateOutline({ characterOutfit: e.target.value })}
+                                />
+                            </div>
+
+                            <div className="form-group">
+                                <label>Pages</label>
+                                <ol className="outline-beats">
+                                    {outline.beats.map((beat, index) => (
+                                        <li key={beat.pageNumber} className="outline-beat">
+                                            <div className="outline-beat-header">
+                                                <strong>Page {beat.pageNumber}</strong>
+                                                <select
+                                                    value={locationKey(beat.location)}
+                                                    onChange={(e) => updateBeat(index, { location: e.target.value })}
+                                                    aria-label={`Page ${beat.pageNumber} location`}
+                                                >
+                                                    {Object.keys(outline.locations).map(name => (
+                                                        <option key={name} value={name}>{name}</option>
+                                                    ))}
+                                                </select>
+                                            </div>
+                                            <textarea
+                                                rows="2"
+                                                dir="auto"
+                                                value={beat.summary}
+                                                onChange={(e) => updateBeat(index, { summary: e.target.value })}
+                                            />
+                                            {beat.charactersPresent.length > 0 && (
+                                                <small className="outline-beat-cast">With {beat.charactersPresent.join(', ')}</small>
+                                            )}
+                                        </li>
+                                    ))}
+                                </ol>
+                            </div>
+
+                            {Object.keys(outline.characters).some(name => !isFromPhoto(name)) && (
+                                <div className="form-group">
+                                    <label>Characters</label>
+                                    {Object.entries(outline.characters).filter(([name]) => !isFromPhoto(name)).map(([name, description]) => (
+                                        <div key={name} className="outline-entry">
+                                            <strong>{name}</strong>
+                                            <textarea
+                                                rows="2"
+                                                value={description}
+                                                onChange={(e) => updateOutline({ characters: { ...outline.characters, [name]: e.target.value } })}
+                                            />
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+
+                            <div className="form-group">
+                                <label>Places</label>
+                                {Object.entries(outline.locations).map(([name, description]) => (
+                                    <div key={name} className="outline-entry">
+                                        <strong>{name}</strong>
+                                        <textarea
+                                            rows="2"
+                                            value={description}
+                                            onChange={(e) => updateOutline({ locations: { ...outline.locations, [name]: e.target.value } })}
+                                        />
+                                    </div>
+                                ))}
+                            </div>
+
+                            <div className="button-group">
+                                <button className="back-btn" onClick={() => setStep(2)}>
+                                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                        <path d="M19 12H5m7 7l-7-7 7-7"></path>
+                                    </svg>
+                                    Back
+                                </button>
+                                <button className="back-btn" onClick={handleGenerate}>
+                                    Re-plan
+                                </button>
+                                <button className="generate-btn" onClick={handleWriteFromOutline}>
+                                    <span className="button-text">Write Story ✨</span>
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {step === 6 && characterSheet && (
+                        <div className="creator-step outline-review">
+                            <h3 className="step-title">Check the Characters</h3>
+                            <p className="step-description">This is how everyone will be drawn on every page - fix anything that's wrong before the illustrations start</p>
+
+                            {sheetHeroes.map((hero, heroIndex) => (
+                                <div key={heroIndex} className="form-group character-sheet-hero">
+                                    <div className="character-sheet-name">
+                                        {hero.photo && <img src={hero.photo} alt={hero.name} />}
+                                        <strong dir="auto">{hero.name}</strong>
+                                    </div>
+                                    {hero.looks ? (
+                                        <>
+                                            <div className="character-sheet-fields">
+                                                {APPEARANCE_FIELDS.map(field => (
+                                                    <div key={field.id} className="outline-entry">
+                                                        <strong>{field.label}</strong>
+                                                        <input
+                                                            type="text"
+                                                            value={hero.looks[field.id] || ''}
+                                                            onChange={(e) => updateHeroLooks(heroIndex, { [field.id]: e.target.value })}
+                                                        />
+                                                    </div>
+                                                ))}
+                                            </div>
+                                            <div className="outline-entry">
+                                                <strong>Description</strong>
+                                                <textarea
+                                                    rows="3"
+                                                    value={hero.looks.characterDescription || ''}
+                                                    onChange={(e) => updateHeroLooks(heroIndex, { characterDescription: e.target.value })}
+                                                />
+                                            </div>
+                                            {heroIndex === 0 && profile && (
+                                                <span className="form-hint">Changes are kept on {profile.name}'s profile for the next book</span>
+                                            )}
+                                        </>
+                                    ) : (
+                                        <span className="form-hint">The photo couldn't be analyzed, so {hero.name} will be drawn from the photo alone</span>
+                                    )}
+                                </div>
+                            ))}
+
+                            <div className="form-group">
+                                <label htmlFor="sheetOutfit">{childName}'s Outfit</label>
+                                <input
+                                    type="text"
+                                    id="sheetOutfit"
+                                    value={characterSheet.story.characterOutfit || ''}
+                                    onChange={(e) => updateSheetStory({ characterOutfit: e.target.value })}
+                                />
+                            </div>
+
+                            {Object.keys(characterSheet.story.characters).length > 0 && (
+                                <div className="form-group">
+                                    <label>Characters</label>
+                                    {Object.entries(characterSheet.story.characters).map(([name, description]) => (
+                                        <div key={name} className="outline-entry">
+                                            <strong>{name}</strong>
+                                            <textarea
+                                                rows="2"
+                                                value={description}
+                                                onChange={(e) => updateSheetStory({ characters: { ...characterSheet.story.characters, [name]: e.target.value } })}
+                                            />
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+
+                            <div className="button-group">
+                                <button className="back-btn" onClick={() => handleDiscardStory(characterSheet.cancelStep)}>
+                                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                        <path d="M19 12H5m7 7l-7-7 7-7"></path>
+                                    </svg>
+                                    Back
+                                </button>
+                                <button className="generate-btn" onClick={handleConfirmCharacters}>
+                                    <span className="button-text">Looks Right - Draw It ✨</span>
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {step === 7 && referenceSheet && (
+                        <div className="creator-step">
+                            <h3 className="step-title">Approve the Character Sheet</h3>
+                            <p className="step-description">Every page will be drawn to match this sheet - draw it again if {childName} doesn't look right</p>
+
+                            {referenceSheet.image ? (
+                                <div className="reference-sheet-preview">
+                                    <img src={referenceSheet.image} alt={`${childName}'s character sheet`} />
+                                </div>
+                            ) : (
+                                <p className="reference-sheet-error">The character sheet couldn't be drawn: {referenceSheet.error}</p>
+                            )}
+
+                            <div className="button-group">
+                                <button className="back-btn" onClick={() => handleDiscardStory(referenceSheet.cancelStep)}>
+                                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                        <path d="M19 12H5m7 7l-7-7 7-7"></path>
+                                    </svg>
+                                    Back
+                                </button>
+                                <button className="back-btn" onClick={handleRedrawReferenceSheet}>
+                                    Draw Again
+                                </button>
+                                <button className="back-btn" onClick={() => handleApproveReferenceSheet(true)}>
+                                    Skip Sheet
+                                </button>
+                                <button className="generate-btn" onClick={() => handleApproveReferenceSheet()} disabled={!referenceSheet.image}>
+                                    <span className="button-text">Use This Sheet ✨</span>
+                                </button>
                             </div>
                         </div>
                     )}
@@ -1,11 +1,35 @@
 import { useState, useEffect } from 'react';
-import { saveStory, isStorySaved } from '../services/storageService';
+import { saveStory, isStorySaved, updateStory } from '../services/storageService';
 import { generateEPUB } from '../utils/epubGenerator';
+import { createHistory, recordChange, undo, redo } from '../utils/editHistory';
+import { getProviderLabel, simplifyPageText } from '../services/aiProvider';
+import { getBookFormat, getWordsPerPage } from '../services/bookFormats';
+import { scorePage } from '../services/readingLevels';
+import { getLanguage, getBookString } from '../services/languages';
+import RedrawPanel from './RedrawPanel';
 
-export default function StoryViewer({ story, onClose, onStorySaved, isGenerating = false }) {
+export default function StoryViewer({ story, onClose, onStorySaved, onStoryUpdated, onCancelGeneration, onDiscardStory, isGenerating = false }) {
     const [currentPage, setCurrentPage] = useState(0);
     const [isSaved, setIsSaved] = useState(false);
     const [isGeneratingEbook, setIsGeneratingEbook] = useState(false);
+    const [isGeneratingPdf, setIsGeneratingPdf] = useState(false);
+    const [redrawPageNumber, setRedrawPageNumber] = useState(null);
+    const [editHistory, setEditHistory] = useState(null); // null unless in edit mode
+    const [isSavingEdits, setIsSavingEdits] = useState(false);
+    const [wasCancelled, setWasCancelled] = useState(false);
+    const [simplifyingPage, setSimplifyingPage] = useState(null); // page number being rewritten
+    const [shownLanguages, setShownLanguages] = useState('both'); // bilingual books: 'both' | 'primary' | 'secondary'
+
+    // Edit mode works on a draft of the title and page texts (and second-language texts, if bilingual)
+    const isEditing = editHistory !== null;
+    const draft = editHistory?.present;
+    const hasUnsavedEdits = isEditing && (
+        draft.title !== story.title ||
+        story.pages.some(page => !page.isCover && (
+            draft.texts[page.pageNumber] !== page.text ||
+            (draft.secondaryTexts && draft.secondaryTexts[page.pageNumber] !== page.secondaryText)
+        ))
+    );
 
     // Calculate generation progress for loading indicator
     const totalPages = story.pages?.length || 0;
@@ -13,11 +37,17 @@ export default function StoryViewer({ story, onClose, onStorySaved, isGenerating
     const generationProgress = totalPages > 0 ? Math.round((loadedPages / totalPages) * 100) : 0;
 
     useEffect(() => {
-        setIsSaved(isStorySaved(story.id));
+        let cancelled = false;
+        isStorySaved(story.id).then(saved => {
+            if (!cancelled) setIsSaved(saved);
+        });
+        return () => {
+            cancelled = true;
+        };
     }, [story.id]);
 
-    const handleSave = () => {
-        const result = saveStory(story);
+    const handleSave = async () => {
+        const result = await saveStory(story);
 
         if (result.success) {
             setIsSaved(true);
@@ -32,8 +62,18 @@ export default function StoryViewer({ story, onClose, onStorySaved, isGenerating
         }
     };
 
-    const handlePrint = () => {
-        window.print();
+    const handlePrint = async () => {
+        setIsGeneratingPdf(true);
+        try {
+            // jsPDF + embedded fonts are large - only load them when a PDF is requested
+            const { generatePDF } = await import('../utils/pdfGenerator');
+            await generatePDF(story);
+        } catch (error) {
+            console.error('Failed to generate PDF:', error);
+            alert('Failed to create PDF. Please try again.');
+        } finally {
+            setIsGeneratingPdf(false);
+        }
     };
 
     const handleDownloadEbook = async () => {
@@ -49,69 +89,412 @@ export default function StoryViewer({ story, onClose, onStorySaved, isGenerating
         }
     };
 
+    /**
+     * Write a changed story back to the library copy (if the story is saved)
+     * Returns false if the update failed
+     */
+    const persistStoryUpdate = async (updatedStory) => {
+        if (!isSaved) return true;
+
+        const result = await updateStory(updatedStory);
+        if (!result.success) {
+            alert(result.error === 'QUOTA_EXCEEDED'
+                ? `❌ Storage Full!\n\n${result.message}`
+                : `Failed to update saved story: ${result.message}`);
+            return false;
+        }
+        return true;
+    };
+
+    const handleRedrawCommit = async (pageNumber, imageUrl, provider, usedReferenceSheet) => {
+        const updatedStory = {
+            ...story,
+            pages: story.pages.map(page =>
+                page.pageNumber === pageNumber ? { ...page, image: imageUrl, provider, usedReferenceSheet, isLoading: false } : page
+            )
+        };
+
+        setRedrawPageNumber(null);
+        onStoryUpdated(updatedStory);
+        await persistStoryUpdate(updatedStory);
+    };
+
+    const wordsPerPage = getWordsPerPage(story.format, story.readingLevel);
+    const language = getLanguage(story.language);
+    const secondaryLanguage = story.secondaryLanguage ? getLanguage(story.secondaryLanguage) : null;
+    const showsPrimaryText = !secondaryLanguage || shownLanguages !== 'secondary';
+
+    // A bilingual page is rewritten in both languages so they keep saying the same thing
+    const handleSimplifyPage = async (page, reasons) => {
+        setSimplifyingPage(page.pageNumber);
+        try {
+            const secondary = secondaryLanguage && page.secondaryText
+                ? { text: page.secondaryText, languageCode: secondaryLanguage.code }
+                : null;
+            const { text, secondaryText } = await simplifyPageText(page.text, story.readingLevel, wordsPerPage, reasons, null, secondary);
+            const updatedStory = {
+                ...story,
+                pages: story.pages.map(p => p.pageNumber === page.pageNumber ? { ...p, text, ...(secondary && { secondaryText }) } : p)
+            };
+
+            onStoryUpdated(updatedStory);
+            await persistStoryUpdate(updatedStory);
+        } catch (error) {
+            console.error('Failed to simplify page:', error);
+            alert(`Failed to simplify page ${page.pageNumber}: ${error.message}`);
+        } finally {
+            setSimplifyingPage(null);
+        }
+    };
+
+    const handleStartEditing = () => {
+        const pages = story.pages.filter(page => !page.isCover);
+        setEditHistory(createHistory({
+            title: story.title,
+            texts: Object.fromEntries(pages.map(page => [page.pageNumber, page.text])),
+            secondaryTexts: secondaryLanguage
+                ? Object.fromEntries(pages.map(page => [page.pageNumber, page.secondaryText ?? '']))
+                : null
+        }));
+    };
+
+    const handleTitleEdit = (title) => {
+        setEditHistory(history => recordChange(history, { ...history.present, title }, 'title'));
+    };
+
+    // `field` is 'texts' or 'secondaryTexts'
+    const handleTextEdit = (pageNumber, text, field = 'texts') => {
+        setEditHistory(history => recordChange(history, {
+            ...history.present,
+            [field]: { ...history.present[field], [pageNumber]: text }
+        }, `${field}-${pageNumber}`));
+    };
+
+    const handleCancelEditing = () => {
+        if (hasUnsavedEdits && !window.confirm('Discard your changes to this story?')) return;
+        setEditHistory(null);
+    };
+
+    const handleSaveEdits = async () => {
+        if (!hasUnsavedEdits) {
+            setEditHistory(null);
+            return;
+        }
+
+        const updatedStory = {
+            ...story,
+            title: draft.title.trim() || story.title,
+            pages: story.pages.map(page =>
+                page.isCover ? page : {
+                    ...page,
+                    text: draft.texts[page.pageNumber].trim(),
+                    ...(draft.secondaryTexts && { secondaryText: draft.secondaryTexts[page.pageNumber].trim() })
+                }
+            )
+        };
+
+        setIsSavingEdits(true);
+        const persisted = await persistStoryUpdate(updatedStory);
+        setIsSavingEdits(false);
+
+        // Stay in edit mode so nothing is lost if the library update failed
+        if (!persisted) return;
+
+        onStoryUpdated(updatedStory);
+        setEditHistory(null);
+    };
+
+    // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redoes (replaces per-field native undo)
+    const handleEditKeyDown = (e) => {
+        if (!isEditing || !(e.ctrlKey || e.metaKey)) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            setEditHistory(undo);
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+            e.preventDefault();
+            setEditHistory(redo);
+        }
+    };
+
+    const handleCancelGeneration = () => {
+        onCancelGeneration();
+        setWasCancelled(true);
+    };
+
+    const handleClose = () => {
+        if (hasUnsavedEdits && !window.confirm('Discard your changes to this story?')) return;
+
+        if (isGenerating) {
+            const stillRunning = story.isWriting ? 'The story is still being written' : 'Illustrations are still being created';
+            if (!window.confirm(`${stillRunning}. Stop and close this story?`)) return;
+            onCancelGeneration();
+        }
+        onClose();
+    };
+
     const themeIcons = ['🌟', '✨', '🎨', '🦄', '🌈', '🎭', '🎪', '🎡', '🎢', '🎠'];
 
+    const redrawButton = (page) => !isGenerating && !isEditing && simplifyingPage === null && !page.isLoading && (
+        <button
+            className="redraw-btn"
+            onClick={() => setRedrawPageNumber(page.pageNumber)}
+            title="Redraw this illustration"
+        >
+            🎨 Redraw
+        </button>
+    );
+
+    // Hover text naming the provider that drew the page (it may differ per page after a failover)
+    // and, for a book with a reference sheet, whether that provider drew the page from it
+    const illustratedBy = (page) => {
+        if (!page.provider) return undefined;
+        const sheetNote = story.referenceSheet ? (page.usedReferenceSheet ? ', matching the character sheet' : ', without the character sheet') : '';
+        return `Illustrated via ${getProviderLabel(page.provider)}${sheetNote}`;
+    };
+
+    const renderIllustration = (page, hue1, hue2, icon) => (
+        <>
+            {page.isLoading ? (
+                <div className="page-loading-spinner">
+                    <div className="spinner"></div>
+                    <p>Creating illustration...</p>
+                </div>
+            ) : page.image ? (
+                <img src={page.image} alt={`Page ${page.pageNumber}`} title={illustratedBy(page)} className="book-illustration" />
+            ) : (
+                <div className="placeholder-illustration" style={{
+                    background: `linear-gradient(135deg, hsl(${hue1}, 75%, 70%) 0%, hsl(${hue2}, 75%, 75%) 50%, hsl(${hue1}, 75%, 80%) 100%)`
+                }}>
+                    <div className="placeholder-icon">{icon}</div>
+                    <div className="placeholder-label">Illustration</div>
+                </div>
+            )}
+            {redrawButton(page)}
+        </>
+    );
+
+    // Flag pages that read above the story's reading level (hidden while the text can still change)
+    const renderReadabilityFlag = (page) => {
+        if (isGenerating || isEditing) return null;
+
+        const score = scorePage(page.text, story.readingLevel, wordsPerPage, language.code);
+        if (!score || score.onTarget) return null;
+
+        return (
+            <div className="readability-flag" role="note">
+                <span className="readability-flag-title">⚠️ Harder than the reading level</span>
+                <ul>
+                    {score.reasons.map(reason => <li key={reason}>{reason}</li>)}
+                </ul>
+                <button
+                    className="simplify-btn"
+                    onClick={() => handleSimplifyPage(page, score.reasons)}
+                    disabled={simplifyingPage !== null}
+                >
+                    {simplifyingPage === page.pageNumber ? 'Simplifying...' : '✨ Simplify this page'}
+                </button>
+            </div>
+        );
+    };
+
+    // Bilingual books: the second language sits under the first, in its own direction and style
+    const renderSecondaryText = (page) => {
+        if (!secondaryLanguage) return null;
+
+        if (isEditing) {
+            return (
+                <textarea
+                    className="book-story-text secondary-text book-text-editor"
+                    dir={secondaryLanguage.dir}
+                    lang={secondaryLanguage.code}
+                    value={draft.secondaryTexts[page.pageNumber] ?? ''}
+                    onChange={(e) => handleTextEdit(page.pageNumber, e.target.value, 'secondaryTexts')}
+                    aria-label={`${secondaryLanguage.label} text for page ${page.pageNumber}`}
+                />
+            );
+        }
+        if (shownLanguages === 'primary' || (page.isWriting && !page.secondaryText)) return null;
+
+        return (
+            <p className="book-story-text secondary-text" dir={secondaryLanguage.dir} lang={secondaryLanguage.code}>
+                {page.secondaryText}
+            </p>
+        );
+    };
+
+    const renderPageText = (page) => (
+        <div className="book-text-content">
+            <span className="page-number">{getBookString(language.code, 'page', { number: page.pageNumber })}</span>
+            {isEditing ? (
+                <textarea
+                    className="book-story-text book-text-editor"
+                    value={draft.texts[page.pageNumber] ?? ''}
+                    onChange={(e) => handleTextEdit(page.pageNumber, e.target.value)}
+                    aria-label={`Text for page ${page.pageNumber}`}
+                />
+            ) : showsPrimaryText && (
+                // Text still streaming in: show what has arrived so far
+                <p className={`book-story-text ${page.isWriting ? 'is-writing' : ''}`}>
+                    {page.text || (page.isWriting ? 'Writing...' : '')}
+                </p>
+            )}
+            {renderSecondaryText(page)}
+            {renderReadabilityFlag(page)}
+        </div>
+    );
+
+    const redrawPage = story.pages.find(p => p.pageNumber === redrawPageNumber);
+
     return (
         <div className="modal active">
-            <div className="modal-backdrop" onClick={onClose}></div>
+            <div className="modal-backdrop" onClick={handleClose}></div>
             <div className="modal-content story-book-modal">
-                <button className="modal-close" onClick={onClose}>&times;</button>
+                <button className="modal-close" onClick={handleClose}>&times;</button>
 
-                <div className="storybook-viewer">
+                <div className={`storybook-viewer layout-${getBookFormat(story.format).layout}`} onKeyDown={handleEditKeyDown}>
                     <div className="storybook-header">
                         <h2>
-                            {story.title}
+                            {isEditing ? (
+                                <input
+                                    type="text"
+                                    className="title-editor"
+                                    value={draft.title}
+                                    onChange={(e) => handleTitleEdit(e.target.value)}
+                                    aria-label="Story title"
+                                />
+                            ) : story.title}
                             {isGenerating && (
                                 <span className="generation-badge">
-                                    ✨ Generating images... {generationProgress}%
+                                    {story.isWriting ? '✍️ Writing the story...' : `✨ Generating images... ${generationProgress}%`}
+                                    <button className="generation-cancel-btn" onClick={handleCancelGeneration}>
+                                        Cancel
+                                    </button>
                                 </span>
                             )}
                         </h2>
-                        <div className="action-buttons">
-                            <button
-                                className={`action-btn save-story-btn ${isSaved ? 'saved' : ''}`}
-                                onClick={handleSave}
-                                disabled={isSaved || isGenerating}
-                                title={isGenerating ? 'Wait for images to finish generating' : ''}
-                            >
-                                {isSaved ? (
-                                    <>✓ Saved</>
-                                ) : isGenerating ? (
-                                    <>⏳ Generating...</>
-                                ) : (
-                                    <>
-                                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                                            <path d="M19 21H5a2 2 0 01-2-2V5a2 2 0 012-2h11l5 5v11a2 2 0 01-2 2z"></path>
-                                            <polyline points="17 21 17 13 7 13 7 21"></polyline>
-                                            <polyline points="7 3 7 8 15 8"></polyline>
-                                        </svg>
-                                        Save Story
-                                    </>
-                                )}
-                            </button>
-                            <button className="action-btn" onClick={handlePrint} disabled={isGenerating}>
-                                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                                    <path d="M6 9V2h12v7M6 18H4a2 2 0 01-2-2v-5a2 2 0 012-2h16a2 2 0 012 2v5a2 2 0 01-2 2h-2"></path>
-                                    <path d="M6 14h12v8H6z"></path>
-                                </svg>
-                                Print
-                            </button>
-                            <button
-                                className="action-btn ebook-btn"
-                                onClick={handleDownloadEbook}
-                                disabled={isGeneratingEbook || isGenerating}
-                            >
-                                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                                    <path d="M4 19.5A2.5 2.5 0 0 1 6.5 17H20"></path>
-                                    <path d="M6.5 2H20v20H6.5A2.5 2.5 0 0 1 4 19.5v-15A2.5 2.5 0 0 1 6.5 2z"></path>
-                                </svg>
-                                {isGeneratingEbook ? 'Generating...' : 'Download eBook'}
-                            </button>
-                        </div>
+                        {isEditing ? (
+                            <div className="action-buttons">
+                                <button
+                                    className="action-btn"
+                                    onClick={() => setEditHistory(undo)}
+                                    disabled={editHistory.past.length === 0}
+                                    title="Undo (Ctrl+Z)"
+                                >
+                                    ↶ Undo
+                                </button>
+                                <button
+                                    className="action-btn"
+                                    onClick={() => setEditHistory(redo)}
+                                    disabled={editHistory.future.length === 0}
+                                    title="Redo (Ctrl+Shift+Z)"
+                                >
+                                    ↷ Redo
+                                </button>
+                                <button className="action-btn" onClick={handleCancelEditing} disabled={isSavingEdits}>
+                                    Cancel
+                                </button>
+                                <button
+                                    className="action-btn save-story-btn"
+                                    onClick={handleSaveEdits}
+                                    disabled={isSavingEdits}
+                                >
+                                    {isSavingEdits ? 'Saving...' : '✓ Save Changes'}
+                                </button>
+                            </div>
+                        ) : (
+                            <div className="action-buttons">
+                                <button
+                                    className="action-btn"
+                                    onClick={handleStartEditing}
+                                    disabled={isGenerating || simplifyingPage !== null}
+                                    title={isGenerating ? 'Wait for images to finish generating' : 'Edit the title and page text'}
+                                >
+                                    ✏️ Edit Text
+                                </button>
+                                <button
+                                    className={`action-btn save-story-btn ${isSaved ? 'saved' : ''}`}
+                                    onClick={handleSave}
+                                    disabled={isSaved || isGenerating}
+                                    title={isGenerating ? 'Wait for images to finish generating' : ''}
+                                >
+                                    {isSaved ? (
+                                        <>✓ Saved</>
+                                    ) : isGenerating ? (
+                                        <>⏳ Generating...</>
+                                    ) : (
+                                        <>
+                                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                                <path d="M19 21H5a2 2 0 01-2-2V5a2 2 0 012-2h11l5 5v11a2 2 0 01-2 2z"></path>
+                                                <polyline points="17 21 17 13 7 13 7 21"></polyline>
+                                                <polyline points="7 3 7 8 15 8"></polyline>
+                                            </svg>
+                                            Save Story
+                                        </>
+                                    )}
+                                </button>
+                                <button
+                                    className="action-btn"
+                                    onClick={handlePrint}
+                                    disabled={isGeneratingPdf || isGenerating}
+                                    title='Print-ready 8.5" x 8.5" PDF with bleed'
+                                >
+                                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                        <path d="M6 9V2h12v7M6 18H4a2 2 0 01-2-2v-5a2 2 0 012-2h16a2 2 0 012 2v5a2 2 0 01-2 2h-2"></path>
+                                        <path d="M6 14h12v8H6z"></path>
+                                    </svg>
+                                    {isGeneratingPdf ? 'Generating...' : 'Download PDF'}
+                                </button>
+                                <button
+                                    className="action-btn ebook-btn"
+                                    onClick={handleDownloadEbook}
+                                    disabled={isGeneratingEbook || isGenerating}
+                                >
+                                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                        <path d="M4 19.5A2.5 2.5 0 0 1 6.5 17H20"></path>
+                                        <path d="M6.5 2H20v20H6.5A2.5 2.5 0 0 1 4 19.5v-15A2.5 2.5 0 0 1 6.5 2z"></path>
+                                    </svg>
+                                    {isGeneratingEbook ? 'Generating...' : 'Download eBook'}
+                                </button>
+                            </div>
+                        )}
                     </div>
 
-                    {/* Book-style spread layout */}
-                    <div className="book-spread">
+                    {wasCancelled && !isSaved && (
+                        <div className="generation-cancelled-notice">
+                            <p>
+                                Generation stopped - {story.pages.filter(page => page.image).length} of {story.pages.length} illustrations
+                                were finished. Keep this story? Missing illustrations can be redrawn later.
+                            </p>
+                            <div className="notice-actions">
+                                <button className="action-btn" onClick={() => setWasCancelled(false)}>Keep Story</button>
+                                <button className="action-btn" onClick={onDiscardStory}>Discard</button>
+                            </div>
+                        </div>
+                    )}
+
+                    {secondaryLanguage && !isEditing && (
+                        <div className="language-toggle" role="group" aria-label="Languages shown">
+                            {[
+                                ['both', `${language.nativeName} + ${secondaryLanguage.nativeName}`],
+                                ['primary', language.nativeName],
+                                ['secondary', secondaryLanguage.nativeName]
+                            ].map(([value, label]) => (
+                                <button
+                                    key={value}
+                                    className={`language-toggle-btn ${shownLanguages === value ? 'active' : ''}`}
+                                    onClick={() => setShownLanguages(value)}
+                                    aria-pressed={shownLanguages === value}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+
+                    {/* Book-style spread layout (mirrored for right-to-left languages) */}
+                    <div className="book-spread" dir={language.dir} lang={language.code}>
                         {story.pages.map((page, index) => {
                             // Special rendering for cover page
                             if (page.isCover) {
@@ -128,7 +511,7 @@ export default function StoryViewer({ story, onClose, onStorySaved, isGenerating
                                                     <p>Creating cover illustration...</p>
                                                 </div>
                                             ) : page.image ? (
-                                                <img src={page.image} alt="Book Cover" className="cover-illustration" />
+                                                <img src={page.image} alt="Book Cover" title={illustratedBy(page)} className="cover-illustration" />
                                             ) : (
                                                 <div className="placeholder-illustration cover-placeholder">
                                                     <div className="placeholder-icon">📚</div>
@@ -136,9 +519,10 @@ export default function StoryViewer({ story, onClose, onStorySaved, isGenerating
                                                 </div>
                                             )}
                                             <div className="cover-overlay">
-                                                <h1 className="cover-title">{story.title}</h1>
-                                                <p className="cover-subtitle">Starring {story.childName}</p>
+                                                <h1 className="cover-title">{isEditing ? draft.title : story.title}</h1>
+                                                <p className="cover-subtitle">{getBookString(language.code, 'starring', { name: story.childName })}</p>
                                             </div>
+                                            {redrawButton(page)}
                                         </div>
                                     </div>
                                 );
@@ -160,27 +544,10 @@ export default function StoryViewer({ story, onClose, onStorySaved, isGenerating
                                     <div className={`book-page left-page ${isEvenPage ? 'image-page' : 'text-page'}`}>
                                         {isEvenPage ? (
                                             // Image on left
-                                            page.isLoading ? (
-                                                <div className="page-loading-spinner">
-                                                    <div className="spinner"></div>
-                                                    <p>Creating illustration...</p>
-                                                </div>
-                                            ) : page.image ? (
-                                                <img src={page.image} alt={`Page ${page.pageNumber}`} className="book-illustration" />
-                                            ) : (
-                                                <div className="placeholder-illustration" style={{
-                                                    background: `linear-gradient(135deg, hsl(${hue1}, 75%, 70%) 0%, hsl(${hue2}, 75%, 75%) 50%, hsl(${hue1}, 75%, 80%) 100%)`
-                                                }}>
-                                                    <div className="placeholder-icon">{icon}</div>
-                                                    <div className="placeholder-label">Illustration</div>
-                                                </div>
-                                            )
+                                            renderIllustration(page, hue1, hue2, icon)
                                         ) : (
                                             // Text on left for odd pages
-                                            <div className="book-text-content">
-                                                <span className="page-number">Page {page.pageNumber}</span>
-                                                <p className="book-story-text">{page.text}</p>
-                                            </div>
+                                            renderPageText(page)
                                         )}
                                     </div>
 
@@ -188,27 +555,10 @@ export default function StoryViewer({ story, onClose, onStorySaved, isGenerating
                                     <div className={`book-page right-page ${isEvenPage ? 'text-page' : 'image-page'}`}>
                                         {isEvenPage ? (
                                             // Text on right
-                                            <div className="book-text-content">
-                                                <span className="page-number">Page {page.pageNumber}</span>
-                                                <p className="book-story-text">{page.text}</p>
-                                            </div>
+                                            renderPageText(page)
                                         ) : (
                                             // Image on right for odd pages
-                                            page.isLoading ? (
-                                                <div className="page-loading-spinner">
-                                                    <div className="spinner"></div>
-                                                    <p>Creating illustration...</p>
-                                                </div>
-                                            ) : page.image ? (
-                                                <img src={page.image} alt={`Page ${page.pageNumber}`} className="book-illustration" />
-                                            ) : (
-                                                <div className="placeholder-illustration" style={{
-                                                    background: `linear-gradient(135deg, hsl(${hue1}, 75%, 70%) 0%, hsl(${hue2}, 75%, 75%) 50%, hsl(${hue1}, 75%, 80%) 100%)`
-                                                }}>
-                                                    <div className="placeholder-icon">{icon}</div>
-                                                    <div className="placeholder-label">Illustration</div>
-                                                </div>
-                                            )
+                                            renderIllustration(page, hue1, hue2, icon)
                                         )}
                                     </div>
 
@@ -219,7 +569,7 @@ export default function StoryViewer({ story, onClose, onStorySaved, isGenerating
                         })}
                     </div>
 
-                    <div className="page-navigation">
+                    <div className="page-navigation" dir={language.dir}>
                         <button
                             className="nav-btn"
                             onClick={() => setCurrentPage(currentPage - 1)}
@@ -242,6 +592,15 @@ export default function StoryViewer({ story, onClose, onStorySaved, isGenerating
                     </div>
                 </div>
             </div>
+
+            {redrawPage && (
+                <RedrawPanel
+                    story={story}
+                    page={redrawPage}
+                    onCommit={(imageUrl, provider, usedReferenceSheet) => handleRedrawCommit(redrawPage.pageNumber, imageUrl, provider, usedReferenceSheet)}
+                    onClose={() => setRedrawPageNumber(null)}
+                />
+            )}
         </div >
     );
 }
@@ -1,17 +1,43 @@
-// Unified AI Provider Service - Switch between Google AI and OpenRouter
+// Unified AI Provider Service - Switch between Google AI, OpenRouter and the offline mock
+// Every operation runs through an ordered provider chain and fails over to the next
+// provider when one is out of credits, misconfigured or keeps failing.
 import * as googleAPI from './googleAPI';
 import * as openRouterAPI from './openRouterAPI';
-import { getApiKey, getOpenRouterKey, getAIProvider, setAIProvider } from './storageService';
+import * as mockAPI from './mockAPI';
+import { getApiKey, getOpenRouterKey, getAIProvider, setAIProvider, getStoredProviderChain } from './storageService';
 import logger from '../utils/logger';
+import { isAbortError } from '../utils/abort';
+import { AuthFailedError, QuotaExceededError, AIServiceError, MalformedResponseError } from './httpClient';
+import { validateStoryContent, validateStoryOutline } from './storyValidator';
+import { applyOutline } from './storyOutline';
+import { imageScheduler } from './requestScheduler';
 
 /**
  * Available AI providers
  */
 export const AI_PROVIDERS = {
     GOOGLE: 'google',
-    OPENROUTER: 'openrouter'
+    OPENROUTER: 'openrouter',
+    MOCK: 'mock'
 };
 
+const PROVIDER_LABELS = {
+    [AI_PROVIDERS.GOOGLE]: 'Google AI Studio',
+    [AI_PROVIDERS.OPENROUTER]: 'OpenRouter',
+    [AI_PROVIDERS.MOCK]: 'Mock'
+};
+
+// Providers whose image requests carry the approved character reference sheet (the mock
+// labels its placeholders with it). Google's Imagen request is text-only, so a book with a
+// sheet is never drawn there.
+const REFERENCE_SHEET_PROVIDERS = [AI_PROVIDERS.OPENROUTER, AI_PROVIDERS.MOCK];
+
+// How long a provider is skipped for an operation after repeated transient failures
+const TRANSIENT_COOLDOWN_MS = 60 * 1000;
+
+// `${operation}:${provider}` -> timestamp until which the provider is skipped
+const unavailableUntil = new Map();
+
 /**
  * Get the current active provider
  */
@@ -31,20 +57,50 @@ export function switchProvider(provider) {
 }
 
 /**
- * Get the appropriate API key for the current provider
+ * Display name for a provider
+ */
+export function getProviderLabel(provider) {
+    return PROVIDER_LABELS[provider] || provider;
+}
+
+/**
+ * Whether a provider sends the character reference sheet along with every page
+ */
+export function usesReferenceSheet(provider) {
+    return REFERENCE_SHEET_PROVIDERS.includes(provider);
+}
+
+/**
+ * Ordered list of providers to try for each operation
+ * Uses `ai_provider_chain` from storage if set; otherwise the current provider
+ * followed by the other real provider. The mock provider never fails over to a real one.
+ */
+export function getProviderChain() {
+    const valid = Object.values(AI_PROVIDERS);
+    const stored = (getStoredProviderChain() || []).filter(provider => valid.includes(provider));
+    if (stored.length > 0) return stored;
+
+    const primary = getCurrentProvider();
+    if (primary === AI_PROVIDERS.MOCK) return [primary];
+
+    return [primary, ...[AI_PROVIDERS.OPENROUTER, AI_PROVIDERS.GOOGLE].filter(provider => provider !== primary)];
+}
+
+/**
+ * Get the appropriate API key for a provider
  * In production, returns null (Netlify function handles it)
  * In development, checks localStorage and env vars
  */
-function getProviderApiKey() {
+function getProviderApiKey(provider) {
     // In production, serverless functions handle API keys
     // No need to check on the client side
     if (import.meta.env.PROD) {
         return null; // Will be handled by Netlify function
     }
 
-    const provider = getCurrentProvider();
-
-    if (provider === AI_PROVIDERS.GOOGLE) {
+    if (provider === AI_PROVIDERS.MOCK) {
+        return null; // Mock provider runs offline
+    } else if (provider === AI_PROVIDERS.GOOGLE) {
         return getApiKey(); // Google AI Studio key
     } else {
         return getOpenRouterKey(); // OpenRouter key
@@ -52,19 +108,19 @@ function getProviderApiKey() {
 }
 
 /**
- * Check if API key is required (only in development)
+ * Check if API key is required (only in development, never for the mock provider)
  */
-function isApiKeyRequired() {
-    return !import.meta.env.PROD;
+function isApiKeyRequired(provider) {
+    return !import.meta.env.PROD && provider !== AI_PROVIDERS.MOCK;
 }
 
 /**
  * Get provider-specific API implementation
  */
-function getProviderAPI() {
-    const provider = getCurrentProvider();
-
-    if (provider === AI_PROVIDERS.GOOGLE) {
+function getProviderAPI(provider) {
+    if (provider === AI_PROVIDERS.MOCK) {
+        return mockAPI;
+    } else if (provider === AI_PROVIDERS.GOOGLE) {
         return googleAPI;
     } else {
         return openRouterAPI;
@@ -72,53 +128,240 @@ function getProviderAPI() {
 }
 
 /**
- * Generate story content - automatically routes to correct provider
+ * Decide whether an error should send the operation to the next provider
+ * - 'permanent': out of quota or auth failed - retrying this provider won't help
+ * - 'transient': rate limits, timeouts, 5xx, network (the API client has already retried)
+ * - null: anything else (bad request, blocked content, malformed response) is not a provider outage
  */
-export async function generateStoryContent(childName, storyPrompt, pageCount, childAge, onProgress = null) {
-    const provider = getCurrentProvider();
-    const apiKey = getProviderApiKey();
-    const api = getProviderAPI();
+function classifyFailure(error) {
+    if (error instanceof QuotaExceededError || error instanceof AuthFailedError) return 'permanent';
+    if (error instanceof AIServiceError && error.retryable) return 'transient';
+    return null;
+}
+
+/**
+ * Run one operation against the provider chain
+ * Providers that recently failed this operation are tried last. Permanent failures
+ * bench a provider for the rest of the session, transient ones for a minute (or the
+ * server's retry-after, if longer).
+ * @param {string} operation - 'story' | 'analysis' | 'image' (failures are tracked per operation)
+ * @param {Function} call - (api, apiKey, provider) => Promise<result>
+ * @param {Function} [canRun] - (provider) => boolean; providers it rejects are skipped
+ * @returns {Promise<Object>} { result, provider }
+ */
+async function runWithFailover(operation, call, canRun = () => true) {
+    const now = Date.now();
+    const chain = getProviderChain().filter(canRun);
+    const isBenched = (provider) => (unavailableUntil.get(`${operation}:${provider}`) || 0) > now;
+    const ordered = [...chain.filter(provider => !isBenched(provider)), ...chain.filter(isBenched)];
+
+    let lastError;
+    for (const provider of ordered) {
+        try {
+            const apiKey = getProviderApiKey(provider);
+            if (isApiKeyRequired(provider) && !apiKey) {
+                throw new AuthFailedError(`Please set your ${getProviderLabel(provider)} API key in settings`, { provider });
+            }
+
+            const result = await call(getProviderAPI(provider), apiKey, provider);
+            unavailableUntil.delete(`${operation}:${provider}`);
+            return { result, provider };
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+
+            lastError = error;
+            const failure = classifyFailure(error);
+            if (!failure) throw error;
+
+            unavailableUntil.set(
+                `${operation}:${provider}`,
+                failure === 'permanent' ? Infinity : Date.now() + Math.max(TRANSIENT_COOLDOWN_MS, error.retryAfterMs ?? 0)
+            );
+
+            const next = ordered[ordered.indexOf(provider) + 1];
+            logger.warn('PROVIDER', `${operation} failed with ${provider}${next ? `, failing over to ${next}` : ''}`, {
+                failure,
+                ...error.toLogData(),
+                error: error.message
+            });
+        }
+    }
+
+    throw lastError;
+}
+
+/**
+ * Validate a generated story; if it is invalid, give the same provider one chance to repair it
+ * @throws {MalformedResponseError} With `issues` if the repaired story is still invalid
+ */
+async function ensureValidStory(api, apiKey, provider, storyContent, expected, signal) {
+    const issues = validateStoryContent(storyContent, expected);
+    if (issues.length === 0) return storyContent;
+
+    logger.warn('STORY-GEN', 'Story failed validation, asking the model to repair it', { provider, issues });
+    const repaired = await api.repairStoryContent(storyContent, issues, expected, apiKey, signal);
 
-    logger.info('PROVIDER', 'Generating story', { provider, pageCount, childAge });
+    const remaining = validateStoryContent(repaired, expected);
+    if (remaining.length === 0) {
+        logger.info('STORY-GEN', 'Story repaired', { provider, fixed: issues.length });
+        return repaired;
+    }
+
+    const more = remaining.length > 3 ? ` (and ${remaining.length - 3} more)` : '';
+    const error = new MalformedResponseError(
+        `The story came back in the wrong format, even after a repair attempt: ${remaining.slice(0, 3).join('; ')}${more}`,
+        { provider }
+    );
+    error.issues = remaining;
+    throw error;
+}
+
+/**
+ * Generate story content, failing over between providers
+ * Everything after childAge is optional and passed as one options object:
+ * { onProgress, signal, outline, format, readingLevel, language, secondaryLanguage, coStars, companions, preferences }
+ * Outline-first mode: pass the parent-approved `outline` (from generateStoryOutline) and the
+ * pages are written from it; its title, outfit, characters and locations are kept as approved.
+ * The story is validated (and repaired once if needed) before it is returned.
+ * Providers that stream call onProgress(partialStory) as pages arrive; after a repair or a
+ * failover the returned story can differ from what was streamed, so it replaces it.
+ * `format` is a book format id (bookFormats.js); it sets words per page and pacing.
+ * `readingLevel` is a reading level id (readingLevels.js); it sets vocabulary and sentence length.
+ * `language` is a language code (languages.js) for the title and page text.
+ * `secondaryLanguage` makes a bilingual book: every page also gets a "secondaryText" in it.
+ * `coStars` ([{ name, age }], heroes.js) are other real people starring alongside the child.
+ * `companions` ([{ name, kind }], companions.js) are the child's own pets and toys.
+ * `preferences` are the child's favourite things from their profile (childProfiles.js).
+ * Pass an AbortSignal to cancel the request.
+ * @returns {Promise<Object>} { storyContent, provider }
+ */
+export async function generateStoryContent(childName, storyPrompt, pageCount, childAge, { onProgress = null, signal = null, outline = null, format = null, readingLevel = null, language = null, secondaryLanguage = null, coStars = null, companions = null, preferences = null } = {}) {
+    logger.info('PROVIDER', 'Generating story', { chain: getProviderChain(), pageCount, childAge, format, readingLevel, language, secondaryLanguage, coStarCount: coStars?.length || 0, companionCount: companions?.length || 0, hasPreferences: !!preferences, fromOutline: !!outline });
+    const coStarNames = (coStars || []).map(coStar => coStar.name);
+    const companionNames = (companions || []).map(companion => companion.name);
 
     try {
-        // Only check for API key in development mode
-        // In production, Netlify functions handle the key
-        if (isApiKeyRequired() && !apiKey) {
-            throw new Error(`Please set your ${provider === AI_PROVIDERS.GOOGLE ? 'Google AI Studio' : 'OpenRouter'} API key in settings`);
+        const { result, provider } = await runWithFailover('story', async (api, apiKey, provider) => {
+            const reportProgress = onProgress && outline
+                ? partialStory => onProgress(applyOutline(partialStory, outline))
+                : onProgress;
+            let storyContent = await api.generateStoryContent(childName, storyPrompt, pageCount, apiKey, childAge, {
+                onProgress: reportProgress, signal, outline, format, readingLevel, language, secondaryLanguage, coStars, companions, preferences
+            });
+            if (outline) storyContent = applyOutline(storyContent, outline);
+            return ensureValidStory(api, apiKey, provider, storyContent, { childName, pageCount, secondaryLanguage, coStarNames, companionNames }, signal);
+        });
+        return { storyContent: result, provider };
+    } catch (error) {
+        if (!isAbortError(error)) {
+            logger.error('PROVIDER', 'Story generation failed', error);
         }
+        throw error;
+    }
+}
 
-        return await api.generateStoryContent(childName, storyPrompt, pageCount, apiKey, childAge, onProgress);
+/**
+ * Plan a story for outline-first mode, failing over between providers
+ * The outline (title, character bible, locations, one beat per page) is meant to be
+ * reviewed and edited by the parent, then passed to generateStoryContent.
+ * Options: { signal, format, language, coStars, companions, preferences } (as for generateStoryContent)
+ * @returns {Promise<Object>} { outline, provider }
+ */
+export async function generateStoryOutline(childName, storyPrompt, pageCount, childAge, { signal = null, format = null, language = null, coStars = null, companions = null, preferences = null } = {}) {
+    logger.info('PROVIDER', 'Generating story outline', { chain: getProviderChain(), pageCount, childAge, format, language, coStarCount: coStars?.length || 0, companionCount: companions?.length || 0, hasPreferences: !!preferences });
+    const coStarNames = (coStars || []).map(coStar => coStar.name);
+    const companionNames = (companions || []).map(companion => companion.name);
+
+    try {
+        const { result, provider } = await runWithFailover('story', async (api, apiKey, provider) => {
+            const outline = await api.generateStoryOutline(childName, storyPrompt, pageCount, apiKey, childAge, { signal, format, language, coStars, companions, preferences });
+
+            const issues = validateStoryOutline(outline, { childName, pageCount, coStarNames, companionNames });
+            if (issues.length > 0) {
+                const error = new MalformedResponseError(`The story outline came back in the wrong format: ${issues.slice(0, 3).join('; ')}`, { provider });
+                error.issues = issues;
+                throw error;
+            }
+            return outline;
+        });
+        return { outline: result, provider };
     } catch (error) {
-        logger.error('PROVIDER', `Story generation failed with ${provider}`, error);
+        if (!isAbortError(error)) {
+            logger.error('PROVIDER', 'Story outline failed', error);
+        }
         throw error;
     }
 }
 
 /**
- * Analyze person photo - automatically routes to correct provider
+ * Rewrite one page so it reads at the story's reading level, failing over between providers
+ * `reasons` are the problems scorePage found; they are passed on to the model.
+ * On a bilingual page pass `secondary` ({ text, languageCode }) so both languages are rewritten together.
+ * @returns {Promise<Object>} { text, secondaryText, provider }
  */
-export async function analyzePersonPhoto(photoBase64, personName, childAge) {
-    const provider = getCurrentProvider();
-    const apiKey = getProviderApiKey();
-    const api = getProviderAPI();
+export async function simplifyPageText(text, readingLevel, wordsPerPage, reasons = [], signal = null, secondary = null) {
+    logger.info('PROVIDER', 'Simplifying page', { chain: getProviderChain(), readingLevel, reasons, bilingual: !!secondary });
 
-    logger.info('PROVIDER', 'Analyzing photo', { provider, childAge });
+    try {
+        const { result, provider } = await runWithFailover('story', (api, apiKey) =>
+            api.simplifyPageText(text, readingLevel, wordsPerPage, reasons, apiKey, signal, secondary)
+        );
+        return { ...result, provider };
+    } catch (error) {
+        if (!isAbortError(error)) {
+            logger.error('PROVIDER', 'Page simplification failed', error);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Analyze person photo, failing over between providers
+ * @returns {Promise<Object>} { characterDescription, provider }
+ */
+export async function analyzePersonPhoto(photoBase64, personName, childAge, signal = null) {
+    logger.info('PROVIDER', 'Analyzing photo', { chain: getProviderChain(), childAge });
 
     try {
-        if (isApiKeyRequired() && !apiKey) {
-            throw new Error(`Please set your ${provider === AI_PROVIDERS.GOOGLE ? 'Google AI Studio' : 'OpenRouter'} API key in settings`);
+        const { result, provider } = await runWithFailover('analysis', (api, apiKey) =>
+            api.analyzePersonPhoto(photoBase64, personName, apiKey, childAge, signal)
+        );
+        return { characterDescription: result, provider };
+    } catch (error) {
+        if (!isAbortError(error)) {
+            logger.error('PROVIDER', 'Photo analysis failed', error);
         }
+        throw error;
+    }
+}
 
-        return await api.analyzePersonPhoto(photoBase64, personName, apiKey, childAge);
+/**
+ * Analyze a photo of the child's pet or toy, failing over between providers
+ * @param {string} kind - Companion kind id (companions.js)
+ * @returns {Promise<Object>} { characterDescription, provider }
+ */
+export async function analyzeCompanionPhoto(photoBase64, name, kind, signal = null) {
+    logger.info('PROVIDER', 'Analyzing companion photo', { chain: getProviderChain(), kind });
+
+    try {
+        const { result, provider } = await runWithFailover('analysis', (api, apiKey) =>
+            api.analyzeCompanionPhoto(photoBase64, name, kind, apiKey, signal)
+        );
+        return { characterDescription: result, provider };
     } catch (error) {
-        logger.error('PROVIDER', `Photo analysis failed with ${provider}`, error);
+        if (!isAbortError(error)) {
+            logger.error('PROVIDER', 'Companion photo analysis failed', error);
+        }
         throw error;
     }
 }
 
 /**
- * Generate page image - automatically routes to correct provider
+ * Generate page image, failing over between providers
+ * Requests go through the image scheduler, so many pages can be requested at once.
+ * When the story has a reference sheet (storyContext.referenceSheet) only providers that
+ * send it are tried, so every page is drawn to match it.
+ * @returns {Promise<Object>} { imageUrl, provider, usedReferenceSheet }
  */
 export async function generatePageImage(
     imagePrompt,
@@ -127,29 +370,36 @@ export async function generatePageImage(
     childName = '',
     characterDescription = null,
     storyContext = null,
-    childAge = null
+    childAge = null,
+    signal = null
 ) {
-    const provider = getCurrentProvider();
-    const apiKey = getProviderApiKey();
-    const api = getProviderAPI();
+    const hasReferenceSheet = !!storyContext?.referenceSheet;
 
     try {
-        if (isApiKeyRequired() && !apiKey) {
-            throw new Error(`Please set your ${provider === AI_PROVIDERS.GOOGLE ? 'Google AI Studio' : 'OpenRouter'} API key in settings`);
+        const chain = getProviderChain();
+        if (hasReferenceSheet && !chain.some(usesReferenceSheet)) {
+            throw new Error(`This book has a character sheet, which ${chain.map(getProviderLabel).join(' and ')} can't use - switch the AI provider to OpenRouter to draw it`);
         }
 
-        return await api.generatePageImage(
-            imagePrompt,
-            apiKey,
-            pageNumber,
-            childPhoto,
-            childName,
-            characterDescription,
-            storyContext,
-            childAge
+        const { result, provider } = await runWithFailover('image', (api, apiKey, provider) =>
+            imageScheduler.schedule(provider, () => api.generatePageImage(
+                imagePrompt,
+                apiKey,
+                pageNumber,
+                childPhoto,
+                childName,
+                characterDescription,
+                storyContext,
+                childAge,
+                signal
+            ), signal),
+            provider => !hasReferenceSheet || usesReferenceSheet(provider)
         );
+        return { imageUrl: result, provider, usedReferenceSheet: hasReferenceSheet };
     } catch (error) {
-        logger.error('PROVIDER', `Image generation failed with ${provider} on page ${pageNumber}`, error);
+        if (!isAbortError(error)) {
+            logger.error('PROVIDER', `Image generation failed on page ${pageNumber}`, error);
+        }
         throw error;
     }
 }
@@ -159,7 +409,7 @@ export async function generatePageImage(
  */
 export function getProviderInfo() {
     const provider = getCurrentProvider();
-    const hasKey = !!getProviderApiKey();
+    const hasKey = !!getProviderApiKey(provider);
 
     const info = {
         [AI_PROVIDERS.GOOGLE]: {
@@ -179,11 +429,21 @@ export function getProviderInfo() {
             pros: ['Longer timeouts', 'Fallback options', 'Better for long stories'],
             cons: ['Extra hop', 'Slightly slower'],
             keyUrl: 'https://openrouter.ai/keys'
+        },
+        [AI_PROVIDERS.MOCK]: {
+            name: 'Mock (offline)',
+            model: 'Mock story generator',
+            imageModel: 'Local placeholder renderer',
+            timeout: 'Configurable (mock_ai_config)',
+            pros: ['No key or network needed', 'Deterministic output', 'Injectable 429/402/timeout failures'],
+            cons: ['Placeholder text and illustrations only'],
+            keyUrl: null
         }
     };
 
     return {
         current: provider,
+        chain: getProviderChain(),
         hasKey,
         details: info[provider],
         available: info
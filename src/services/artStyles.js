@@ -0,0 +1,77 @@
+// Art Styles
+// The look of every illustration in a book. The style is stored on the story and the same
+// style block is added to the prompt of every page and the cover, whichever provider (or
+// the background function) draws it, so a book never switches style halfway through.
+
+export const DEFAULT_ART_STYLE = 'storybook';
+
+/**
+ * - prompt: how the image prompt describes the style
+ * - swatch: colours for the preview swatch in the style picker
+ */
+export const ART_STYLES = {
+    storybook: {
+        id: 'storybook',
+        label: 'Bright Storybook',
+        description: 'Vibrant, colourful modern picture-book art',
+        prompt: 'Vibrant, colorful, whimsical, friendly children\'s book illustration. Modern digital illustration with clean shapes and soft lighting',
+        swatch: ['#FFB347', '#FF6F91', '#6FC3DF']
+    },
+    watercolour: {
+        id: 'watercolour',
+        label: 'Watercolour',
+        description: 'Soft washes, gentle colour bleeds and paper texture',
+        prompt: 'Traditional watercolour painting. Soft translucent washes, gentle colour bleeds and blooms, visible paper grain, light loose outlines, airy pastel palette',
+        swatch: ['#A8D8EA', '#F6C6C8', '#FBE7B5']
+    },
+    pencil: {
+        id: 'pencil',
+        label: 'Pencil Sketch',
+        description: 'Hand-drawn graphite and coloured-pencil lines',
+        prompt: 'Hand-drawn pencil sketch with light coloured-pencil shading. Visible graphite strokes and cross-hatching, soft muted colours, textured off-white paper',
+        swatch: ['#5F5F5F', '#B9B2A6', '#F2EDE4']
+    },
+    'paper-cut': {
+        id: 'paper-cut',
+        label: 'Paper Cut-Out',
+        description: 'Layered cut paper with soft shadows',
+        prompt: 'Layered paper cut-out collage. Flat shapes cut from coloured and textured paper, crisp edges, small drop shadows between layers, simple bold forms',
+        swatch: ['#E94F37', '#F6F7EB', '#3F88C5']
+    },
+    clay: {
+        id: 'clay',
+        label: '3D Clay',
+        description: 'Chunky handmade clay figures and sets',
+        prompt: '3D claymation-style scene. Rounded handmade plasticine figures and sets, visible fingerprint texture, soft studio lighting, shallow depth of field, saturated friendly colours',
+        swatch: ['#F4A261', '#2A9D8F', '#E9C46A']
+    },
+    'ink-wash': {
+        id: 'ink-wash',
+        label: 'Ink & Wash',
+        description: 'Classic pen lines with loose watercolour washes',
+        prompt: 'Classic ink-and-wash illustration in the style of mid-century picture books. Confident, slightly scratchy pen-and-ink line work with loose watercolour washes, limited warm palette, lots of white space',
+        swatch: ['#1D1D1D', '#C8553D', '#F3E9D2']
+    },
+    comic: {
+        id: 'comic',
+        label: 'Comic',
+        description: 'Bold outlines, flat colours and dynamic poses',
+        prompt: 'Kid-friendly comic-book art. Bold black outlines, flat bright colours with simple cel shading, dynamic poses and expressive faces, subtle halftone dots. No speech bubbles, captions or panels - a single illustration',
+        swatch: ['#FFD23F', '#EE4266', '#3BCEAC']
+    }
+};
+
+/**
+ * Art style by id (unknown ids, and stories made before styles existed, get the default)
+ */
+export function getArtStyle(styleId) {
+    return ART_STYLES[styleId] || ART_STYLES[DEFAULT_ART_STYLE];
+}
+
+/**
+ * Style block for an image prompt - identical for every page and the cover of a book
+ */
+export function buildArtStyleRules(styleId) {
+    const style = getArtStyle(styleId);
+    return `ART STYLE - ${style.label.toUpperCase()} (use this exact style on every page and the cover, never mix styles): ${style.prompt}.`;
+}
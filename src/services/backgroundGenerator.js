@@ -2,6 +2,7 @@
 // Uses Netlify Background Function for parallel image generation (up to 15 min)
 
 import logger from '../utils/logger';
+import { isAbortError, sleep } from '../utils/abort';
 
 const BACKGROUND_FUNCTION_URL = '/.netlify/functions/generate-images-background';
 const POLL_INTERVAL = 2000; // Poll every 2 seconds
@@ -10,13 +11,17 @@ const MAX_POLL_TIME = 15 * 60 * 1000; // 15 minutes max
 /**
  * Generate all story images in parallel using background function
  * Much faster than sequential generation!
+ * Aborting `signal` stops polling; the server-side job is abandoned.
+ * `artStyle` (artStyles.js) is sent with the story context so the function draws every image in it.
  */
 export async function generateImagesInBackground(
     storyContent,
     childPhoto,
     childName,
     characterDescription,
-    onProgress
+    onProgress,
+    signal = null,
+    artStyle = null
 ) {
     // Only use background function in production
     if (!import.meta.env.PROD) {
@@ -24,7 +29,8 @@ export async function generateImagesInBackground(
     }
 
     logger.info('BACKGROUND-GEN', 'Starting parallel image generation', {
-        pageCount: storyContent.pages.length
+        pageCount: storyContent.pages.length,
+        artStyle
     });
 
     // Prepare all image prompts
@@ -33,7 +39,7 @@ export async function generateImagesInBackground(
     // Cover image
     imagePrompts.push({
         pageNumber: 0,
-        prompt: `Create a stunning storybook cover illustration for "${storyContent.title}". The cover should show ${childName} as the main character in an exciting pose or scene that captures the essence of the story. Style: vibrant, child-friendly, professional children's book cover art. Include magical elements, wonder, and adventure. Make it eye-catching and inviting.`,
+        prompt: `Create a stunning storybook cover illustration for "${storyContent.title}". The cover should show ${childName} as the main character in an exciting pose or scene that captures the essence of the story. Professional children's book cover art. Include magical elements, wonder, and adventure. Make it eye-catching and inviting.`,
         text: '',
         isCover: true
     });
@@ -56,6 +62,7 @@ export async function generateImagesInBackground(
             action: 'generate_images',
             imagePrompts,
             storyContext: {
+                artStyle,
                 characterOutfit: storyContent.characterOutfit,
                 locations: storyContent.locations,
                 characters: storyContent.characters || {}
@@ -63,7 +70,8 @@ export async function generateImagesInBackground(
             childPhoto,
             childName,
             characterDescription
-        })
+        }),
+        signal
     });
 
     if (!response.ok) {
@@ -78,9 +86,16 @@ export async function generateImagesInBackground(
     const startTime = Date.now();
 
     while (Date.now() - startTime < MAX_POLL_TIME) {
-        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
-
-        const statusResponse = await fetch(`${BACKGROUND_FUNCTION_URL}?jobId=${jobId}`);
+        let statusResponse;
+        try {
+            await sleep(POLL_INTERVAL, signal);
+            statusResponse = await fetch(`${BACKGROUND_FUNCTION_URL}?jobId=${jobId}`, { signal });
+        } catch (error) {
+            if (isAbortError(error)) {
+                logger.info('BACKGROUND-GEN', 'Stopped polling - generation cancelled', { jobId });
+            }
+            throw error;
+        }
 
         if (!statusResponse.ok) {
             const error = await statusResponse.text();
@@ -0,0 +1,118 @@
+// Book Formats
+// Preset formats a book can be made in. A format sets the starting page count, how many
+// words go on a page and the pacing the story prompt asks for, and how pages are laid out
+// in the viewer and the PDF and EPUB exports. The page count can then be changed within
+// PAGE_COUNT_RANGE, and a reading level can lower the words per page further.
+import { getReadingLevel, buildReadingLevelRules } from './readingLevels';
+
+/**
+ * Allowed number of story pages (the cover is not counted)
+ */
+export const PAGE_COUNT_RANGE = { min: 5, max: 12 };
+
+export const DEFAULT_FORMAT = 'picture';
+
+/**
+ * Layouts:
+ * - 'caption': one page per story page - the illustration fills it, with a line of big text over it
+ * - 'spread': illustration on the left page, text on the right (classic picture book)
+ * - 'chapter': text-led pages with a smaller illustration above the text
+ */
+export const BOOK_FORMATS = {
+    board: {
+        id: 'board',
+        label: 'Board Book',
+        ages: '0-3',
+        pageCount: 6,
+        wordsPerPage: { min: 3, max: 15 },
+        layout: 'caption',
+        pacing: [
+            'One simple idea per page, in one short sentence',
+            'Use repetition and rhythm - a phrase repeated on every page is ideal',
+            'Name familiar things: animals, colors, sounds, everyday routines',
+            'No subplots and no peril; end cozy and calm'
+        ]
+    },
+    picture: {
+        id: 'picture',
+        label: 'Picture Book',
+        ages: '3-7',
+        pageCount: 8,
+        wordsPerPage: { min: 25, max: 60 },
+        layout: 'spread',
+        pacing: [
+            'Each page should end with a hook that makes readers want to turn the page',
+            'Leave room for the illustration to tell part of the story'
+        ]
+    },
+    chapter: {
+        id: 'chapter',
+        label: 'Early Chapter Book',
+        ages: '6-9',
+        pageCount: 12,
+        wordsPerPage: { min: 100, max: 180 },
+        layout: 'chapter',
+        pacing: [
+            'Each page reads like a short chapter: a scene with a beginning, a turn and an end',
+            'Use dialogue to move the story along, with short paragraphs separated by line breaks',
+            'Allow one small subplot or running joke that pays off at the end'
+        ]
+    }
+};
+
+/**
+ * Format by id (stories made before formats existed are picture books)
+ */
+export function getBookFormat(formatId) {
+    return BOOK_FORMATS[formatId] || BOOK_FORMATS[DEFAULT_FORMAT];
+}
+
+/**
+ * Whether `pageCount` is a whole number of pages within PAGE_COUNT_RANGE
+ */
+export function isValidPageCount(pageCount) {
+    return Number.isInteger(pageCount)
+        && pageCount >= PAGE_COUNT_RANGE.min
+        && pageCount <= PAGE_COUNT_RANGE.max;
+}
+
+/**
+ * Words per page for a format, capped by the reading level's limit (if any)
+ * @returns {Object} { min, max }
+ */
+export function getWordsPerPage(formatId, readingLevelId = null) {
+    const { min, max } = getBookFormat(formatId).wordsPerPage;
+    const levelMax = getReadingLevel(readingLevelId)?.maxWordsPerPage;
+
+    if (!levelMax || levelMax >= max) return { min, max };
+    return { min: min < levelMax ? min : Math.round(levelMax / 2), max: levelMax };
+}
+
+/**
+ * Words-per-page guidance for the page text, e.g. "25-60 words"
+ */
+export function describeWordsPerPage(formatId, readingLevelId = null) {
+    const { min, max } = getWordsPerPage(formatId, readingLevelId);
+    return `${min}-${max} words`;
+}
+
+const pageRange = (from, to) => (from === to ? `Page ${from}` : `Pages ${from}-${to}`);
+
+/**
+ * Pacing and length rules for the story (and outline) prompts
+ * With a reading level, its vocabulary and sentence-length rules are included too.
+ */
+export function buildPacingRules(formatId, pageCount, childName, readingLevelId = null) {
+    const format = getBookFormat(formatId);
+    const setupEnd = Math.max(1, Math.round(pageCount * 0.2));
+    const middleEnd = Math.max(setupEnd + 1, Math.floor(pageCount * 0.7));
+
+    return [
+        `FORMAT: ${format.label} for ages ${format.ages} - exactly ${pageCount} pages, ${describeWordsPerPage(format.id, readingLevelId)} of story text per page`,
+        `- ${pageRange(1, setupEnd)}: Set the scene, introduce ${childName} and their world`,
+        `- ${pageRange(setupEnd + 1, middleEnd)}: The adventure unfolds, challenges arise`,
+        `- ${pageRange(middleEnd + 1, pageCount)}: Climax, resolution, heartwarming ending with a gentle lesson`,
+        ...format.pacing.map(rule => `- ${rule}`),
+        ...(readingLevelId ? ['', buildReadingLevelRules(readingLevelId)] : [])
+    ].join('\n');
+}
@@ -0,0 +1,67 @@
+// Child Profiles
+// A saved child to make books for: name, birth date (the age is worked out on the day),
+// reference photos, the character description locked in from their first photo analysis,
+// and a few favourite things. Books made from a profile reuse the locked description instead
+// of analyzing the photo again, so the child looks the same from book to book.
+
+export const MAX_PROFILE_PHOTOS = 3;
+
+/**
+ * Favourite things a profile can hold
+ * - promptLabel: how the story prompt lists them
+ */
+export const PREFERENCE_FIELDS = [
+    { id: 'colors', label: 'Favourite colours', promptLabel: 'Colours', placeholder: 'e.g. purple, sunny yellow' },
+    { id: 'animals', label: 'Favourite animals', promptLabel: 'Animals', placeholder: 'e.g. dolphins, foxes' },
+    { id: 'things', label: 'Other favourite things', promptLabel: 'Also', placeholder: 'e.g. dinosaurs, baking, space' }
+];
+
+/**
+ * Build a new profile; anything missing gets its default
+ */
+export function createProfile(fields = {}) {
+    return {
+        id: Date.now().toString(),
+        name: '',
+        birthDate: null, // 'YYYY-MM-DD'
+        photos: [], // data URLs, the first is the main reference photo
+        characterDescription: null, // locked photo analysis
+        preferences: {},
+        createdAt: new Date().toISOString(),
+        ...fields
+    };
+}
+
+/**
+ * Age in whole years on `today` (null without a valid birth date)
+ */
+export function getAgeOn(birthDate, today = new Date()) {
+    const [year, month, day] = String(birthDate || '').split('-').map(Number);
+    if (!year || !month || !day) return null;
+
+    const hadBirthday = today.getMonth() + 1 > month || (today.getMonth() + 1 === month && today.getDate() >= day);
+    const age = today.getFullYear() - year - (hadBirthday ? 0 : 1);
+    return age >= 0 ? age : null;
+}
+
+/**
+ * Whether any favourite things are filled in
+ */
+export function hasPreferences(preferences) {
+    return PREFERENCE_FIELDS.some(field => preferences?.[field.id]?.trim());
+}
+
+/**
+ * Favourite-things rules for the story and outline prompts ('' when there are none)
+ */
+export function buildPreferenceRules(childName, preferences) {
+    if (!hasPreferences(preferences)) return '';
+
+    return [
+        `FAVOURITE THINGS: ${childName} loves -`,
+        ...PREFERENCE_FIELDS
+            .filter(field => preferences[field.id]?.trim())
+            .map(field => `- ${field.promptLabel}: ${preferences[field.id].trim()}`),
+        '- Weave one or two of these into the story or the illustrations where they fit naturally - never force them all in'
+    ].join('\n');
+}
@@ -0,0 +1,108 @@
+// Companions
+// The child's real pet or favourite toy can join the story. Each one's photo is analyzed
+// with a companion-specific prompt (analyzeCompanionPhoto) and the description is pinned
+// into the story's `characters`, so the animal or toy is drawn the same on every page
+// and on the cover instead of being invented from text.
+import { joinNames } from './heroes';
+
+export const MAX_COMPANIONS = 2;
+
+export const DEFAULT_COMPANION_KIND = 'pet';
+
+/**
+ * - noun: how the prompts refer to it ("Mia's pet")
+ * - details: what the photo analysis must pin down
+ * - storyRole: how the story should treat it
+ */
+export const COMPANION_KINDS = {
+    pet: {
+        id: 'pet',
+        label: 'Pet',
+        noun: 'pet',
+        details: 'species and breed (or best guess), size and build, fur/feather/scale colours and EXACT markings (patches, spots, stripes - and where they are), ear and tail shape, eye colour, collar or accessories',
+        storyRole: 'a real animal - it can be brave, funny and clever, and may talk if the story is magical'
+    },
+    toy: {
+        id: 'toy',
+        label: 'Toy',
+        noun: 'favourite toy',
+        details: 'what kind of toy it is (teddy bear, rabbit, doll, robot...), size, material and texture (plush, knitted, plastic, wood), EXACT colours and patterns, face (stitched, button or painted eyes), clothes or accessories, signs of wear (faded patches, a missing button)',
+        storyRole: 'a much-loved toy that comes to life for the adventure'
+    }
+};
+
+/**
+ * Companion kind by id (unknown ids are pets)
+ */
+export function getCompanionKind(kindId) {
+    return COMPANION_KINDS[kindId] || COMPANION_KINDS[DEFAULT_COMPANION_KIND];
+}
+
+/**
+ * Prompt for analyzing a pet or toy photo (the JSON shape describeCompanion reads)
+ */
+export function buildCompanionAnalysisPrompt(name, kindId) {
+    const kind = getCompanionKind(kindId);
+
+    return `Analyze this photo of a child's ${kind.noun} named ${name} and describe it in EXTREME detail, so an illustrator can draw it exactly the same on every page of a picture book.
+
+Describe: ${kind.details}.
+Only describe what is in the photo - it must be recognizably THIS ${kind.noun}, not a generic one.
+
+Respond with a JSON object:
+{
+    "characterDescription": "A detailed paragraph describing ${name}'s appearance for use as an illustration reference",
+    "type": "what it is, e.g. 'golden retriever puppy' or 'knitted grey rabbit'",
+    "colorsAndMarkings": "EXACT colours, patterns and markings, and where they are",
+    "size": "size compared with a young child",
+    "distinctiveFeatures": "anything that makes it recognizable, or 'none'",
+    "shortDescription": "Brief 1-sentence description for quick reference"
+}`;
+}
+
+/**
+ * Appearance of a companion for the story's characters map, from its photo analysis
+ * (without an analysis the image model only has the reference photo to go on)
+ */
+export function describeCompanion(childName, companion) {
+    const kind = getCompanionKind(companion.kind);
+    const analysis = companion.characterDescription;
+
+    if (!analysis?.characterDescription) {
+        return `${childName}'s real ${kind.noun} - draw it exactly like its reference photo`;
+    }
+    return [
+        `${childName}'s ${kind.noun}${analysis.type ? `, a ${analysis.type}` : ''}.`,
+        analysis.characterDescription,
+        analysis.colorsAndMarkings && `Colours and markings (NEVER CHANGE): ${analysis.colorsAndMarkings}.`,
+        analysis.size && `Size: ${analysis.size}.`,
+        analysis.distinctiveFeatures && analysis.distinctiveFeatures !== 'none' && `Distinctive features: ${analysis.distinctiveFeatures}.`
+    ].filter(Boolean).join(' ');
+}
+
+/**
+ * The companions' pinned entries for the story's characters map
+ * @param {Object[]} companions - [{ name, kind, characterDescription }]
+ */
+export function getCompanionCharacters(childName, companions) {
+    return Object.fromEntries((companions || []).map(companion => [
+        companion.name,
+        describeCompanion(childName, companion)
+    ]));
+}
+
+/**
+ * Rules for the story and outline prompts that bring the companions into the story ('' without any)
+ * @param {string} childName
+ * @param {Object[]} companions - [{ name, kind }]
+ */
+export function buildCompanionRules(childName, companions) {
+    if (!companions?.length) return '';
+
+    return [
+        `COMPANIONS: ${childName}'s own ${joinNames(companions.map(companion => getCompanionKind(companion.kind).noun))} ${companions.length === 1 ? 'comes' : 'come'} along - use ${companions.length === 1 ? 'it' : 'them'} instead of inventing a sidekick:`,
+        ...companions.map(companion => `- ${companion.name}: ${getCompanionKind(companion.kind).storyRole}`),
+        `- Their looks come from photos - never describe their appearance. In "characters" give each only a short note, e.g. "${childName}'s ${getCompanionKind(companions[0].kind).noun}"`,
+        '- Spell their names exactly as written here, and list them in "charactersPresent" on every page they appear on'
+    ].join('\n');
+}
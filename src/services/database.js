@@ -0,0 +1,148 @@
+// IndexedDB Database Service
+// Stores story metadata and page images (as Blobs) in separate object stores
+import logger from '../utils/logger';
+
+const DB_NAME = 'storybook_magic';
+const DB_VERSION = 3;
+
+/**
+ * Object store names
+ * - stories: story metadata and page text, keyed by story id
+ * - images: one Blob per story image, keyed by `${storyId}/${pageNumber}`
+ *   (or `${storyId}/${field}` for story-level images such as the hero photo)
+ * - drafts: checkpoint of a story whose generation hasn't finished (added in v2);
+ *   its images live in `images` under a separate owner id
+ * - profiles: saved child profiles, keyed by profile id (added in v3); their photos
+ *   live in `images` under a separate owner id too
+ */
+export const STORES = {
+    STORIES: 'stories',
+    IMAGES: 'images',
+    DRAFTS: 'drafts',
+    PROFILES: 'profiles'
+};
+
+let dbPromise = null;
+
+/**
+ * Open (and create/upgrade if needed) the app database
+ * The connection is shared for the lifetime of the page
+ */
+export function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not supported in this browser'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            logger.info('DATABASE', 'Upgrading database', {
+                from: event.oldVersion,
+                to: event.newVersion
+            });
+
+            if (!db.objectStoreNames.contains(STORES.STORIES)) {
+                const stories = db.createObjectStore(STORES.STORIES, { keyPath: 'id' });
+                stories.createIndex('savedAt', 'savedAt');
+            }
+
+            if (!db.objectStoreNames.contains(STORES.IMAGES)) {
+                const images = db.createObjectStore(STORES.IMAGES, { keyPath: 'key' });
+                images.createIndex('storyId', 'storyId');
+            }
+
+            if (!db.objectStoreNames.contains(STORES.DRAFTS)) {
+                db.createObjectStore(STORES.DRAFTS, { keyPath: 'id' });
+            }
+
+            if (!db.objectStoreNames.contains(STORES.PROFILES)) {
+                db.createObjectStore(STORES.PROFILES, { keyPath: 'id' });
+            }
+        };
+
+        request.onsuccess = () => {
+            const db = request.result;
+
+            // Another tab is upgrading the schema - let it proceed
+            db.onversionchange = () => {
+                db.close();
+                dbPromise = null;
+            };
+
+            resolve(db);
+        };
+
+        request.onblocked = () => {
+            logger.warn('DATABASE', 'Database upgrade blocked by another open tab');
+        };
+
+        request.onerror = () => {
+            logger.error('DATABASE', 'Failed to open database', request.error);
+            reject(request.error);
+        };
+    });
+
+    // Allow a later retry if opening failed
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+export function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run work inside a transaction and resolve once it has committed
+ * `work` receives the transaction and may return a value (or promise) to resolve with.
+ * Only IndexedDB requests may be awaited inside `work` - awaiting anything else
+ * lets the transaction auto-commit early.
+ */
+export async function withTransaction(storeNames, mode, work) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeNames, mode);
+        let result;
+
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+
+        Promise.resolve()
+            .then(() => work(tx))
+            .then(
+                (value) => {
+                    result = value;
+                },
+                (error) => {
+                    reject(error);
+                    try {
+                        tx.abort();
+                    } catch {
+                        // Transaction already finished
+                    }
+                }
+            );
+    });
+}
+
+/**
+ * Build the images store key for a story page (or story-level image field)
+ */
+export function imageKey(storyId, pageNumberOrField) {
+    return `${storyId}/${pageNumberOrField}`;
+}
@@ -1,122 +1,58 @@
 // Smart API Client - Automatically uses background functions for long-running tasks
 import logger from '../utils/logger';
+import { postJSON, withRetry, errorFromResponse, AIServiceError, MalformedResponseError } from './httpClient';
+
+const PROVIDER = 'google';
 
 const isProduction = import.meta.env.PROD;
 const FUNCTION_URL = isProduction ? '/.netlify/functions/google' : null;
 const BACKGROUND_FUNCTION_URL = isProduction ? '/.netlify/functions/google-background' : null;
 
-/**
- * Retry utility with exponential backoff
- */
-async function retryWithBackoff(fn, options = {}) {
-    const {
-        maxRetries = 2,
-        initialDelay = 1000,
-        maxDelay = 5000,
-        shouldRetry = (error) => {
-            if (error.message.includes('402') || error.message.includes('credits')) return false;
-            if (error.message.includes('401') || error.message.includes('API key')) return false;
-            if (error.message.includes('403') || error.message.includes('forbidden')) return false;
-            if (error.message.includes('400') || error.message.includes('invalid')) return false;
-
-            if (error.message.includes('429') || error.message.includes('rate limit')) return true;
-            if (error.message.includes('timeout')) return true;
-            if (error.message.includes('503') || error.message.includes('502')) return true;
-            if (error.message.includes('network')) return true;
-
-            return error.message.includes('500');
-        }
-    } = options;
-
-    let lastError;
-
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-        try {
-            return await fn();
-        } catch (error) {
-            lastError = error;
-
-            if (attempt < maxRetries && shouldRetry(error)) {
-                const delay = Math.min(initialDelay * Math.pow(2, attempt), maxDelay);
-                logger.warn('API', `Request failed, retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})`, {
-                    error: error.message
-                });
-                await new Promise(resolve => setTimeout(resolve, delay));
-                continue;
-            }
-
-            throw error;
-        }
-    }
-
-    throw lastError;
-}
-
 /**
  * Call Google API - Uses background function if useBackground is true
  */
-async function callGoogleAPI(endpoint, requestBody, apiKey, useBackground = false) {
+async function callGoogleAPI(endpoint, requestBody, apiKey, operation, useBackground = false) {
+    const options = { provider: PROVIDER, operation };
+
     if (isProduction) {
         // Production: Use Netlify functions
         if (useBackground) {
             // Use background function for long-running tasks
-            const response = await fetch(BACKGROUND_FUNCTION_URL, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    action: 'start',
-                    endpoint,
-                    body: requestBody
-                })
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Background job start failed: ${response.statusText} - ${errorText}`);
-            }
-
-            const { jobId } = await response.json();
-            return await pollJobStatus(jobId);
+            const { data } = await postJSON(BACKGROUND_FUNCTION_URL, {
+                action: 'start',
+                endpoint,
+                body: requestBody
+            }, options);
 
+            return await pollJobStatus(data.jobId, operation);
         } else {
             // Use regular function for quick tasks
-            const response = await fetch(FUNCTION_URL, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ endpoint, body: requestBody })
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`API error: ${response.statusText} - ${errorText}`);
-            }
-
-            return await response.json();
+            const { data } = await postJSON(FUNCTION_URL, { endpoint, body: requestBody }, options);
+            return data;
         }
     } else {
         // Development: Direct API call
         const API_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
-        const url = `${API_BASE_URL}/${endpoint}?key=${apiKey}`;
-
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(requestBody)
-        });
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`API error: ${response.statusText} - ${errorText}`);
-        }
+        const { data } = await postJSON(`${API_BASE_URL}/${endpoint}?key=${apiKey}`, requestBody, options);
+        return data;
+    }
+}
 
-        return await response.json();
+/**
+ * Parse the JSON text of the first candidate, throwing MalformedResponseError if there is none
+ */
+function parseResponseJSON(data, operation) {
+    try {
+        return JSON.parse(data.candidates[0].content.parts[0].text);
+    } catch (error) {
+        throw new MalformedResponseError(`${operation} failed: response was not valid JSON`, { provider: PROVIDER, cause: error });
     }
 }
 
 /**
  * Poll background job status until completion
  */
-async function pollJobStatus(jobId, onProgress = null) {
+async function pollJobStatus(jobId, operation, onProgress = null) {
     const maxAttempts = 180; // 15 minutes max (5 second intervals)
     let attempts = 0;
 
@@ -133,7 +69,7 @@ async function pollJobStatus(jobId, onProgress = null) {
         });
 
         if (!response.ok) {
-            throw new Error(`Failed to check job status: ${response.statusText}`);
+            throw await errorFromResponse(response, PROVIDER, `${operation} status check`);
         }
 
         const status = await response.json();
@@ -148,13 +84,14 @@ async function pollJobStatus(jobId, onProgress = null) {
         }
 
         if (status.status === 'failed') {
-            throw new Error(status.error || 'Background job failed');
+            throw new AIServiceError(status.error || 'Background job failed', { provider: PROVIDER });
         }
 
         attempts++;
     }
 
-    throw new Error('Job timeout - exceeded maximum wait time');
+    // Not a TimeoutError: retrying would start another 15 minute job
+    throw new AIServiceError(`${operation} failed: background job exceeded maximum wait time`, { provider: PROVIDER });
 }
 
 /**
@@ -217,7 +154,7 @@ OUTPUT FORMAT (JSON):
         // Use background function in production for stories (they can take 30s+)
         const useBackground = isProduction;
 
-        const data = await retryWithBackoff(async () => {
+        const data = await withRetry(async () => {
             return await callGoogleAPI(
                 'models/gemini-2.5-flash:generateContent',
                 {
@@ -229,12 +166,12 @@ OUTPUT FORMAT (JSON):
                     }
                 },
                 apiKey,
+                'Story generation',
                 useBackground
             );
         });
 
-        const text = data.candidates[0].content.parts[0].text;
-        const storyData = JSON.parse(text);
+        const storyData = parseResponseJSON(data, 'Story generation');
 
         const totalDuration = performance.now() - startTime;
         logger.info('STORY-GEN', 'Story generated successfully', {
@@ -284,7 +221,7 @@ JSON response:
     try {
         const base64Data = photoBase64.split(',')[1];
 
-        const data = await retryWithBackoff(async () => {
+        const data = await withRetry(async () => {
             return await callGoogleAPI(
                 'models/gemini-2.5-flash:generateContent',
                 {
@@ -304,12 +241,12 @@ JSON response:
                     }
                 },
                 apiKey,
+                'Photo analysis',
                 false // Don't use background for quick analysis
             );
         });
 
-        const text = data.candidates[0].content.parts[0].text;
-        return JSON.parse(text);
+        return parseResponseJSON(data, 'Photo analysis');
 
     } catch (error) {
         logger.error('CHARACTER', 'Character analysis failed', error);
@@ -353,7 +290,7 @@ export async function generatePageImage(imagePrompt, apiKey, pageNumber = 0, chi
             }
         }
 
-        const data = await retryWithBackoff(async () => {
+        const data = await withRetry(async () => {
             return await callGoogleAPI(
                 'models/imagen-3.0-generate-001:predict',
                 {
@@ -366,6 +303,7 @@ export async function generatePageImage(imagePrompt, apiKey, pageNumber = 0, chi
                     }
                 },
                 apiKey,
+                `Image generation for page ${pageNumber}`,
                 false // No background needed for images (quick generation)
             );
         });
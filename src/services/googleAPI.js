@@ -1,109 +1,125 @@
 // Google AI Studio API Service (via secure Netlify function)
 import logger from '../utils/logger';
+import { postJSON, withRetry, ContentBlockedError, MalformedResponseError } from './httpClient';
+import { buildRepairPrompt } from './storyValidator';
+import { buildOutlinePrompt, buildOutlineInstructions } from './storyOutline';
+import { buildPacingRules, describeWordsPerPage } from './bookFormats';
+import { buildSimplifyPrompt } from './readingLevels';
+import { buildLanguageRules, getLanguage } from './languages';
+import { buildCoStarRules } from './heroes';
+import { buildCompanionRules, buildCompanionAnalysisPrompt } from './companions';
+import { buildPreferenceRules } from './childProfiles';
+import { buildArtStyleRules } from './artStyles';
+
+const PROVIDER = 'google';
 
 // Use Netlify function in production, direct API in development
 const isProduction = import.meta.env.PROD;
 const FUNCTION_URL = isProduction ? '/.netlify/functions/google' : null;
 
-/**
- * Retry utility with exponential backoff
- */
-async function retryWithBackoff(fn, options = {}) {
-    const {
-        maxRetries = 2,
-        initialDelay = 1000,
-        maxDelay = 5000,
-        shouldRetry = (error) => {
-            if (error.message.includes('402') || error.message.includes('credits')) return false;
-            if (error.message.includes('401') || error.message.includes('API key')) return false;
-            if (error.message.includes('403') || error.message.includes('forbidden')) return false;
-            if (error.message.includes('400') || error.message.includes('invalid')) return false;
-
-            if (error.message.includes('429') || error.message.includes('rate limit')) return true;
-            if (error.message.includes('timeout')) return true;
-            if (error.message.includes('503') || error.message.includes('502')) return true;
-            if (error.message.includes('network')) return true;
-
-            return error.message.includes('500');
-        }
-    } = options;
-
-    let lastError;
-
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-        try {
-            return await fn();
-        } catch (error) {
-            lastError = error;
-
-            if (attempt < maxRetries && shouldRetry(error)) {
-                const delay = Math.min(initialDelay * Math.pow(2, attempt), maxDelay);
-                logger.warn('API', `Request failed, retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})`, {
-                    error: error.message
-                });
-                await new Promise(resolve => setTimeout(resolve, delay));
-                continue;
-            }
-
-            throw error;
-        }
-    }
-
-    throw lastError;
-}
-
 /**
  * Secure API call - uses Netlify function in production, direct API in development
  */
-async function callGoogleAPI(endpoint, requestBody, apiKey) {
+async function callGoogleAPI(endpoint, requestBody, apiKey, operation, signal = null) {
+    const options = { provider: PROVIDER, operation, signal };
+
     if (isProduction) {
         // Production: Use Netlify function to keep API key secure
-        const response = await fetch(FUNCTION_URL, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                endpoint,
-                body: requestBody
-            })
-        });
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`API error: ${response.statusText} - ${errorText}`);
-        }
-
-        return await response.json();
+        const { data } = await postJSON(FUNCTION_URL, { endpoint, body: requestBody }, options);
+        return data;
     } else {
         // Development: Direct API call (for local testing)
         const API_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
-        const url = `${API_BASE_URL}/${endpoint}?key=${apiKey}`;
+        const { data } = await postJSON(`${API_BASE_URL}/${endpoint}?key=${apiKey}`, requestBody, options);
+        return data;
+    }
+}
 
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(requestBody)
-        });
+/**
+ * Get the text of the first candidate, or throw the typed error for a blocked or empty response
+ */
+function getResponseText(data, operation) {
+    const blockReason = data.promptFeedback?.blockReason;
+    const candidate = data.candidates?.[0];
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`API error: ${response.statusText} - ${errorText}`);
-        }
+    if (blockReason || ['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST'].includes(candidate?.finishReason)) {
+        throw new ContentBlockedError(`${operation} was blocked (${blockReason || candidate.finishReason})`, { provider: PROVIDER });
+    }
 
-        return await response.json();
+    const text = candidate?.content?.parts?.[0]?.text;
+    if (!text) {
+        throw new MalformedResponseError(`${operation} failed: response has no text`, { provider: PROVIDER });
     }
+    return text;
+}
+
+/**
+ * Parse a JSON response body, throwing MalformedResponseError if it isn't JSON
+ */
+function parseJSONText(text, operation) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new MalformedResponseError(`${operation} failed: response was not valid JSON`, { provider: PROVIDER, cause: error });
+    }
+}
+
+/**
+ * Send a text prompt in JSON mode and parse the JSON reply
+ */
+async function requestJSON(prompt, operation, apiKey, signal) {
+    const data = await withRetry(async () => {
+        return await callGoogleAPI(
+            'models/gemini-2.5-flash:generateContent',
+            {
+                contents: [{
+                    parts: [{ text: prompt }]
+                }],
+                generationConfig: {
+                    response_mime_type: 'application/json'
+                }
+            },
+            apiKey,
+            operation,
+            signal
+        );
+    }, { signal });
+
+    return parseJSONText(getResponseText(data, operation), operation);
 }
 
 /**
  * Generate story content using Google Gemini
+ * Options (all optional): { signal, outline, format, readingLevel, language, secondaryLanguage,
+ * coStars, companions, preferences }. Gemini's JSON mode is not streamed, so `onProgress` is ignored.
+ * Pass an approved `outline` (outline-first mode) to write the pages from it.
+ * `format` is a book format id (bookFormats.js) that sets words per page and pacing,
+ * `readingLevel` (readingLevels.js) sets vocabulary and sentence length, and `language`
+ * (languages.js) is the language the title and page text are written in. With a
+ * `secondaryLanguage` (bilingual book) each page also gets a "secondaryText" in that language.
+ * `coStars` ([{ name, age }], heroes.js) are other real people who star alongside the child,
+ * and `companions` ([{ name, kind }], companions.js) are the child's own pets and toys.
+ * `preferences` are the child's favourite things from their profile (childProfiles.js).
  */
-export async function generateStoryContent(childName, storyPrompt, pageCount, apiKey) {
+export async function generateStoryContent(childName, storyPrompt, pageCount, apiKey, _childAge = null, { signal = null, outline = null, format = null, readingLevel = null, language = null, secondaryLanguage = null, coStars = null, companions = null, preferences = null } = {}) {
     const startTime = performance.now();
 
     logger.info('STORY-GEN', 'Starting story generation', {
         childName,
         pageCount,
+        format,
+        readingLevel,
+        language,
+        secondaryLanguage,
+        coStarCount: coStars?.length || 0,
+        companionCount: companions?.length || 0,
+        hasPreferences: !!preferences,
         promptLength: storyPrompt.length
     });
+    const languageRules = buildLanguageRules(language, 'the title and every page "text"', secondaryLanguage);
+    const coStarRules = buildCoStarRules(childName, coStars);
+    const companionRules = buildCompanionRules(childName, companions);
+    const preferenceRules = buildPreferenceRules(childName, preferences);
 
     const prompt = `You are a master children's book author. Create an enchanting ${pageCount}-page storybook.
 
@@ -118,6 +134,7 @@ REQUIREMENTS:
    - Start with an engaging hook
    - Build excitement with Each page
    - End with heartwarming resolution
+${buildPacingRules(format, pageCount, childName, readingLevel).replace(/^/gm, '   ')}
 
 5. VISUAL CONSISTENCY (CRITICAL):
    - OUTFIT: ${childName} wears ONE specific outfit throughout
@@ -140,16 +157,17 @@ OUTPUT FORMAT (JSON):
     "pages": [
         {
             "pageNumber": 1,
-            "text": "2-4 sentences with vivid verbs",
+            "text": "${describeWordsPerPage(format, readingLevel)} with vivid verbs",${secondaryLanguage ? `
+            "secondaryText": "The same page in ${getLanguage(secondaryLanguage).label}",` : ''}
             "location": "locationName",
             "charactersPresent": ["${childName}", "..."],
             "imagePrompt": "Detailed scene description"
         }
     ]
-}`;
+}${coStarRules ? `\n\n${coStarRules}` : ''}${companionRules ? `\n\n${companionRules}` : ''}${preferenceRules ? `\n\n${preferenceRules}` : ''}${languageRules ? `\n\n${languageRules}` : ''}${outline ? `\n\n${buildOutlineInstructions(outline)}` : ''}`;
 
     try {
-        const data = await retryWithBackoff(async () => {
+        const data = await withRetry(async () => {
             return await callGoogleAPI(
                 'models/gemini-2.5-flash:generateContent',
                 {
@@ -160,12 +178,13 @@ OUTPUT FORMAT (JSON):
                         response_mime_type: 'application/json'
                     }
                 },
-                apiKey
+                apiKey,
+                'Story generation',
+                signal
             );
-        });
+        }, { signal });
 
-        const text = data.candidates[0].content.parts[0].text;
-        const storyData = JSON.parse(text);
+        const storyData = parseJSONText(getResponseText(data, 'Story generation'), 'Story generation');
 
         const totalDuration = performance.now() - startTime;
         logger.info('STORY-GEN', 'Story generated successfully', {
@@ -181,10 +200,47 @@ OUTPUT FORMAT (JSON):
     }
 }
 
+/**
+ * Ask the model to fix a story that failed validation
+ * @param {Object} storyData - The invalid story
+ * @param {string[]} issues - Problems found by validateStoryContent
+ * @param {Object} expected - { childName, pageCount }
+ */
+export async function repairStoryContent(storyData, issues, expected, apiKey, signal = null) {
+    logger.info('STORY-GEN', 'Requesting story repair', { issueCount: issues.length });
+    return requestJSON(buildRepairPrompt(storyData, issues, expected), 'Story repair', apiKey, signal);
+}
+
+/**
+ * Plan a story (outline-first mode): title, character bible, locations and one beat per page
+ */
+export async function generateStoryOutline(childName, storyPrompt, pageCount, apiKey, childAge = null, { signal = null, format = null, language = null, coStars = null, companions = null, preferences = null } = {}) {
+    logger.info('STORY-GEN', 'Generating story outline', { childName, pageCount, format, language, coStarCount: coStars?.length || 0, companionCount: companions?.length || 0, hasPreferences: !!preferences });
+    return requestJSON(buildOutlinePrompt(childName, storyPrompt, pageCount, childAge, { format, language, coStars, companions, preferences }), 'Story outline', apiKey, signal);
+}
+
+/**
+ * Rewrite one page's text for a reading level (see buildSimplifyPrompt)
+ * On a bilingual page pass `secondary` ({ text, languageCode }) to rewrite both languages together.
+ * @returns {Promise<Object>} { text, secondaryText } - secondaryText is null without `secondary`
+ */
+export async function simplifyPageText(text, readingLevel, wordsPerPage, reasons, apiKey, signal = null, secondary = null) {
+    logger.info('STORY-GEN', 'Simplifying page text', { readingLevel, reasonCount: reasons.length, bilingual: !!secondary });
+    const result = await requestJSON(buildSimplifyPrompt(text, readingLevel, wordsPerPage, reasons, secondary), 'Page rewrite', apiKey, signal);
+
+    if (typeof result?.text !== 'string' || !result.text.trim()) {
+        throw new MalformedResponseError('Page rewrite failed: response has no page text', { provider: PROVIDER });
+    }
+    if (secondary && (typeof result.secondaryText !== 'string' || !result.secondaryText.trim())) {
+        throw new MalformedResponseError('Page rewrite failed: response has no second-language text', { provider: PROVIDER });
+    }
+    return { text: result.text.trim(), secondaryText: secondary ? result.secondaryText.trim() : null };
+}
+
 /**
  * Analyze person photo for character consistency
  */
-export async function analyzePersonPhoto(photoBase64, personName, apiKey) {
+export async function analyzePersonPhoto(photoBase64, personName, apiKey, _childAge = null, signal = null) {
     logger.info('CHARACTER', 'Analyzing person photo');
 
     const prompt = `Analyze this photo of ${personName}. Provide VERY detailed character description.
@@ -216,7 +272,7 @@ JSON response:
         // Extract base64 data
         const base64Data = photoBase64.split(',')[1];
 
-        const data = await retryWithBackoff(async () => {
+        const data = await withRetry(async () => {
             return await callGoogleAPI(
                 'models/gemini-2.5-flash:generateContent',
                 {
@@ -235,12 +291,13 @@ JSON response:
                         response_mime_type: 'application/json'
                     }
                 },
-                apiKey
+                apiKey,
+                'Photo analysis',
+                signal
             );
-        });
+        }, { signal });
 
-        const text = data.candidates[0].content.parts[0].text;
-        return JSON.parse(text);
+        return parseJSONText(getResponseText(data, 'Photo analysis'), 'Photo analysis');
 
     } catch (error) {
         logger.error('CHARACTER', 'Character analysis failed', error);
@@ -248,17 +305,57 @@ JSON response:
     }
 }
 
+/**
+ * Analyze a photo of the child's pet or toy for character consistency
+ */
+export async function analyzeCompanionPhoto(photoBase64, name, kind, apiKey, signal = null) {
+    logger.info('CHARACTER', 'Analyzing companion photo', { kind });
+
+    try {
+        const data = await withRetry(async () => {
+            return await callGoogleAPI(
+                'models/gemini-2.5-flash:generateContent',
+                {
+                    contents: [{
+                        parts: [
+                            { text: buildCompanionAnalysisPrompt(name, kind) },
+                            {
+                                inline_data: {
+                                    mime_type: 'image/jpeg',
+                                    data: photoBase64.split(',')[1]
+                                }
+                            }
+                        ]
+                    }],
+                    generationConfig: {
+                        response_mime_type: 'application/json'
+                    }
+                },
+                apiKey,
+                'Companion photo analysis',
+                signal
+            );
+        }, { signal });
+
+        return parseJSONText(getResponseText(data, 'Companion photo analysis'), 'Companion photo analysis');
+
+    } catch (error) {
+        logger.error('CHARACTER', 'Companion analysis failed', error);
+        throw error;
+    }
+}
+
 /**
  * Generate page image using Google Imagen
  */
-export async function generatePageImage(imagePrompt, apiKey, pageNumber = 0, childPhoto = null, childName = '', characterDescription = null, storyContext = null) {
+export async function generatePageImage(imagePrompt, apiKey, pageNumber = 0, _childPhoto = null, childName = '', characterDescription = null, storyContext = null, _childAge = null, signal = null) {
     const startTime = performance.now();
 
     logger.info('IMAGE-GEN', `Generating image for page ${pageNumber}`);
 
     try {
         // Build comprehensive prompt with character consistency
-        let fullPrompt = `Children's book illustration: ${imagePrompt}\n\nStyle: vibrant, child-friendly, professional storybook art.`;
+        let fullPrompt = `Children's book illustration: ${imagePrompt}\n\n${buildArtStyleRules(storyContext?.artStyle)}`;
 
         if (characterDescription) {
             fullPrompt += `\n\nMAIN CHARACTER (${childName}) - MUST BE CONSISTENT:\n`;
@@ -284,25 +381,29 @@ export async function generatePageImage(imagePrompt, apiKey, pageNumber = 0, chi
             }
         }
 
-        const url = `${API_BASE_URL}/models/imagen-3.0-generate-001:predict?key=${apiKey}`;
-
-        const data = await retryWithBackoff(async () => {
-            return await callGoogleAPI(
-                'models/gemini-2.5-flash-image:generateContent',
-                {
-                    instances: [{
-                        prompt: fullPrompt
-                    }],
-                    parameters: {
-                        sampleCount: 1,
-                        aspectRatio: '4:3'
-                    }
-                },
-                apiKey
-            );
-        });
-
-        const imageData = data.predictions[0].bytesBase64Encoded;
+        // Not retried here: aiProvider runs this through the image scheduler, which retries it
+        const data = await callGoogleAPI(
+            'models/gemini-2.5-flash-image:generateContent',
+            {
+                instances: [{
+                    prompt: fullPrompt
+                }],
+                parameters: {
+                    sampleCount: 1,
+                    aspectRatio: '4:3'
+                }
+            },
+            apiKey,
+            `Image generation for page ${pageNumber}`,
+            signal
+        );
+
+        const imageData = data.predictions?.[0]?.bytesBase64Encoded;
+        if (!imageData) {
+            throw new MalformedResponseError(`Image generation failed for page ${pageNumber}: API responded but no image data found`, {
+                provider: PROVIDER
+            });
+        }
         const imageUrl = `data:image/png;base64,${imageData}`;
 
         const totalDuration = performance.now() - startTime;
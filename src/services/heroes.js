@@ -0,0 +1,65 @@
+// Heroes
+// A story can star more than the child: up to MAX_CO_STARS more real people (siblings, a
+// parent, a grandparent), each with their own name, age and photo. Every photo is analyzed
+// on its own, and the descriptions are added to the story's characters context so each
+// illustration draws everyone the same way. The child stays the main hero (childName,
+// heroPhoto, characterDescription); the others are the story's `coStars`.
+
+export const MAX_CO_STARS = 3;
+
+/**
+ * "Mia", "Mia and Leo", "Mia, Leo and Grandma Rose"
+ */
+export function joinNames(names) {
+    if (names.length <= 1) return names[0] || '';
+    return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+/**
+ * Appearance of a co-star for the characters context, from their photo analysis
+ * (without an analysis the image model only has the reference photo to go on)
+ */
+export function describeCoStar(coStar) {
+    const analysis = coStar.characterDescription;
+    const age = coStar.age ? `${coStar.age} years old` : analysis?.approximateAge;
+
+    if (!analysis?.characterDescription) {
+        return `A real person${age ? `, ${age}` : ''} - draw them exactly like their reference photo`;
+    }
+    return [
+        analysis.characterDescription,
+        age && `Age: ${age}.`,
+        analysis.skinTone && `Skin tone: ${analysis.skinTone}.`,
+        analysis.hairColor && `Hair (NEVER CHANGE): ${analysis.hairColor}, ${analysis.hairStyle || 'as in the photo'}.`,
+        analysis.eyeColor && `Eyes: ${analysis.eyeColor}.`,
+        analysis.distinctiveFeatures && analysis.distinctiveFeatures !== 'none' && `Distinctive features: ${analysis.distinctiveFeatures}.`
+    ].filter(Boolean).join(' ');
+}
+
+/**
+ * The co-stars as characters-context entries: their looks from the photo analysis, followed by
+ * the outfit the story gave them in "characters"
+ */
+export function getCoStarCharacters(story) {
+    const characters = story.characters || {};
+    return Object.fromEntries((story.coStars || []).map(coStar => [
+        coStar.name,
+        [describeCoStar(coStar), characters[coStar.name]].filter(Boolean).join(' ')
+    ]));
+}
+
+/**
+ * Rules for the story and outline prompts that bring the co-stars into the story ('' without any)
+ * @param {string} childName - The main hero
+ * @param {Object[]} coStars - [{ name, age }]
+ */
+export function buildCoStarRules(childName, coStars) {
+    if (!coStars?.length) return '';
+
+    return [
+        `MORE HEROES: ${childName} shares this adventure with ${coStars.length === 1 ? 'a real person' : 'real people'} from their life - give each a real part in the story, not just a cameo:`,
+        ...coStars.map(coStar => `- ${coStar.name}${coStar.age ? `, ${coStar.age} years old` : ''}`),
+        '- Their looks come from their photos - do not describe faces or hair. Add each of them to "characters" with only the ONE outfit they wear throughout, e.g. "Outfit: a green knitted jumper and brown corduroy trousers"',
+        '- Spell their names exactly as written here, and list them in "charactersPresent" on every page they appear on'
+    ].join('\n');
+}
@@ -0,0 +1,457 @@
+// HTTP Client
+// Shared request layer for the AI clients. Failed requests become typed errors that
+// carry the HTTP status, the provider and any retry-after hint, so retries, failover,
+// logging and the UI decide what to do from the error type instead of its message.
+import logger from '../utils/logger';
+import { isAbortError, sleep, throwIfAborted } from '../utils/abort';
+
+// Give up on a request that hasn't answered by then (image generation can take ~60s)
+const REQUEST_TIMEOUT_MS = 120 * 1000;
+
+// Give up on a stream once nothing (not even a keep-alive comment) has arrived for this long
+const STREAM_IDLE_TIMEOUT_MS = 60 * 1000;
+
+// A retry-after longer than this is not waited out here; the provider chain moves on instead
+const MAX_RETRY_AFTER_MS = 30 * 1000;
+
+// Called with every RateLimitedError as it happens (before any retry)
+const rateLimitListeners = new Set();
+
+/**
+ * Base class for every failure reported by an AI backend
+ * Unclassified failures (e.g. a 400 for a bad request) use this class directly.
+ */
+export class AIServiceError extends Error {
+    constructor(message, { status = null, provider = null, retryAfterMs = null, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'AIServiceError';
+        this.status = status;
+        this.provider = provider;
+        this.retryAfterMs = retryAfterMs;
+    }
+
+    /** Whether the same request may succeed if sent again */
+    get retryable() {
+        return false;
+    }
+
+    /** Fields added to log entries for this error */
+    toLogData() {
+        return {
+            errorType: this.name,
+            status: this.status,
+            provider: this.provider,
+            retryAfterMs: this.retryAfterMs
+        };
+    }
+}
+
+/** Too many requests (429) - retry after a pause */
+export class RateLimitedError extends AIServiceError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'RateLimitedError';
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+/** Out of credits or quota (402) */
+export class QuotaExceededError extends AIServiceError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'QuotaExceededError';
+    }
+}
+
+/** Missing, invalid or unauthorized API key (401/403) */
+export class AuthFailedError extends AIServiceError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'AuthFailedError';
+    }
+}
+
+/** The prompt or the output was refused by the provider's safety filters */
+export class ContentBlockedError extends AIServiceError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'ContentBlockedError';
+    }
+}
+
+/** No answer in time, from us (client timeout) or from a gateway (408/504) */
+export class TimeoutError extends AIServiceError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'TimeoutError';
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+/** Server errors (5xx) and network failures */
+export class ServiceUnavailableError extends AIServiceError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'ServiceUnavailableError';
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+/** The provider answered, but not with what we asked for (bad JSON, no image, ...) */
+export class MalformedResponseError extends AIServiceError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'MalformedResponseError';
+    }
+}
+
+/**
+ * Be told about every rate-limit response, e.g. to hold back other requests to that provider
+ * @param {Function} listener - (error: RateLimitedError) => void
+ * @returns {Function} Unsubscribe
+ */
+export function onRateLimited(listener) {
+    rateLimitListeners.add(listener);
+    return () => rateLimitListeners.delete(listener);
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Error class for provider error codes that say more than the HTTP status: Google's
+// `error.status` and ErrorInfo reasons (an invalid key is a 400), blocking finish reasons,
+// OpenRouter moderation (a 403 that is not an auth failure) and our Netlify functions' `code`
+const ERROR_CODE_CLASSES = {
+    SAFETY: ContentBlockedError,
+    PROHIBITED_CONTENT: ContentBlockedError,
+    BLOCKLIST: ContentBlockedError,
+    SPII: ContentBlockedError,
+    IMAGE_SAFETY: ContentBlockedError,
+    content_filter: ContentBlockedError,
+    MODERATION: ContentBlockedError,
+    API_KEY_INVALID: AuthFailedError,
+    API_KEY_NOT_CONFIGURED: AuthFailedError,
+    UNAUTHENTICATED: AuthFailedError,
+    PERMISSION_DENIED: AuthFailedError,
+    RESOURCE_EXHAUSTED: RateLimitedError,
+    DEADLINE_EXCEEDED: TimeoutError,
+    UNAVAILABLE: ServiceUnavailableError
+};
+
+/**
+ * The provider's own code for an error object (null if it sent none we know)
+ * Google: an ErrorInfo reason (e.g. API_KEY_INVALID), else `status` (e.g. PERMISSION_DENIED);
+ * OpenRouter: MODERATION when the input was flagged (its `code` is just the HTTP status).
+ */
+export function getProviderErrorCode(error) {
+    if (!error || typeof error !== 'object') return null;
+
+    const reason = error.details?.find?.(detail => detail.reason)?.reason;
+    if (reason) return reason;
+    if (error.metadata?.reasons || error.metadata?.flagged_input) return 'MODERATION';
+    return typeof error.status === 'string' ? error.status : null;
+}
+
+/**
+ * Pull a readable message, the provider's error code and a retry delay out of an error response body
+ * Handles OpenRouter ({ error: { message, metadata } }), Google ({ error: { message, status,
+ * details: [ErrorInfo, RetryInfo] } }) and our Netlify functions ({ error, code, message }).
+ */
+function parseErrorBody(text) {
+    try {
+        const data = JSON.parse(text);
+        const error = data.error;
+        const message = (typeof error === 'string' ? error : error?.message) || data.message || text;
+        const retryInfo = error?.details?.find?.(detail => detail.retryDelay);
+
+        return {
+            message: typeof error === 'string' && data.message ? `${error}: ${data.message}` : message,
+            code: getProviderErrorCode(error) || data.code || null,
+            retryAfterMs: retryInfo ? parseRetryAfter(String(retryInfo.retryDelay).replace(/s$/, '')) : null
+        };
+    } catch {
+        return { message: text, code: null, retryAfterMs: null };
+    }
+}
+
+/**
+ * Build the typed error for a failure status, the provider's error code and its message
+ * Also used for errors reported inside a stream that started with a 200.
+ * The provider's code decides first, then the status; the message is only read when
+ * neither says what went wrong (e.g. a bare 400 from a provider that sends no codes).
+ * @param {number} status - HTTP status (or the error code the provider sent)
+ * @param {string} errorMessage - Provider's message
+ * @param {Object} details - { provider, operation, retryAfterMs, code }
+ *   code is the provider's error code or finish reason (see ERROR_CODE_CLASSES)
+ */
+export function classifyError(status, errorMessage, { provider, operation, retryAfterMs = null, code = null }) {
+    const message = `${operation} failed (${status}): ${String(errorMessage).substring(0, 200)}`;
+    const details = { status, provider, retryAfterMs };
+    const CodeError = ERROR_CODE_CLASSES[code];
+    if (CodeError) return new CodeError(message, details);
+
+    if (status === 429) return new RateLimitedError(message, details);
+    if (status === 402) return new QuotaExceededError(message, details);
+    if (status === 401 || status === 403) return new AuthFailedError(message, details);
+    if (status === 408 || status === 504) return new TimeoutError(message, details);
+    if (status >= 500) return new ServiceUnavailableError(message, details);
+
+    // Last resort for providers that only explain themselves in words
+    if (/safety|blocked|flagged|moderation/i.test(errorMessage)) return new ContentBlockedError(message, details);
+    if (/API key/i.test(errorMessage)) return new AuthFailedError(message, details);
+
+    return new AIServiceError(message, details);
+}
+
+/**
+ * Build the typed error for a non-2xx response
+ * @param {Response} response - Failed fetch response (its body is consumed)
+ * @param {string} provider - Provider that answered
+ * @param {string} operation - What was being done, for the message (e.g. 'Story generation')
+ */
+export async function errorFromResponse(response, provider, operation) {
+    const body = parseErrorBody(await response.text().catch(() => ''));
+    const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After')) ?? body.retryAfterMs;
+
+    return classifyError(response.status, body.message, { provider, operation, retryAfterMs, code: body.code });
+}
+
+/**
+ * POST a JSON body and hand the successful response to `readBody`
+ * Throws typed errors for HTTP failures, timeouts and network errors; anything else
+ * `readBody` throws (other than a typed error or an abort) means the body was unusable.
+ * The timeout covers reading the body too, unless `readBody` restarts it with the
+ * `restartTimeout(ms)` it is given (postEventStream does, for every chunk).
+ */
+async function post(url, body, options, readBody) {
+    const {
+        provider,
+        operation,
+        headers = {},
+        signal = null,
+        timeoutMs = REQUEST_TIMEOUT_MS
+    } = options;
+
+    throwIfAborted(signal);
+
+    // One controller for both the caller's cancel and our own timeout
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    let timedOut = false;
+    let timer = null;
+    const restartTimeout = (ms) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, ms);
+    };
+    restartTimeout(timeoutMs);
+
+    const startTime = performance.now();
+
+    try {
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+        } catch (error) {
+            if (timedOut) {
+                throw new TimeoutError(`${operation} failed: no response after ${timeoutMs / 1000}s`, { provider });
+            }
+            if (isAbortError(error)) throw error;
+            throw new ServiceUnavailableError(`${operation} failed: network error - ${error.message}`, {
+                provider,
+                cause: error
+            });
+        }
+
+        const duration = performance.now() - startTime;
+
+        if (!response.ok) {
+            const error = await errorFromResponse(response, provider, operation);
+            logger.apiResponse(url, response.status, duration, error.toLogData());
+            if (error instanceof RateLimitedError) {
+                rateLimitListeners.forEach(listener => listener(error));
+            }
+            throw error;
+        }
+
+        try {
+            return await readBody(response, duration, restartTimeout);
+        } catch (error) {
+            if (error instanceof AIServiceError) throw error;
+            if (timedOut) {
+                throw new TimeoutError(`${operation} failed: response not received within ${timeoutMs / 1000}s`, { provider });
+            }
+            if (isAbortError(error)) throw error;
+            throw new MalformedResponseError(`${operation} failed: response was not valid JSON`, {
+                status: response.status,
+                provider,
+                cause: error
+            });
+        }
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+}
+
+/**
+ * POST a JSON body and return the parsed JSON response
+ * Throws typed errors for HTTP failures, timeouts, network errors and unparseable bodies;
+ * aborting `signal` rejects with the usual AbortError.
+ * @param {string} url
+ * @param {Object} body - Request body (serialized here)
+ * @param {Object} options - { provider, operation, headers, signal, timeoutMs }
+ * @returns {Promise<Object>} { data, status, duration }
+ */
+export async function postJSON(url, body, options = {}) {
+    return post(url, body, options, async (response, duration) => ({
+        data: await response.json(),
+        status: response.status,
+        duration
+    }));
+}
+
+/**
+ * POST a JSON body and read the response as a server-sent event stream
+ * `onEvent` is called with the parsed JSON of every `data:` line until `data: [DONE]` or the
+ * end of the stream; it may throw (e.g. a typed error for an error event) to stop reading.
+ * Errors are typed as for postJSON; a connection lost mid-stream is a ServiceUnavailableError.
+ * `timeoutMs` only covers the wait for the response. A long stream is fine as long as it keeps
+ * coming: it times out once nothing has arrived for `idleTimeoutMs`, restarted on every chunk.
+ * @param {string} url
+ * @param {Object} body - Request body (serialized here)
+ * @param {Object} options - { provider, operation, headers, signal, timeoutMs, idleTimeoutMs, onEvent }
+ * @returns {Promise<Object>} { status, duration } - duration is the time to the first byte
+ */
+export async function postEventStream(url, body, options = {}) {
+    const { provider, operation, onEvent, signal = null, idleTimeoutMs = STREAM_IDLE_TIMEOUT_MS } = options;
+
+    return post(url, body, options, async (response, duration, restartTimeout) => {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        // Returns false once the stream says it is done
+        const handleLine = (line) => {
+            if (!line.startsWith('data:')) return true; // comments (": keep-alive"), event names, blank lines
+
+            const payload = line.slice(5).trim();
+            if (payload === '[DONE]') return false;
+
+            onEvent(JSON.parse(payload));
+            return true;
+        };
+
+        while (true) {
+            let chunk;
+            restartTimeout(idleTimeoutMs);
+            try {
+                chunk = await reader.read();
+            } catch (error) {
+                // Our idle timeout aborts the request too; only the caller's abort is a cancel
+                if (isAbortError(error) && !signal?.aborted) {
+                    throw new TimeoutError(`${operation} failed: stream stalled - nothing received for ${idleTimeoutMs / 1000}s`, { provider });
+                }
+                if (isAbortError(error)) throw error;
+                throw new ServiceUnavailableError(`${operation} failed: connection lost while streaming - ${error.message}`, {
+                    provider,
+                    cause: error
+                });
+            }
+
+            buffer += decoder.decode(chunk.value, { stream: !chunk.done });
+            const lines = chunk.done ? [buffer] : buffer.split('\n');
+            buffer = chunk.done ? '' : lines.pop();
+
+            for (const line of lines) {
+                if (!handleLine(line.trim())) {
+                    await reader.cancel();
+                    return { status: response.status, duration };
+                }
+            }
+
+            if (chunk.done) return { status: response.status, duration };
+        }
+    });
+}
+
+/**
+ * Whether a failed request may be sent to the same provider again
+ * Only retryable AI errors qualify (rate limits, timeouts, 5xx, network), and not when the
+ * server's retry-after is too long to wait - the provider chain moves on instead.
+ */
+export function isRetryable(error) {
+    return error instanceof AIServiceError
+        && error.retryable
+        && (error.retryAfterMs ?? 0) <= MAX_RETRY_AFTER_MS;
+}
+
+/**
+ * Exponential backoff before retry number `attempt + 1`, or the server's retry-after if longer
+ */
+export function getRetryDelay(error, attempt, { initialDelay = 1000, maxDelay = 5000 } = {}) {
+    const backoff = Math.min(initialDelay * Math.pow(2, attempt), maxDelay);
+    return Math.max(backoff, error.retryAfterMs ?? 0);
+}
+
+/**
+ * Retry an operation with exponential backoff
+ * Only retryable AI errors are retried (rate limits, timeouts, 5xx, network); a server's
+ * retry-after is honoured unless it is too long to wait, and a cancelled request is never retried.
+ * `shouldRetry(error)` can veto a retry, e.g. once a stream has delivered part of its answer.
+ */
+export async function withRetry(fn, options = {}) {
+    const {
+        signal = null,
+        maxRetries = 2,
+        initialDelay = 1000,
+        maxDelay = 5000,
+        shouldRetry = () => true
+    } = options;
+
+    for (let attempt = 0; ; attempt++) {
+        throwIfAborted(signal);
+
+        try {
+            return await fn();
+        } catch (error) {
+            const canRetry = attempt < maxRetries && isRetryable(error) && shouldRetry(error);
+
+            if (!canRetry) throw error;
+
+            const delay = getRetryDelay(error, attempt, { initialDelay, maxDelay });
+            logger.warn('API', `Request failed, retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})`, {
+                ...error.toLogData(),
+                error: error.message
+            });
+            await sleep(delay, signal);
+        }
+    }
+}
@@ -0,0 +1,168 @@
+// Languages
+// Languages a story can be written in. The story text is generated in the chosen language,
+// the few words printed in the book itself ("Starring", page labels) come from `strings`, and
+// right-to-left languages are laid out mirrored in the viewer, PDF and EPUB. Only languages
+// whose script the PDF fonts can draw and shape are offered (see `script`).
+
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * - dir: text direction ('ltr' | 'rtl')
+ * - script: picks the PDF font ('latin' and 'cyrillic' use Andika; 'arabic' and 'hebrew' have their own)
+ * - strings: book text, with {placeholders}
+ */
+export const LANGUAGES = {
+    en: {
+        code: 'en',
+        label: 'English',
+        nativeName: 'English',
+        dir: 'ltr',
+        script: 'latin',
+        strings: { starring: 'Starring {name}', page: 'Page {number}', titlePage: 'Title Page' }
+    },
+    es: {
+        code: 'es',
+        label: 'Spanish',
+        nativeName: 'Español',
+        dir: 'ltr',
+        script: 'latin',
+        strings: { starring: 'Protagonizada por {name}', page: 'Página {number}', titlePage: 'Portada' }
+    },
+    fr: {
+        code: 'fr',
+        label: 'French',
+        nativeName: 'Français',
+        dir: 'ltr',
+        script: 'latin',
+        strings: { starring: 'Avec {name}', page: 'Page {number}', titlePage: 'Page de titre' }
+    },
+    de: {
+        code: 'de',
+        label: 'German',
+        nativeName: 'Deutsch',
+        dir: 'ltr',
+        script: 'latin',
+        strings: { starring: 'Mit {name} in der Hauptrolle', page: 'Seite {number}', titlePage: 'Titelseite' }
+    },
+    it: {
+        code: 'it',
+        label: 'Italian',
+        nativeName: 'Italiano',
+        dir: 'ltr',
+        script: 'latin',
+        strings: { starring: 'Con {name}', page: 'Pagina {number}', titlePage: 'Frontespizio' }
+    },
+    pt: {
+        code: 'pt',
+        label: 'Portuguese',
+        nativeName: 'Português',
+        dir: 'ltr',
+        script: 'latin',
+        strings: { starring: 'Estrelando {name}', page: 'Página {number}', titlePage: 'Folha de rosto' }
+    },
+    nl: {
+        code: 'nl',
+        label: 'Dutch',
+        nativeName: 'Nederlands',
+        dir: 'ltr',
+        script: 'latin',
+        strings: { starring: 'Met {name} in de hoofdrol', page: 'Pagina {number}', titlePage: 'Titelpagina' }
+    },
+    pl: {
+        code: 'pl',
+        label: 'Polish',
+        nativeName: 'Polski',
+        dir: 'ltr',
+        script: 'latin',
+        strings: { starring: 'W roli głównej: {name}', page: 'Strona {number}', titlePage: 'Strona tytułowa' }
+    },
+    tr: {
+        code: 'tr',
+        label: 'Turkish',
+        nativeName: 'Türkçe',
+        dir: 'ltr',
+        script: 'latin',
+        strings: { starring: 'Başrolde: {name}', page: 'Sayfa {number}', titlePage: 'Başlık Sayfası' }
+    },
+    ru: {
+        code: 'ru',
+        label: 'Russian',
+        nativeName: 'Русский',
+        dir: 'ltr',
+        script: 'cyrillic',
+        strings: { starring: 'В главной роли: {name}', page: 'Страница {number}', titlePage: 'Титульный лист' }
+    },
+    ar: {
+        code: 'ar',
+        label: 'Arabic',
+        nativeName: 'العربية',
+        dir: 'rtl',
+        script: 'arabic',
+        strings: { starring: 'بطولة {name}', page: 'صفحة {number}', titlePage: 'صفحة العنوان' }
+    },
+    he: {
+        code: 'he',
+        label: 'Hebrew',
+        nativeName: 'עברית',
+        dir: 'rtl',
+        script: 'hebrew',
+        strings: { starring: 'בכיכוב {name}', page: 'עמוד {number}', titlePage: 'עמוד השער' }
+    }
+};
+
+/**
+ * Language by code (stories made before languages existed are English)
+ */
+export function getLanguage(languageCode) {
+    return LANGUAGES[languageCode] || LANGUAGES[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Whether the language is written right to left
+ */
+export function isRTL(languageCode) {
+    return getLanguage(languageCode).dir === 'rtl';
+}
+
+/**
+ * Text printed in the book, e.g. getBookString('es', 'page', { number: 3 }) -> "Página 3"
+ */
+export function getBookString(languageCode, key, values = {}) {
+    return getLanguage(languageCode).strings[key]
+        .replace(/\{(\w+)\}/g, (placeholder, name) => String(values[name] ?? placeholder));
+}
+
+/**
+ * Language rules for the story and outline prompts ('' for an English-only story, which needs none)
+ * Only the reader-facing text is written in the language: image prompts and descriptions
+ * stay in English for the image model, and names stay identical so pages still match them.
+ * @param {string} languageCode
+ * @param {string} translatedFields - What to write in the language, e.g. 'the title and every page "text"'
+ * @param {string} secondaryLanguageCode - Bilingual books: every page also gets a "secondaryText"
+ *   in this language, written together with "text" so the two say the same thing
+ */
+export function buildLanguageRules(languageCode, translatedFields, secondaryLanguageCode = null) {
+    const language = getLanguage(languageCode);
+    const secondary = secondaryLanguageCode ? getLanguage(secondaryLanguageCode) : null;
+    const sections = [];
+
+    if (language.code !== DEFAULT_LANGUAGE) {
+        sections.push([
+            `LANGUAGE: Write ${translatedFields} in ${language.label} (${language.nativeName}) - natural, idiomatic ${language.label} written for children, not a translation from English`,
+            '- Everything else (imagePrompt, characterOutfit, character and location descriptions) stays in English: it is used to draw the illustrations',
+            '- Spell every character and location name exactly the same everywhere: in the text, the JSON keys, "location" and "charactersPresent"',
+            '- Keep the JSON keys in English'
+        ].join('\n'));
+    }
+    if (secondary) {
+        sections.push([
+            `BILINGUAL BOOK: Every page has its text in two languages - "text" in ${language.label} and "secondaryText" in ${secondary.label} (${secondary.nativeName})`,
+            '- Write both together, sentence by sentence, so a reader can follow one against the other: same events, same order, same number of sentences',
+            `- Make the ${secondary.label} natural and idiomatic for children, not a word-for-word translation`,
+            '- Keep every name exactly the same in both languages',
+            '- The words-per-page limit applies to each language on its own'
+        ].join('\n'));
+    }
+
+    return sections.join('\n\n');
+}
@@ -0,0 +1,411 @@
+// Mock AI Provider
+// Offline stand-in for the real providers: deterministic stories and locally drawn
+// placeholder illustrations, with configurable latency and injectable failures.
+// Configure via localStorage `mock_ai_config` (see getMockConfig in storageService).
+import logger from '../utils/logger';
+import { sleep } from '../utils/abort';
+import { getMockConfig } from './storageService';
+import { getWordsPerPage } from './bookFormats';
+import { getReadingLevel, READING_LEVELS, DEFAULT_READING_LEVEL } from './readingLevels';
+import { getLanguage } from './languages';
+import { joinNames } from './heroes';
+import { getCompanionKind } from './companions';
+import { getArtStyle } from './artStyles';
+import { AIServiceError, RateLimitedError, QuotaExceededError, TimeoutError } from './httpClient';
+
+const PROVIDER = 'mock';
+
+const IMAGE_WIDTH = 1184;
+const IMAGE_HEIGHT = 864; // 4:3, same as the real image model
+
+const SETTINGS = [
+    { name: 'Whispering Woods', description: 'A sunlit forest with tall mossy oaks, golden light, a winding dirt path and red-capped mushrooms' },
+    { name: 'Starlight Harbor', description: 'A calm harbor at dusk with wooden boats, striped lighthouse and lanterns on the pier' },
+    { name: 'Cloud Castle', description: 'A white castle on fluffy pink clouds with rainbow flags and a crystal gate' },
+    { name: 'Cozy Bedroom', description: 'A bedroom with yellow walls, a wooden bed with star-patterned sheets and a round window' },
+    { name: 'Meadow Hill', description: 'A rolling green hill covered in daisies under a big blue sky with a single apple tree' }
+];
+
+const COMPANIONS = [
+    { name: 'Pip', description: 'a small round hedgehog with soft brown spines, tiny black eyes and a green scarf' },
+    { name: 'Luna', description: 'a fluffy white cat with bright green eyes and a pink collar with a silver bell' },
+    { name: 'Bramble', description: 'a friendly bear cub with honey-coloured fur and a blue backpack' }
+];
+
+const OUTFITS = [
+    'a cozy blue hoodie with a dinosaur print, green cargo pants and red sneakers',
+    'a yellow raincoat, striped purple leggings and shiny green rain boots',
+    'an orange t-shirt with a star, denim overalls and white sneakers'
+];
+
+/**
+ * Small deterministic string hash (same input, same story)
+ */
+function hashString(value) {
+    let hash = 2166136261;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Build the error a real provider would have produced for an injected failure
+ */
+function injectedError(failure, operation) {
+    switch (failure) {
+        case '429':
+            return new RateLimitedError(`${operation} failed (429): rate limit exceeded (mock)`, {
+                status: 429,
+                provider: PROVIDER,
+                retryAfterMs: 1000
+            });
+        case '402':
+            return new QuotaExceededError(`${operation} failed (402): insufficient credits (mock)`, {
+                status: 402,
+                provider: PROVIDER
+            });
+        case 'timeout':
+            return new TimeoutError(`${operation} failed: request timed out (mock)`, { provider: PROVIDER });
+        default:
+            return new AIServiceError(`${operation} failed: unknown mock failure "${failure}"`, { provider: PROVIDER });
+    }
+}
+
+/**
+ * Wait out the configured latency, then throw if a failure is injected for this call
+ * @param {string} kind - 'story' | 'repair' | 'analysis' | 'image'
+ */
+async function simulateCall(kind, operation, signal, pageNumber = null) {
+    const config = getMockConfig();
+    const failure = config.failures[kind];
+    // 'invalid' doesn't throw: the story call succeeds with output that fails validation
+    const failsHere = failure && failure !== 'invalid' && (kind !== 'image'
+        || config.failPages.length === 0
+        || config.failPages.includes(pageNumber));
+
+    // A timeout takes as long as the real client would wait before giving up
+    const latency = failsHere && failure === 'timeout' ? config.timeoutMs : config.latencyMs * (kind === 'image' ? 2 : 1);
+    await sleep(latency, signal);
+
+    if (failsHere) {
+        logger.warn('MOCK', `Injected ${failure} failure`, { kind, pageNumber });
+        throw injectedError(failure, operation);
+    }
+}
+
+const splitSentences = text => text.match(/[^.!?]+[.!?]+["”]?/g) || [text];
+
+/**
+ * Keep whole sentences while they fit in `maxWords` (always at least one)
+ */
+function fitSentences(sentences, maxWords) {
+    let fitted = sentences[0].trim();
+
+    for (const sentence of sentences.slice(1)) {
+        const candidate = `${fitted} ${sentence.trim()}`;
+        if (candidate.split(/\s+/).length > maxWords) break;
+        fitted = candidate;
+    }
+    return fitted;
+}
+
+/**
+ * Build a deterministic, schema-valid story
+ * Page text is cut to the words per page of the format and reading level. Sentences are
+ * not shortened, so early-reader books get flagged and can be tried with simplifyPageText.
+ * Co-stars join the child on every page, each with a fixed outfit in "characters". The child's
+ * own pets and toys (`companions`) replace the invented sidekick.
+ */
+function buildStory(childName, theme, pageCount, format, readingLevel = null, coStarNames = [], companions = []) {
+    const seed = hashString(`${childName}|${theme}|${pageCount}`);
+    const sidekicks = companions.length
+        ? companions.map(companion => ({ name: companion.name, description: `${childName}'s ${getCompanionKind(companion.kind).noun}` }))
+        : [COMPANIONS[seed % COMPANIONS.length]];
+    const sidekickNames = sidekicks.map(sidekick => sidekick.name);
+    const outfit = OUTFITS[seed % OUTFITS.length];
+    const settings = [0, 1, 2].map(i => SETTINGS[(seed + i) % SETTINGS.length]);
+    const { max: maxWords } = getWordsPerPage(format, readingLevel);
+    const shortTheme = theme.trim().split(/\s+/).slice(0, 6).join(' ') || 'a big adventure';
+    const heroNames = [childName, ...coStarNames];
+    const heroes = joinNames(heroNames);
+
+    const pages = Array.from({ length: pageCount }, (_, i) => {
+        const pageNumber = i + 1;
+        const setting = settings[Math.min(Math.floor((i / pageCount) * settings.length), settings.length - 1)];
+        const isLast = pageNumber === pageCount;
+        const text = pageNumber === 1
+            ? `${heroes} woke up with a tingly feeling. Today was the day for ${shortTheme}!`
+            : isLast
+                ? `Back home, ${heroes} smiled at ${joinNames(sidekickNames)}. "Best adventure ever," they whispered, and fell fast asleep.`
+                : `In ${setting.name}, ${joinNames([...heroNames, ...sidekickNames])} found clue number ${pageNumber - 1}. "Whoosh!" went the wind, and off they went again.`;
+
+        return {
+            pageNumber,
+            text: fitSentences(splitSentences(text), maxWords),
+            location: setting.name,
+            charactersPresent: pageNumber === 1 ? heroNames : [...heroNames, ...sidekickNames],
+            imagePrompt: `${childName} in ${outfit}${coStarNames.length ? ` with ${joinNames(coStarNames)}` : ''}${pageNumber === 1 ? '' : ` and ${joinNames(sidekicks.map(sidekick => `${sidekick.name}, ${sidekick.description},`))}`} at ${setting.name}, looking excited`
+        };
+    });
+
+    return {
+        title: `The ${settings[0].name.split(' ')[0]} Secret`,
+        characterOutfit: outfit,
+        characters: {
+            [childName]: 'The main character (will be described separately from uploaded photo)',
+            ...Object.fromEntries(coStarNames.map((name, i) => [name, `Outfit: ${OUTFITS[(seed + i + 1) % OUTFITS.length]}`])),
+            ...Object.fromEntries(sidekicks.map(sidekick => [sidekick.name, sidekick.description]))
+        },
+        locations: Object.fromEntries(settings.map(setting => [setting.name, setting.description])),
+        pages
+    };
+}
+
+/**
+ * Write the pages of an approved outline (each beat becomes the page text)
+ */
+function buildStoryFromOutline(childName, outline) {
+    const outfit = outline.characterOutfit;
+
+    return {
+        title: outline.title,
+        characterOutfit: outfit,
+        characters: outline.characters,
+        locations: outline.locations,
+        pages: outline.beats.map(beat => {
+            const others = beat.charactersPresent.filter(name => name !== childName);
+            return {
+                pageNumber: beat.pageNumber,
+                text: beat.summary,
+                location: beat.location,
+                charactersPresent: beat.charactersPresent,
+                imagePrompt: `${childName} in ${outfit}${others.length ? ` with ${others.join(' and ')}` : ''} at ${beat.location}: ${beat.summary}`
+            };
+        })
+    };
+}
+
+/**
+ * Bilingual book: give every page a "secondaryText" - the mock only writes English, so it is
+ * the page text tagged with the language's name (enough to check the two-language layouts)
+ */
+function addSecondaryText(story, secondaryLanguage) {
+    if (!secondaryLanguage) return story;
+
+    const { nativeName } = getLanguage(secondaryLanguage);
+    return {
+        ...story,
+        pages: story.pages.map(page => ({ ...page, secondaryText: `(${nativeName}) ${page.text}` }))
+    };
+}
+
+/**
+ * Report a finished story page by page, the way a streamed response arrives
+ * (the configured latency is spread over the pages)
+ */
+async function streamStory(story, onProgress, signal) {
+    const delay = getMockConfig().latencyMs / story.pages.length;
+
+    for (let written = 1; written <= story.pages.length; written++) {
+        onProgress({ ...story, pages: story.pages.slice(0, written), pagesWritten: written });
+        await sleep(delay, signal);
+    }
+}
+
+/**
+ * Generate a deterministic, schema-valid story (or an invalid one if `failures.story` is 'invalid')
+ * Options are the same as the real providers' ({ onProgress, signal, outline, format, ... }).
+ * With an approved `outline`, the pages follow its beats. With `onProgress`, pages are streamed.
+ * Page text is cut to the words per page of the `format` and `readingLevel`.
+ */
+export async function generateStoryContent(childName, theme, pageCount, apiKey, childAge = '4-8', { onProgress = null, signal = null, outline = null, format = null, readingLevel = null, language = null, secondaryLanguage = null, coStars = null, companions = null, preferences = null } = {}) {
+    // The mock only writes English; `language` is still stored on the story (e.g. to check RTL layout)
+    logger.info('MOCK', 'Generating mock story', { childName, pageCount, childAge, format, readingLevel, language, secondaryLanguage, coStarCount: coStars?.length || 0, companionCount: companions?.length || 0, hasPreferences: !!preferences, fromOutline: !!outline });
+    const coStarNames = (coStars || []).map(coStar => coStar.name);
+    await simulateCall('story', 'Story generation', signal);
+
+    let story = addSecondaryText(
+        outline ? buildStoryFromOutline(childName, outline) : buildStory(childName, theme, pageCount, format, readingLevel, coStarNames, companions || []),
+        secondaryLanguage
+    );
+
+    if (getMockConfig().failures.story === 'invalid') {
+        logger.warn('MOCK', 'Injected invalid story (one page short, unknown location on page 1)');
+        story = {
+            ...story,
+            pages: story.pages.slice(0, -1).map((page, i) => i === 0 ? { ...page, location: 'Nowhere Land' } : page)
+        };
+    }
+
+    if (onProgress) {
+        await streamStory(story, onProgress, signal);
+    }
+
+    return story;
+}
+
+/**
+ * Plan a deterministic story: the same book generateStoryContent would write, as beats
+ */
+export async function generateStoryOutline(childName, theme, pageCount, apiKey, childAge = '4-8', { signal = null, format = null, language = null, coStars = null, companions = null, preferences = null } = {}) {
+    logger.info('MOCK', 'Generating mock outline', { childName, pageCount, childAge, format, language, coStarCount: coStars?.length || 0, companionCount: companions?.length || 0, hasPreferences: !!preferences });
+    await simulateCall('story', 'Story outline', signal);
+
+    const { pages, ...bible } = buildStory(childName, theme, pageCount, format, null, (coStars || []).map(coStar => coStar.name), companions || []);
+    return {
+        ...bible,
+        beats: pages.map(({ pageNumber, text, location, charactersPresent }) => ({
+            pageNumber,
+            summary: text,
+            location,
+            charactersPresent
+        }))
+    };
+}
+
+/**
+ * "Repair" a story - the mock doesn't edit the broken one, it returns a fresh valid story
+ * (or the broken one unchanged if `failures.repair` is 'invalid')
+ */
+export async function repairStoryContent(storyData, issues, expected, apiKey, signal = null) {
+    logger.info('MOCK', 'Repairing mock story', { issueCount: issues.length });
+    await simulateCall('repair', 'Story repair', signal);
+
+    if (getMockConfig().failures.repair === 'invalid') {
+        logger.warn('MOCK', 'Injected failed repair');
+        return storyData;
+    }
+
+    return addSecondaryText(
+        buildStory(expected.childName, storyData?.title || '', expected.pageCount, null, null, expected.coStarNames, (expected.companionNames || []).map(name => ({ name }))),
+        expected.secondaryLanguage
+    );
+}
+
+/**
+ * "Simplify" a page: every sentence is cut to three quarters of the reading level's sentence
+ * length (quoted exclamations are counted with the sentence around them when the page is
+ * scored), then whole sentences are kept while they fit the words per page.
+ * A bilingual page's `secondary` text is cut the same way.
+ */
+export async function simplifyPageText(text, readingLevel, wordsPerPage, reasons, apiKey, signal = null, secondary = null) {
+    logger.info('MOCK', 'Simplifying mock page', { readingLevel, reasonCount: reasons.length, bilingual: !!secondary });
+    await simulateCall('story', 'Page rewrite', signal);
+
+    const { maxSentenceWords } = getReadingLevel(readingLevel) || READING_LEVELS[DEFAULT_READING_LEVEL];
+    const maxWords = Math.floor(maxSentenceWords * 0.75);
+    const simplify = pageText => fitSentences(splitSentences(pageText).map(sentence => {
+        const words = sentence.trim().split(/\s+/);
+        return words.length > maxWords
+            ? `${words.slice(0, maxWords).join(' ').replace(/[,;:"“]+$/, '')}.`
+            : sentence;
+    }), wordsPerPage.max);
+
+    return { text: simplify(text), secondaryText: secondary ? simplify(secondary.text) : null };
+}
+
+/**
+ * Return a fixed character description (no photo analysis is done)
+ */
+export async function analyzePersonPhoto(photoBase64, personName, apiKey, childAge = null, signal = null) {
+    await simulateCall('analysis', 'Photo analysis', signal);
+
+    return {
+        characterDescription: `${personName} is a cheerful child with warm brown skin, short curly dark brown hair and big brown eyes.`,
+        skinTone: 'warm brown',
+        hairColor: 'dark brown',
+        hairStyle: 'short, curly, no part, no bangs',
+        hairLength: 'short',
+        hairTexture: 'curly',
+        eyeColor: 'brown',
+        approximateAge: childAge ? `${childAge} years` : '4-6 years',
+        distinctiveFeatures: 'none',
+        shortDescription: `${personName}, a cheerful child with curly dark hair`
+    };
+}
+
+/**
+ * Return a fixed pet or toy description (no photo analysis is done)
+ */
+export async function analyzeCompanionPhoto(photoBase64, name, kind, apiKey, signal = null) {
+    await simulateCall('analysis', 'Companion photo analysis', signal);
+
+    return kind === 'toy'
+        ? {
+            characterDescription: `${name} is a well-loved plush teddy bear with soft caramel-brown fur, a cream muzzle and shiny black button eyes.`,
+            type: 'plush teddy bear',
+            colorsAndMarkings: 'caramel-brown fur, cream muzzle and paw pads, red ribbon bow at the neck',
+            size: 'about as tall as a small child\'s arm',
+            distinctiveFeatures: 'one ear slightly faded from cuddles',
+            shortDescription: `${name}, a caramel-brown teddy bear with a red bow`
+        }
+        : {
+            characterDescription: `${name} is a friendly, fluffy little dog with golden fur, floppy ears and a waggy tail.`,
+            type: 'golden cockapoo',
+            colorsAndMarkings: 'golden fur with a white patch on the chest and white front paws',
+            size: 'comes up to a young child\'s knee',
+            distinctiveFeatures: 'blue collar with a bone-shaped tag',
+            shortDescription: `${name}, a fluffy golden dog with a blue collar`
+        };
+}
+
+/**
+ * Draw a placeholder illustration locally (gradient, page badge and the prompt)
+ */
+export async function generatePageImage(imagePrompt, apiKey, pageNumber = 0, _childPhoto = null, _childName = '', _characterDescription = null, storyContext = null, _childAge = null, signal = null) {
+    logger.imageGenerationStart(pageNumber, imagePrompt);
+    await simulateCall('image', `Image generation for page ${pageNumber}`, signal, pageNumber);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = IMAGE_WIDTH;
+    canvas.height = IMAGE_HEIGHT;
+    const ctx = canvas.getContext('2d');
+
+    const hue = hashString(`${imagePrompt}|${pageNumber}`) % 360;
+    const gradient = ctx.createLinearGradient(0, 0, IMAGE_WIDTH, IMAGE_HEIGHT);
+    gradient.addColorStop(0, `hsl(${hue}, 70%, 72%)`);
+    gradient.addColorStop(1, `hsl(${(hue + 80) % 360}, 70%, 60%)`);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, IMAGE_WIDTH, IMAGE_HEIGHT);
+
+    // A few soft "hills" so pages don't look like flat swatches
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.18)';
+    for (let i = 0; i < 3; i++) {
+        ctx.beginPath();
+        ctx.ellipse(IMAGE_WIDTH * (0.2 + i * 0.3), IMAGE_HEIGHT * 0.95, 320, 180, 0, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = 'bold 120px sans-serif';
+    const title = storyContext?.isReferenceSheet ? 'Reference sheet' : (pageNumber === 0 ? 'Cover' : `Page ${pageNumber}`);
+    ctx.fillText(title, IMAGE_WIDTH / 2, IMAGE_HEIGHT * 0.35);
+
+    // Prompt excerpt, word-wrapped
+    ctx.font = '32px sans-serif';
+    const words = imagePrompt.split(/\s+/).slice(0, 40);
+    const lines = [];
+    let line = '';
+    for (const word of words) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (ctx.measureText(candidate).width > IMAGE_WIDTH - 160 && line) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    }
+    if (line) lines.push(line);
+    lines.slice(0, 5).forEach((text, i) => ctx.fillText(text, IMAGE_WIDTH / 2, IMAGE_HEIGHT * 0.55 + i * 44));
+
+    // The label shows the book's art style (and its reference sheet, if any) reached every page and the cover
+    ctx.font = '24px sans-serif';
+    const sheetLabel = storyContext?.referenceSheet ? ' · matches the reference sheet' : '';
+    ctx.fillText(`Mock illustration · ${getArtStyle(storyContext?.artStyle).label}${sheetLabel}`, IMAGE_WIDTH / 2, IMAGE_HEIGHT - 40);
+
+    return canvas.toDataURL('image/jpeg', 0.85);
+}
@@ -1,58 +1,19 @@
 // OpenRouter API Service
 import logger from '../utils/logger';
-
-/**
- * Retry utility with exponential backoff
- * Retries transient errors, fails fast on permanent errors
- */
-async function retryWithBackoff(fn, options = {}) {
-    const {
-        maxRetries = 2,
-        initialDelay = 1000,
-        maxDelay = 5000,
-        shouldRetry = (error) => {
-            // Don't retry these permanent errors
-            if (error.message.includes('402') || error.message.includes('credits')) return false;
-            if (error.message.includes('401') || error.message.includes('API key')) return false;
-            if (error.message.includes('403') || error.message.includes('forbidden')) return false;
-            if (error.message.includes('400') || error.message.includes('invalid')) return false;
-
-            // Retry these transient errors
-            if (error.message.includes('429') || error.message.includes('rate limit')) return true;
-            if (error.message.includes('timeout')) return true;
-            if (error.message.includes('503') || error.message.includes('502')) return true;
-            if (error.message.includes('network')) return true;
-
-            // Default: retry on 500 errors, don't retry on 4xx
-            return error.message.includes('500');
-        }
-    } = options;
-
-    let lastError;
-
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-        try {
-            return await fn();
-        } catch (error) {
-            lastError = error;
-
-            // Check if we should retry
-            if (attempt < maxRetries && shouldRetry(error)) {
-                const delay = Math.min(initialDelay * Math.pow(2, attempt), maxDelay);
-                logger.warn('API', `Request failed, retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})`, {
-                    error: error.message
-                });
-                await new Promise(resolve => setTimeout(resolve, delay));
-                continue;
-            }
-
-            // Don't retry - throw immediately
-            throw error;
-        }
-    }
-
-    throw lastError;
-}
+import { isAbortError } from '../utils/abort';
+import { parsePartialJSON } from '../utils/partialJSON';
+import { postJSON, postEventStream, withRetry, classifyError, getProviderErrorCode, ContentBlockedError, MalformedResponseError } from './httpClient';
+import { buildRepairPrompt } from './storyValidator';
+import { buildOutlinePrompt, buildOutlineInstructions } from './storyOutline';
+import { buildPacingRules, describeWordsPerPage } from './bookFormats';
+import { buildSimplifyPrompt } from './readingLevels';
+import { buildLanguageRules, getLanguage } from './languages';
+import { buildCoStarRules, joinNames } from './heroes';
+import { buildCompanionRules, buildCompanionAnalysisPrompt } from './companions';
+import { buildPreferenceRules } from './childProfiles';
+import { buildArtStyleRules } from './artStyles';
+
+const PROVIDER = 'openrouter';
 
 // Use Netlify serverless function in production, direct API in development
 const isProduction = import.meta.env.PROD;
@@ -82,14 +43,132 @@ const getHeaders = (apiKey) => {
     return headers;
 };
 
+/**
+ * Get the first choice's message, or throw the typed error for a refused or empty response
+ */
+function getResponseMessage(data, operation) {
+    const choice = data.choices?.[0];
+
+    if (choice?.finish_reason === 'content_filter') {
+        throw new ContentBlockedError(`${operation} was blocked by the content filter`, { provider: PROVIDER });
+    }
+    if (!choice?.message) {
+        const detail = data.error?.message ? `: ${data.error.message}` : '';
+        throw new MalformedResponseError(`${operation} failed: response has no message${detail}`, { provider: PROVIDER });
+    }
+
+    return choice.message;
+}
+
+/**
+ * Stream a completion and return its full text
+ * `onText` is called with the text received so far after every chunk.
+ */
+async function streamCompletion(requestBody, operation, apiKey, signal, onText) {
+    const endpoint = getCompletionsEndpoint();
+    let content = '';
+
+    const { status, duration } = await postEventStream(endpoint, { ...requestBody, stream: true }, {
+        provider: PROVIDER,
+        operation,
+        headers: getHeaders(apiKey),
+        signal,
+        onEvent: (event) => {
+            // Failures after the stream started arrive as an event (unknown codes count as server errors)
+            if (event.error) {
+                const code = typeof event.error.code === 'number' ? event.error.code : 500;
+                throw classifyError(code, event.error.message || 'stream error', {
+                    provider: PROVIDER,
+                    operation,
+                    code: getProviderErrorCode(event.error)
+                });
+            }
+
+            const choice = event.choices?.[0];
+            if (choice?.finish_reason === 'content_filter') {
+                throw new ContentBlockedError(`${operation} was blocked by the content filter`, { provider: PROVIDER });
+            }
+            if (choice?.delta?.content) {
+                content += choice.delta.content;
+                onText(content);
+            }
+        }
+    });
+
+    logger.apiResponse(endpoint, status, duration, { streamed: true, contentLength: content.length });
+    return content;
+}
+
+/**
+ * The story received so far from a streamed response, or null before its pages start
+ * `pagesWritten` counts the leading pages that are complete; a page after them is still being written.
+ */
+function readPartialStory(text) {
+    const { value, open } = parsePartialJSON(text);
+    if (!value || !Array.isArray(value.pages)) return null;
+
+    const pages = value.pages.filter(page => page && typeof page === 'object' && !Array.isArray(page));
+    const pagesWritten = pages.findIndex(page => open.has(page));
+
+    return {
+        ...value,
+        pages,
+        pagesWritten: pagesWritten === -1 ? pages.length : pagesWritten
+    };
+}
+
+/**
+ * Send a text prompt in JSON mode and parse the JSON reply
+ */
+async function requestJSON(prompt, operation, apiKey, signal) {
+    const { data } = await withRetry(() => postJSON(getCompletionsEndpoint(), {
+        model: 'google/gemini-2.5-flash',
+        messages: [
+            {
+                role: 'user',
+                content: prompt
+            }
+        ],
+        response_format: { type: 'json_object' }
+    }, {
+        provider: PROVIDER,
+        operation,
+        headers: getHeaders(apiKey),
+        signal
+    }), { signal });
+
+    const content = getResponseMessage(data, operation).content || '';
+    try {
+        return JSON.parse(content.match(/\{[\s\S]*\}/)?.[0] ?? content);
+    } catch (error) {
+        throw new MalformedResponseError(`${operation} failed: response was not valid JSON`, { provider: PROVIDER, cause: error });
+    }
+}
+
 /**
  * Generate story content using Gemini
+ * Options (all optional): { onProgress, signal, outline, format, readingLevel, language,
+ * secondaryLanguage, coStars, companions, preferences }.
+ * Pass an approved `outline` (outline-first mode) to write the pages from it.
+ * With `onProgress`, the completion is streamed and onProgress(partialStory) is called as
+ * pages arrive ({ title, characterOutfit, characters, locations, pages, pagesWritten }).
+ * `format` is a book format id (bookFormats.js) that sets words per page and pacing,
+ * `readingLevel` (readingLevels.js) sets vocabulary and sentence length, and `language`
+ * (languages.js) is the language the title and page text are written in. With a
+ * `secondaryLanguage` (bilingual book) each page also gets a "secondaryText" in that language.
+ * `coStars` ([{ name, age }], heroes.js) are other real people who star alongside the child,
+ * and `companions` ([{ name, kind }], companions.js) are the child's own pets and toys.
+ * `preferences` are the child's favourite things from their profile (childProfiles.js).
  */
-export async function generateStoryContent(childName, theme, pageCount, apiKey, childAge = '4-8') {
+export async function generateStoryContent(childName, theme, pageCount, apiKey, childAge = '4-8', { onProgress = null, signal = null, outline = null, format = null, readingLevel = null, language = null, secondaryLanguage = null, coStars = null, companions = null, preferences = null } = {}) {
     const startTime = performance.now();
 
     logger.storyGenerationStart(childName, theme, pageCount);
-    logger.debug('STORY-GEN', 'Building prompt', { childName, themeLength: theme.length, pageCount, childAge });
+    logger.debug('STORY-GEN', 'Building prompt', { childName, themeLength: theme.length, pageCount, childAge, format, readingLevel, language, secondaryLanguage, coStarCount: coStars?.length || 0, companionCount: companions?.length || 0, hasPreferences: !!preferences });
+    const languageRules = buildLanguageRules(language, 'the title and every page "text"', secondaryLanguage);
+    const coStarRules = buildCoStarRules(childName, coStars);
+    const companionRules = buildCompanionRules(childName, companions);
+    const preferenceRules = buildPreferenceRules(childName, preferences);
 
     const prompt = `You are an award-winning children's book author creating a premium storybook for a child named ${childName} who is ${childAge} years old.
 
@@ -122,9 +201,7 @@ STORYTELLING EXCELLENCE REQUIREMENTS:
    - Add emotional depth - moments of wonder, excitement, warmth
 
 4. PACING & STRUCTURE:
-   - Pages 1-2: Set the scene, introduce ${childName} and their world
-   - Pages 3-${Math.floor(pageCount * 0.7)}: The adventure unfolds, challenges arise
-   - Final pages: Climax, resolution, heartwarming ending with a gentle lesson
+${buildPacingRules(format, pageCount, childName, readingLevel).replace(/^/gm, '   ')}
 
 5. VISUAL CONSISTENCY (CRITICAL):
    - OUTFIT: ${childName} wears ONE specific outfit throughout. Define it clearly.
@@ -156,7 +233,8 @@ OUTPUT FORMAT (JSON):
     "pages": [
         {
             "pageNumber": 1,
-            "text": "Engaging text (2-4 sentences max). Use vivid verbs. Include sensory details.",
+            "text": "Engaging text (${describeWordsPerPage(format, readingLevel)}). Use vivid verbs. Include sensory details.",${secondaryLanguage ? `
+            "secondaryText": "The same page in ${getLanguage(secondaryLanguage).label}, sentence by sentence",` : ''}
             "location": "locationName1",
             "charactersPresent": ["${childName}", "characterName2"],
             "imagePrompt": "Detailed scene: ${childName} in [exact outfit], [other characters with exact appearance], at [location with specific details], doing [specific action with emotion]"
@@ -167,7 +245,7 @@ OUTPUT FORMAT (JSON):
 
 IMPORTANT: If you introduce ANY character besides ${childName} (friends, animals, adults, magical creatures), you MUST define their appearance in the "characters" object with EXTREME detail so they look identical on every page!
 
-QUALITY STANDARD: Write as if this will be professionally published. Every sentence should delight and engage. Make parents want to read this aloud, and make children ask for it again and again.`;
+QUALITY STANDARD: Write as if this will be professionally published. Every sentence should delight and engage. Make parents want to read this aloud, and make children ask for it again and again.${coStarRules ? `\n\n${coStarRules}` : ''}${companionRules ? `\n\n${companionRules}` : ''}${preferenceRules ? `\n\n${preferenceRules}` : ''}${languageRules ? `\n\n${languageRules}` : ''}${outline ? `\n\n${buildOutlineInstructions(outline)}` : ''}`;
 
     try {
         const endpoint = getCompletionsEndpoint();
@@ -185,38 +263,37 @@ QUALITY STANDARD: Write as if this will be professionally published. Every sente
         logger.apiRequest(endpoint, 'POST', {
             model: requestBody.model,
             promptLength: prompt.length,
-            responseFormat: 'json'
+            responseFormat: 'json',
+            stream: !!onProgress
         });
 
-        const fetchStart = performance.now();
-
-        // Wrap fetch in retry logic
-        const response = await retryWithBackoff(async () => {
-            return await fetch(endpoint, {
-                method: 'POST',
+        let content;
+        if (onProgress) {
+            // Pages already shown would be written again by a restarted stream, so once any
+            // arrived a failure is not retried here (the provider chain may still fail over)
+            let pagesShown = false;
+            content = await withRetry(() => streamCompletion(requestBody, 'Story generation', apiKey, signal, text => {
+                const partialStory = readPartialStory(text);
+                if (partialStory) {
+                    pagesShown = pagesShown || partialStory.pages.length > 0;
+                    onProgress(partialStory);
+                }
+            }), { signal, shouldRetry: () => !pagesShown });
+        } else {
+            const { data, status, duration } = await withRetry(() => postJSON(endpoint, requestBody, {
+                provider: PROVIDER,
+                operation: 'Story generation',
                 headers: getHeaders(apiKey),
-                body: JSON.stringify(requestBody)
-            });
-        });
+                signal
+            }), { signal });
 
-        const fetchDuration = performance.now() - fetchStart;
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            logger.apiResponse(endpoint, response.status, fetchDuration, {
-                error: errorText,
-                statusText: response.statusText
+            logger.apiResponse(endpoint, status, duration, {
+                hasChoices: !!data.choices,
+                choiceCount: data.choices?.length
             });
-            throw new Error(`Story generation failed: ${response.statusText} - ${errorText}`);
-        }
-
-        const data = await response.json();
-        logger.apiResponse(endpoint, response.status, fetchDuration, {
-            hasChoices: !!data.choices,
-            choiceCount: data.choices?.length
-        });
 
-        const content = data.choices[0].message.content;
+            content = getResponseMessage(data, 'Story generation').content || '';
+        }
         logger.debug('STORY-GEN', 'Received response', {
             contentLength: content.length,
             contentPreview: content.substring(0, 100)
@@ -235,8 +312,13 @@ QUALITY STANDARD: Write as if this will be professionally published. Every sente
             });
 
             const jsonMatch = content.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                storyData = JSON.parse(jsonMatch[0]);
+            try {
+                storyData = jsonMatch ? JSON.parse(jsonMatch[0]) : null;
+            } catch {
+                storyData = null;
+            }
+
+            if (storyData) {
                 logger.info('STORY-GEN', 'Successfully extracted JSON via regex', {
                     title: storyData.title,
                     pageCount: storyData.pages?.length
@@ -245,7 +327,7 @@ QUALITY STANDARD: Write as if this will be professionally published. Every sente
                 logger.error('STORY-GEN', 'Failed to extract JSON from response', e, {
                     contentPreview: content.substring(0, 200)
                 });
-                throw new Error('Failed to parse story content');
+                throw new MalformedResponseError('Failed to parse story content', { provider: PROVIDER });
             }
         }
 
@@ -255,17 +337,58 @@ QUALITY STANDARD: Write as if this will be professionally published. Every sente
         return storyData;
 
     } catch (error) {
+        if (isAbortError(error)) {
+            logger.info('STORY-GEN', 'Story generation cancelled');
+            throw error;
+        }
         const totalDuration = performance.now() - startTime;
         logger.storyGenerationError(error, totalDuration);
         throw error;
     }
 }
 
+/**
+ * Ask the model to fix a story that failed validation
+ * @param {Object} storyData - The invalid story
+ * @param {string[]} issues - Problems found by validateStoryContent
+ * @param {Object} expected - { childName, pageCount }
+ */
+export async function repairStoryContent(storyData, issues, expected, apiKey, signal = null) {
+    logger.info('STORY-GEN', 'Requesting story repair', { issueCount: issues.length });
+    return requestJSON(buildRepairPrompt(storyData, issues, expected), 'Story repair', apiKey, signal);
+}
+
+/**
+ * Plan a story (outline-first mode): title, character bible, locations and one beat per page
+ */
+export async function generateStoryOutline(childName, theme, pageCount, apiKey, childAge = '4-8', { signal = null, format = null, language = null, coStars = null, companions = null, preferences = null } = {}) {
+    logger.info('STORY-GEN', 'Generating story outline', { childName, pageCount, childAge, format, language, coStarCount: coStars?.length || 0, companionCount: companions?.length || 0, hasPreferences: !!preferences });
+    return requestJSON(buildOutlinePrompt(childName, theme, pageCount, childAge, { format, language, coStars, companions, preferences }), 'Story outline', apiKey, signal);
+}
+
+/**
+ * Rewrite one page's text for a reading level (see buildSimplifyPrompt)
+ * On a bilingual page pass `secondary` ({ text, languageCode }) to rewrite both languages together.
+ * @returns {Promise<Object>} { text, secondaryText } - secondaryText is null without `secondary`
+ */
+export async function simplifyPageText(text, readingLevel, wordsPerPage, reasons, apiKey, signal = null, secondary = null) {
+    logger.info('STORY-GEN', 'Simplifying page text', { readingLevel, reasonCount: reasons.length, bilingual: !!secondary });
+    const result = await requestJSON(buildSimplifyPrompt(text, readingLevel, wordsPerPage, reasons, secondary), 'Page rewrite', apiKey, signal);
+
+    if (typeof result?.text !== 'string' || !result.text.trim()) {
+        throw new MalformedResponseError('Page rewrite failed: response has no page text', { provider: PROVIDER });
+    }
+    if (secondary && (typeof result.secondaryText !== 'string' || !result.secondaryText.trim())) {
+        throw new MalformedResponseError('Page rewrite failed: response has no second-language text', { provider: PROVIDER });
+    }
+    return { text: result.text.trim(), secondaryText: secondary ? result.secondaryText.trim() : null };
+}
+
 /**
  * Analyze child's photo to extract detailed character description
  * This ensures consistency across all generated images
  */
-export async function analyzePersonPhoto(photoBase64, personName, apiKey, childAge = null) {
+export async function analyzePersonPhoto(photoBase64, personName, apiKey, childAge = null, signal = null) {
     logger.info('CHARACTER', 'Analyzing person photo for character consistency', { childAge });
 
     try {
@@ -304,43 +427,32 @@ Respond with a JSON object:
     "shortDescription": "Brief 1-sentence description for quick reference"
 }`;
 
-        const response = await retryWithBackoff(async () => {
-            return await fetch(endpoint, {
-                method: 'POST',
-                headers: getHeaders(apiKey),
-                body: JSON.stringify({
-                    model: 'google/gemini-2.5-flash',
-                    messages: [
+        const { data } = await withRetry(() => postJSON(endpoint, {
+            model: 'google/gemini-2.5-flash',
+            messages: [
+                {
+                    role: 'user',
+                    content: [
+                        {
+                            type: 'image_url',
+                            image_url: { url: photoBase64 }
+                        },
                         {
-                            role: 'user',
-                            content: [
-                                {
-                                    type: 'image_url',
-                                    image_url: { url: photoBase64 }
-                                },
-                                {
-                                    type: 'text',
-                                    text: analysisPrompt
-                                }
-                            ]
+                            type: 'text',
+                            text: analysisPrompt
                         }
-                    ],
-                    response_format: { type: 'json_object' }
-                })
-            });
-        });
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            logger.warn('CHARACTER', 'Photo analysis failed, using basic description', { error: errorText });
-            return {
-                characterDescription: `A child named ${childName}`,
-                shortDescription: childName
-            };
-        }
+                    ]
+                }
+            ],
+            response_format: { type: 'json_object' }
+        }, {
+            provider: PROVIDER,
+            operation: 'Photo analysis',
+            headers: getHeaders(apiKey),
+            signal
+        }), { signal });
 
-        const data = await response.json();
-        const content = data.choices[0].message.content;
+        const content = getResponseMessage(data, 'Photo analysis').content;
 
         try {
             const characterData = JSON.parse(content);
@@ -353,17 +465,64 @@ Respond with a JSON object:
         } catch (e) {
             logger.warn('CHARACTER', 'Failed to parse character analysis', { error: e.message });
             return {
-                characterDescription: `A child named ${childName}`,
-                shortDescription: childName
+                characterDescription: `A child named ${personName}`,
+                shortDescription: personName
             };
         }
 
     } catch (error) {
-        logger.error('CHARACTER', 'Character analysis error', error);
-        return {
-            characterDescription: `A child named ${childName}`,
-            shortDescription: childName
-        };
+        if (!isAbortError(error)) {
+            logger.error('CHARACTER', 'Character analysis error', error);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Analyze a photo of the child's pet or toy so it looks the same in every illustration
+ */
+export async function analyzeCompanionPhoto(photoBase64, name, kind, apiKey, signal = null) {
+    logger.info('CHARACTER', 'Analyzing companion photo', { kind });
+
+    try {
+        const { data } = await withRetry(() => postJSON(getCompletionsEndpoint(), {
+            model: 'google/gemini-2.5-flash',
+            messages: [
+                {
+                    role: 'user',
+                    content: [
+                        { type: 'image_url', image_url: { url: photoBase64 } },
+                        { type: 'text', text: buildCompanionAnalysisPrompt(name, kind) }
+                    ]
+                }
+            ],
+            response_format: { type: 'json_object' }
+        }, {
+            provider: PROVIDER,
+            operation: 'Companion photo analysis',
+            headers: getHeaders(apiKey),
+            signal
+        }), { signal });
+
+        const content = getResponseMessage(data, 'Companion photo analysis').content;
+
+        try {
+            const companionData = JSON.parse(content);
+            logger.info('CHARACTER', 'Companion analysis complete', { type: companionData.type });
+            return companionData;
+        } catch (e) {
+            logger.warn('CHARACTER', 'Failed to parse companion analysis', { error: e.message });
+            return {
+                characterDescription: `${name}, a ${kind}`,
+                shortDescription: name
+            };
+        }
+
+    } catch (error) {
+        if (!isAbortError(error)) {
+            logger.error('CHARACTER', 'Companion analysis error', error);
+        }
+        throw error;
     }
 }
 
@@ -372,7 +531,7 @@ Respond with a JSON object:
  * Uses gemini-2.5-flash-image for image generation
  * Includes child's photo, character description, and story context for consistency
  */
-export async function generatePageImage(imagePrompt, apiKey, pageNumber = 0, childPhoto = null, childName = '', characterDescription = null, storyContext = null, childAge = null) {
+export async function generatePageImage(imagePrompt, apiKey, pageNumber = 0, childPhoto = null, childName = '', characterDescription = null, storyContext = null, childAge = null, signal = null) {
     const startTime = performance.now();
 
     logger.imageGenerationStart(pageNumber, imagePrompt);
@@ -422,6 +581,21 @@ IMPORTANT: If any of these characters appear in this illustration, they MUST mat
 ` : ''}`;
         }
 
+        // Co-stars, pets and toys on the page are real too: each gets their own labelled reference photo
+        const referencePhotos = storyContext?.referencePhotos || [];
+        const referenceRule = referencePhotos.length
+            ? `\n5. ${joinNames(referencePhotos.map(reference => reference.name))} MUST ${referencePhotos.length > 1 ? 'each ' : ''}look exactly like their own reference photo (same face, colours and features) - never mix up whose photo is whose`
+            : '';
+
+        // The approved reference sheet (storyGenerator.js) pins the hero's face, proportions and outfit on every page
+        const referenceSheet = storyContext?.referenceSheet || null;
+        const sheetRule = referenceSheet
+            ? `\n${referenceRule ? 6 : 5}. ${childName} MUST match the approved character reference sheet exactly (same face, proportions, hair and outfit) - draw them in this scene's pose, not as a sheet`
+            : '';
+        const pageRule = storyContext?.isReferenceSheet
+            ? '4. This is the character reference sheet every page of the storybook will be drawn from'
+            : `4. This is page ${pageNumber} of a storybook - everything must be consistent with other pages`;
+
         // Create prompt with all consistency information
         const enhancedPrompt = `Create a children's book illustration: ${imagePrompt}
 ${characterRef}
@@ -431,11 +605,10 @@ CRITICAL CONSISTENCY REQUIREMENTS:
 1. The main character ${childName} MUST look like the reference photo (same face, skin tone, hair)
 2. The character MUST wear the EXACT same outfit described above
 3. The location/background MUST match the description exactly
-4. This is page ${pageNumber} of a storybook - everything must be consistent with other pages
+${pageRule}${referenceRule}${sheetRule}
 
-Style: Vibrant, colorful, whimsical, friendly children's book illustration.
-Art style: Modern digital illustration suitable for ages 4-8.
-Quality: High quality, detailed, professional.`;
+${buildArtStyleRules(storyContext?.artStyle)}
+Quality: High quality, detailed, professional, suitable for ages 4-8.`;
 
         const endpoint = getCompletionsEndpoint();
 
@@ -455,11 +628,30 @@ Quality: High quality, detailed, professional.`;
                     text: enhancedPrompt
                 }
             ];
+            // With more than one reference image they need labels so the model knows which is which
+            if (referencePhotos.length > 0 || referenceSheet) {
+                messageContent.unshift({ type: 'text', text: `Reference photo of ${childName}:` });
+            }
             logger.info('IMAGE-GEN', `Page ${pageNumber} using child photo as reference`, {
-                photoLength: childPhoto.length
+                photoLength: childPhoto.length,
+                referencePhotos: referencePhotos.length
             });
         } else {
-            messageContent = enhancedPrompt;
+            messageContent = referencePhotos.length > 0 || referenceSheet ? [{ type: 'text', text: enhancedPrompt }] : enhancedPrompt;
+        }
+
+        if (referencePhotos.length > 0) {
+            messageContent.splice(-1, 0, ...referencePhotos.flatMap(reference => [
+                { type: 'text', text: `Reference photo of ${reference.name}:` },
+                { type: 'image_url', image_url: { url: reference.photo } }
+            ]));
+        }
+
+        if (referenceSheet) {
+            messageContent.splice(-1, 0,
+                { type: 'text', text: `Approved character reference sheet of ${childName}:` },
+                { type: 'image_url', image_url: { url: referenceSheet } }
+            );
         }
 
         // Using gemini-2.5-flash-image (Nano Banana) for image generation
@@ -484,40 +676,29 @@ Quality: High quality, detailed, professional.`;
             pageNumber,
             promptLength: imagePrompt.length,
             hasChildPhoto: !!childPhoto,
+            hasReferenceSheet: !!referenceSheet,
             modalities: requestBody.modalities
         });
 
-        const fetchStart = performance.now();
-
-        // Wrap image generation in retry logic
-        const response = await retryWithBackoff(async () => {
-            return await fetch(endpoint, {
-                method: 'POST',
-                headers: getHeaders(apiKey),
-                body: JSON.stringify(requestBody)
-            });
+        // Not retried here: aiProvider runs this through the image scheduler, which retries it
+        const { data, status, duration } = await postJSON(endpoint, requestBody, {
+            provider: PROVIDER,
+            operation: `Image generation for page ${pageNumber}`,
+            headers: getHeaders(apiKey),
+            signal
         });
 
-        const fetchDuration = performance.now() - fetchStart;
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            logger.apiResponse(endpoint, response.status, fetchDuration, {
-                pageNumber,
-                error: errorText,
-                statusText: response.statusText
-            });
-
-            throw new Error(`Image API error (${response.status}): ${errorText.substring(0, 200)}`);
-        }
-
-        const data = await response.json();
-        logger.apiResponse(endpoint, response.status, fetchDuration, {
+        logger.apiResponse(endpoint, status, duration, {
             pageNumber,
             hasChoices: !!data.choices,
             hasImages: !!data.choices?.[0]?.message?.images
         });
 
+        // A refusal is not a missing image
+        if (data.choices?.[0]?.finish_reason === 'content_filter') {
+            throw new ContentBlockedError(`Image generation for page ${pageNumber} was blocked by the content filter`, { provider: PROVIDER });
+        }
+
         // CORRECT RESPONSE FORMAT: message.images array
         if (data.choices && data.choices[0] && data.choices[0].message) {
             const message = data.choices[0].message;
@@ -585,9 +766,15 @@ Quality: High quality, detailed, professional.`;
             pageNumber
         });
 
-        throw new Error(`Image generation failed for page ${pageNumber}: API responded but no image data found. Check console for response structure.`);
+        throw new MalformedResponseError(`Image generation failed for page ${pageNumber}: API responded but no image data found. Check console for response structure.`, {
+            provider: PROVIDER
+        });
 
     } catch (error) {
+        if (isAbortError(error)) {
+            logger.info('IMAGE-GEN', `Page ${pageNumber} cancelled`);
+            throw error;
+        }
         const totalDuration = performance.now() - startTime;
         logger.imageGenerationError(pageNumber, error, totalDuration);
         throw error;
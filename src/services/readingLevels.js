@@ -0,0 +1,118 @@
+// Reading Levels
+// Who will read the book sets the vocabulary, sentence length and words per page the
+// story prompt asks for. Generated pages are then measured locally (Flesch-Kincaid grade,
+// sentence length, word count) so pages that came out too hard can be flagged and rewritten.
+import { analyzeText } from '../utils/readability';
+import { DEFAULT_LANGUAGE, getLanguage } from './languages';
+
+export const DEFAULT_READING_LEVEL = 'read-aloud';
+
+// Leeway before a page counts as missing its target (model output is never exact)
+const GRADE_TOLERANCE = 0.5;
+const WORD_COUNT_TOLERANCE = 1.2;
+
+export const READING_LEVELS = {
+    'read-aloud': {
+        id: 'read-aloud',
+        label: 'Read-Aloud',
+        description: 'A grown-up reads it to a pre-reader',
+        maxSentenceWords: 20,
+        maxWordsPerPage: null, // the book format decides
+        maxGrade: 5,
+        vocabulary: 'Rich, playful vocabulary is welcome - a grown-up reads it aloud; let context explain any unusual word'
+    },
+    early: {
+        id: 'early',
+        label: 'Early Reader',
+        description: 'The child is starting to read on their own',
+        maxSentenceWords: 8,
+        maxWordsPerPage: 40,
+        maxGrade: 2,
+        vocabulary: 'Short, common, easy-to-sound-out words (mostly one or two syllables); repeat key words across pages'
+    },
+    independent: {
+        id: 'independent',
+        label: 'Independent Reader',
+        description: 'The child reads confidently alone',
+        maxSentenceWords: 14,
+        maxWordsPerPage: 150,
+        maxGrade: 3.5,
+        vocabulary: 'Everyday vocabulary with a few new, interesting words that the sentence around them explains'
+    }
+};
+
+/**
+ * Reading level by id, or null for stories made before reading levels existed
+ */
+export function getReadingLevel(levelId) {
+    return READING_LEVELS[levelId] || null;
+}
+
+/**
+ * Reading-level rules for the story prompt
+ */
+export function buildReadingLevelRules(levelId) {
+    const level = getReadingLevel(levelId) || READING_LEVELS[DEFAULT_READING_LEVEL];
+
+    return [
+        `READING LEVEL: ${level.label} (${level.description.toLowerCase()})`,
+        `- Sentences of at most ${level.maxSentenceWords} words`,
+        `- Vocabulary: ${level.vocabulary}`,
+        `- Aim for a Flesch-Kincaid grade level of ${level.maxGrade} or below`
+    ].join('\n');
+}
+
+/**
+ * Measure one page's text against a reading level
+ * @param {string} text - Page text
+ * @param {string} levelId - Reading level id
+ * @param {Object} wordsPerPage - { min, max } for the book (see getWordsPerPage)
+ * @param {string} languageCode - The grade formula is only meaningful for English; other
+ *   languages are checked on sentence length and word count alone
+ * @returns {Object|null} { stats, onTarget, reasons } - null when the story has no reading level
+ */
+export function scorePage(text, levelId, wordsPerPage, languageCode = DEFAULT_LANGUAGE) {
+    const level = getReadingLevel(levelId);
+    if (!level || !text?.trim()) return null;
+
+    const stats = analyzeText(text);
+    const reasons = [];
+
+    if (languageCode === DEFAULT_LANGUAGE && stats.gradeLevel > level.maxGrade + GRADE_TOLERANCE) {
+        reasons.push(`Reads at grade ${stats.gradeLevel} (target ${level.maxGrade} or below)`);
+    }
+    if (stats.averageSentenceLength > level.maxSentenceWords) {
+        reasons.push(`Sentences average ${stats.averageSentenceLength} words (target ${level.maxSentenceWords} or fewer)`);
+    }
+    if (wordsPerPage && stats.words > wordsPerPage.max * WORD_COUNT_TOLERANCE) {
+        reasons.push(`${stats.words} words on the page (target ${wordsPerPage.max} or fewer)`);
+    }
+
+    return { stats, onTarget: reasons.length === 0, reasons };
+}
+
+/**
+ * Prompt asking the model to rewrite one page for the reading level
+ * @param {string} text - Current page text
+ * @param {string} levelId - Reading level id
+ * @param {Object} wordsPerPage - { min, max }
+ * @param {string[]} reasons - Why the page missed its target (from scorePage)
+ * @param {Object} secondary - Bilingual page: { text, languageCode } of the second language,
+ *   rewritten alongside so both still say the same thing
+ */
+export function buildSimplifyPrompt(text, levelId, wordsPerPage, reasons = [], secondary = null) {
+    const secondaryLabel = secondary ? getLanguage(secondary.languageCode).label : null;
+
+    return `Rewrite this page of a children's picture book so it fits the reading level below.
+Keep the same events, characters, names, tone and language - only make the wording simpler.
+${secondary ? `The page is bilingual: rewrite the ${secondaryLabel} text too, sentence by sentence, so both languages still say the same thing.\n` : ''}
+${buildReadingLevelRules(levelId)}
+- ${wordsPerPage.min}-${wordsPerPage.max} words in total${secondary ? ' (in each language)' : ''}
+${reasons.length ? `\nWHY IT NEEDS REWRITING:\n${reasons.map(reason => `- ${reason}`).join('\n')}\n` : ''}
+PAGE TEXT:
+${text}
+${secondary ? `\n${secondaryLabel.toUpperCase()} TEXT:\n${secondary.text}\n` : ''}
+Respond with JSON only: ${secondary
+        ? `{ "text": "the rewritten page", "secondaryText": "the rewritten ${secondaryLabel} text" }`
+        : '{ "text": "the rewritten page" }'}`;
+}
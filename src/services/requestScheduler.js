@@ -0,0 +1,185 @@
+// Request Scheduler
+// Queues image requests so pages can be drawn in parallel without tripping rate limits:
+// a global concurrency limit, a token bucket per provider, and a per-provider pause
+// whenever a server says to slow down (Retry-After). Limits come from getSchedulerConfig.
+// Failed requests are retried here too, by queueing them again, so a retry waits for a
+// token and any pause without holding a slot that another page could use.
+import logger from '../utils/logger';
+import { onRateLimited, RateLimitedError, isRetryable, getRetryDelay } from './httpClient';
+import { getSchedulerConfig } from './storageService';
+
+// Pause for a 429 that didn't say how long to wait
+const DEFAULT_RATE_LIMIT_PAUSE_MS = 10 * 1000;
+
+// Times a failed request is queued again before its error is passed on
+const MAX_RETRIES = 2;
+
+class RequestScheduler {
+    constructor(getConfig) {
+        this.getConfig = getConfig;
+        this.queue = [];
+        this.active = 0;
+        this.buckets = new Map(); // provider -> { tokens, updatedAt, pausedUntil }
+        this.timer = null;
+    }
+
+    /**
+     * Run `task` once a slot and a token for `provider` are free (FIFO per provider)
+     * A retryable failure (see isRetryable) puts the task back at the front of the queue after a
+     * backoff, up to MAX_RETRIES times, so tasks should not retry on their own.
+     * Aborting `signal` while the task is still queued rejects with an AbortError;
+     * once started, cancelling is up to the task.
+     * @returns {Promise} The task's result
+     */
+    schedule(provider, task, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason ?? new DOMException('The operation was aborted.', 'AbortError'));
+                return;
+            }
+
+            const entry = { provider, task, resolve, reject, signal, attempt: 0, notBefore: 0 };
+            entry.onAbort = () => {
+                this.queue = this.queue.filter(queued => queued !== entry);
+                reject(signal.reason ?? new DOMException('The operation was aborted.', 'AbortError'));
+            };
+            signal?.addEventListener('abort', entry.onAbort, { once: true });
+
+            this.queue.push(entry);
+            this._pump();
+        });
+    }
+
+    /**
+     * Hold back every queued request for `provider` for `ms`
+     */
+    pause(provider, ms) {
+        const bucket = this._bucket(provider);
+        const until = Date.now() + ms;
+
+        if (until > bucket.pausedUntil) {
+            // One request may go as soon as the pause ends; the rest refill from then
+            bucket.pausedUntil = until;
+            bucket.tokens = 1;
+            bucket.updatedAt = until;
+            logger.warn('SCHEDULER', `Pausing ${provider} requests for ${ms}ms`, { queued: this.queue.length });
+        }
+        this._pump();
+    }
+
+    _limits(provider) {
+        return this.getConfig().providers[provider] || { ratePerMinute: 10, burst: 1 };
+    }
+
+    _bucket(provider) {
+        if (!this.buckets.has(provider)) {
+            this.buckets.set(provider, {
+                tokens: this._limits(provider).burst,
+                updatedAt: Date.now(),
+                pausedUntil: 0
+            });
+        }
+        return this.buckets.get(provider);
+    }
+
+    /**
+     * Start every queued request that has a slot and a token; otherwise wake up when one might
+     */
+    _pump() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const { concurrency } = this.getConfig();
+        const now = Date.now();
+        let wakeAt = Infinity;
+
+        for (let i = 0; i < this.queue.length && this.active < concurrency;) {
+            const entry = this.queue[i];
+            const { ratePerMinute, burst } = this._limits(entry.provider);
+            const bucket = this._bucket(entry.provider);
+
+            // A retry still backing off
+            if (now < entry.notBefore) {
+                wakeAt = Math.min(wakeAt, entry.notBefore);
+                i++;
+                continue;
+            }
+
+            if (now < bucket.pausedUntil) {
+                wakeAt = Math.min(wakeAt, bucket.pausedUntil);
+                i++;
+                continue;
+            }
+
+            // Refill
+            bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) * ratePerMinute) / 60000);
+            bucket.updatedAt = now;
+
+            if (bucket.tokens < 1) {
+                wakeAt = Math.min(wakeAt, now + ((1 - bucket.tokens) * 60000) / ratePerMinute);
+                i++;
+            } else {
+                bucket.tokens -= 1;
+                this.queue.splice(i, 1);
+                this._run(entry);
+            }
+        }
+
+        if (wakeAt < Infinity) {
+            this.timer = setTimeout(() => this._pump(), Math.ceil(wakeAt - now));
+        }
+    }
+
+    async _run(entry) {
+        entry.signal?.removeEventListener('abort', entry.onAbort);
+        this.active++;
+
+        try {
+            entry.resolve(await entry.task());
+        } catch (error) {
+            // Errors that skipped the HTTP client (e.g. the mock provider) still pause the provider
+            if (error instanceof RateLimitedError) {
+                this.pause(entry.provider, error.retryAfterMs ?? DEFAULT_RATE_LIMIT_PAUSE_MS);
+            }
+
+            if (entry.attempt < MAX_RETRIES && isRetryable(error) && !entry.signal?.aborted) {
+                this._requeue(entry, error);
+            } else {
+                entry.reject(error);
+            }
+        } finally {
+            this.active--;
+            this._pump();
+        }
+    }
+
+    /**
+     * Put a failed task back at the front of the queue, to run again after a backoff
+     * (a 429 has also paused its provider, which holds it back for the Retry-After)
+     */
+    _requeue(entry, error) {
+        const delay = getRetryDelay(error, entry.attempt);
+        entry.attempt++;
+        entry.notBefore = Date.now() + delay;
+
+        logger.warn('SCHEDULER', `Request failed, queued again to retry in ${delay}ms (attempt ${entry.attempt}/${MAX_RETRIES})`, {
+            ...error.toLogData(),
+            error: error.message
+        });
+
+        entry.signal?.addEventListener('abort', entry.onAbort, { once: true });
+        this.queue.unshift(entry);
+    }
+}
+
+/**
+ * Shared scheduler for every image generation request
+ */
+export const imageScheduler = new RequestScheduler(getSchedulerConfig);
+
+// Any 429 from a provider (story, analysis or image, including retries) holds back its image queue
+onRateLimited(error => {
+    if (error.provider) {
+        imageScheduler.pause(error.provider, error.retryAfterMs ?? DEFAULT_RATE_LIMIT_PAUSE_MS);
+    }
+});
@@ -1,15 +1,287 @@
-// Local Storage Service with Logging
+// Storage Service with Logging
+// Story library lives in IndexedDB (metadata + image Blobs); settings stay in localStorage
 import logger from '../utils/logger';
+import { STORES, withTransaction, requestToPromise, imageKey } from './database';
+import { isDataUrl, dataUrlToBlob, blobToDataUrl } from '../utils/imageData';
+import { upgradeStory, needsUpgrade } from './storySchema';
+
+// Pre-IndexedDB library: every story (with base64 images) in one localStorage string
+const LEGACY_STORIES_KEY = 'saved_stories';
+
+// Story-level (non-page) images that are stored as Blobs rather than inline
+export const STORY_IMAGE_FIELDS = ['heroPhoto', 'referenceSheet'];
+
+// Co-star, pet and toy photos are stored the same way, under fields like "coStars.0.photo"
+const CAST_PHOTO_FIELD = /^(coStars|companions)\.(\d+)\.photo$/;
+const CAST_LISTS = ['coStars', 'companions'];
+
+/**
+ * Whether a stored image field names a story-level image (heroPhoto, referenceSheet or a cast photo)
+ */
+export function isStoryImageField(field) {
+    return STORY_IMAGE_FIELDS.includes(field) || CAST_PHOTO_FIELD.test(field);
+}
+
+/**
+ * Every story-level image field of a story
+ */
+function storyImageFields(story) {
+    return [
+        ...STORY_IMAGE_FIELDS,
+        ...CAST_LISTS.flatMap(list => (story[list] || []).map((member, i) => `${list}.${i}.photo`))
+    ];
+}
+
+/**
+ * Value of a story-level image field
+ */
+function getImageField(story, field) {
+    const castMatch = field.match(CAST_PHOTO_FIELD);
+    return castMatch ? story[castMatch[1]]?.[castMatch[2]]?.photo : story[field];
+}
+
+/**
+ * Set a story-level image field (the story's cast lists must be its own copies)
+ */
+function setImageField(story, field, value) {
+    const castMatch = field.match(CAST_PHOTO_FIELD);
+    if (!castMatch) {
+        story[field] = value;
+    } else if (story[castMatch[1]]?.[castMatch[2]]) {
+        story[castMatch[1]][castMatch[2]].photo = value;
+    }
+}
+
+/**
+ * Copy of a story's cast lists, safe to set photo fields on
+ */
+function copyCast(story) {
+    return Object.fromEntries(CAST_LISTS.map(list => [list, (story[list] || []).map(member => ({ ...member }))]));
+}
+
+/**
+ * Owner id for a generation checkpoint's images, kept apart from the saved story's images
+ */
+function draftImageOwner(storyId) {
+    return `draft:${storyId}`;
+}
+
+/**
+ * Owner id for a child profile's photos
+ */
+function profileImageOwner(profileId) {
+    return `profile:${profileId}`;
+}
+
+const PROFILE_PHOTO_FIELD = /^photos\.(\d+)$/;
+
+let migrationPromise = null;
+
+/**
+ * Split a story into its metadata record and image Blobs
+ * Data URL images move to the images store; remote image URLs stay inline
+ * The record is always written in the current story schema.
+ * @param {string} imageOwner - storyId recorded on the image entries (defaults to the story id)
+ */
+function splitStory(unversionedStory, imageOwner = unversionedStory.id) {
+    const story = upgradeStory(unversionedStory);
+    const images = [];
+
+    const pages = (story.pages || []).map(page => {
+        const storedPage = { ...page };
+        delete storedPage.isLoading;
+
+        if (isDataUrl(page.image)) {
+            images.push({
+                key: imageKey(imageOwner, page.pageNumber),
+                storyId: imageOwner,
+                pageNumber: page.pageNumber,
+                blob: dataUrlToBlob(page.image)
+            });
+            storedPage.image = null;
+            storedPage.hasStoredImage = true;
+        } else {
+            storedPage.hasStoredImage = false;
+        }
+
+        return storedPage;
+    });
+
+    const record = { ...story, pages, ...copyCast(story) };
+    delete record.isGenerating;
+
+    for (const field of storyImageFields(story)) {
+        const image = getImageField(story, field);
+        if (isDataUrl(image)) {
+            images.push({
+                key: imageKey(imageOwner, field),
+                storyId: imageOwner,
+                field,
+                blob: dataUrlToBlob(image)
+            });
+            setImageField(record, field, null);
+        }
+    }
+
+    return { record, images };
+}
+
+/**
+ * Delete every image belonging to a story (must run inside a transaction on IMAGES)
+ */
+async function deleteStoryImages(imageStore, storyId) {
+    const keys = await requestToPromise(imageStore.index('storyId').getAllKeys(storyId));
+    for (const key of keys) {
+        imageStore.delete(key);
+    }
+    return keys.length;
+}
+
+/**
+ * Write a story record and its images in one transaction
+ * Existing images for the story are replaced.
+ */
+async function writeStory(record, images) {
+    await withTransaction([STORES.STORIES, STORES.IMAGES], 'readwrite', async (tx) => {
+        const imageStore = tx.objectStore(STORES.IMAGES);
+        await deleteStoryImages(imageStore, record.id);
+
+        tx.objectStore(STORES.STORIES).put(record);
+        for (const image of images) {
+            imageStore.put(image);
+        }
+    });
+}
+
+/**
+ * Rebuild a full story from its stored record and image entries (images become data URLs)
+ */
+async function hydrateStory(record, images) {
+    const imagesByPage = new Map(images.filter(image => !image.field).map(image => [image.pageNumber, image.blob]));
+    const pages = await Promise.all(record.pages.map(async (page) => {
+        const blob = imagesByPage.get(page.pageNumber);
+        const hydrated = { ...page, image: blob ? await blobToDataUrl(blob) : page.image };
+        delete hydrated.hasStoredImage;
+        return hydrated;
+    }));
+
+    const story = { ...record, pages, ...copyCast(record) };
+    for (const image of images.filter(image => image.field)) {
+        setImageField(story, image.field, await blobToDataUrl(image.blob));
+    }
+    return story;
+}
+
+/**
+ * Map a storage exception to the result shape the UI expects
+ */
+function storageErrorResult(error) {
+    if (error?.name === 'QuotaExceededError' || error?.code === 22) {
+        return {
+            success: false,
+            error: 'QUOTA_EXCEEDED',
+            message: 'Storage is full. Please delete some old stories to save new ones.'
+        };
+    }
+
+    return {
+        success: false,
+        error: 'UNKNOWN',
+        message: error?.message || String(error)
+    };
+}
+
+/**
+ * Upgrade every stored story record to the current story schema
+ */
+async function upgradeStoredStories() {
+    const upgraded = await withTransaction(STORES.STORIES, 'readwrite', async (tx) => {
+        const store = tx.objectStore(STORES.STORIES);
+        const stories = await requestToPromise(store.getAll());
+        const outdated = stories.filter(needsUpgrade);
+        for (const story of outdated) {
+            store.put(upgradeStory(story));
+        }
+        return outdated.length;
+    });
+
+    if (upgraded > 0) {
+        logger.info('STORAGE', 'Upgraded saved stories to the current schema', { upgraded });
+    }
+    return upgraded;
+}
+
+/**
+ * Bring the library up to date: move stories from the legacy `saved_stories`
+ * localStorage key into IndexedDB, then upgrade stored records to the current schema.
+ * Runs once per page load; the legacy key is only removed after every story is written.
+ */
+export function migrateLegacyStories() {
+    if (migrationPromise) return migrationPromise;
+
+    migrationPromise = (async () => {
+        const raw = localStorage.getItem(LEGACY_STORIES_KEY);
+        if (!raw) {
+            return { migrated: 0, upgraded: await upgradeStoredStories() };
+        }
+
+        let legacyStories;
+        try {
+            legacyStories = JSON.parse(raw);
+        } catch (error) {
+            // Leave the data where it is rather than destroy it
+            logger.error('STORAGE', 'Legacy stories are not valid JSON, skipping migration', error);
+            return { migrated: 0, upgraded: await upgradeStoredStories() };
+        }
+
+        let migrated = 0;
+        for (const story of Array.isArray(legacyStories) ? legacyStories : []) {
+            if (!story?.id) continue;
+
+            const exists = await withTransaction(STORES.STORIES, 'readonly', (tx) =>
+                requestToPromise(tx.objectStore(STORES.STORIES).getKey(story.id))
+            );
+            if (exists !== undefined) continue;
+
+            const { record, images } = splitStory(story);
+            await writeStory(record, images);
+            migrated++;
+        }
+
+        localStorage.removeItem(LEGACY_STORIES_KEY);
+        logger.info('STORAGE', 'Migrated legacy stories to IndexedDB', {
+            found: Array.isArray(legacyStories) ? legacyStories.length : 0,
+            migrated
+        });
+        return { migrated, upgraded: await upgradeStoredStories() };
+    })();
+
+    // Retry on the next call if something went wrong part-way
+    migrationPromise.catch(error => {
+        logger.error('STORAGE', 'Legacy story migration failed', error);
+        migrationPromise = null;
+    });
+
+    return migrationPromise;
+}
 
 /**
- * Get all saved stories from localStorage
+ * Get all saved stories (metadata only, newest first)
+ * Pages carry `hasStoredImage` instead of image data - use getStory() for the full book
+ * and getStoryImage() for individual images.
  */
-export function getSavedStories() {
+export async function getSavedStories() {
     try {
-        const stories = localStorage.getItem('saved_stories');
-        const parsed = stories ? JSON.parse(stories) : [];
-        logger.storageOperation('GET_STORIES', true, { count: parsed.length });
-        return parsed;
+        await migrateLegacyStories();
+
+        const records = await withTransaction(STORES.STORIES, 'readonly', (tx) =>
+            requestToPromise(tx.objectStore(STORES.STORIES).getAll())
+        );
+        const stories = records.map(upgradeStory);
+        stories.sort((a, b) => new Date(b.savedAt || b.createdAt) - new Date(a.savedAt || a.createdAt));
+
+        logger.storageOperation('GET_STORIES', true, { count: stories.length });
+        return stories;
     } catch (error) {
         logger.error('STORAGE', 'Failed to get saved stories', error);
         logger.storageOperation('GET_STORIES', false, { error: error.message });
@@ -18,100 +290,406 @@ export function getSavedStories() {
 }
 
 /**
- * Save stories to localStorage with quota handling
+ * Get a saved story with all page images restored as data URLs
  */
-export function saveStories(stories) {
+export async function getStory(storyId) {
     try {
-        const dataStr = JSON.stringify(stories);
-        const dataSizeKB = Math.round(dataStr.length / 1024);
+        await migrateLegacyStories();
 
-        logger.debug('STORAGE', 'Attempting to save stories', {
-            count: stories.length,
-            sizeKB: dataSizeKB
-        });
+        const { record: storedRecord, images } = await withTransaction([STORES.STORIES, STORES.IMAGES], 'readonly', async (tx) => ({
+            record: await requestToPromise(tx.objectStore(STORES.STORIES).get(storyId)),
+            images: await requestToPromise(tx.objectStore(STORES.IMAGES).index('storyId').getAll(storyId))
+        }));
 
-        localStorage.setItem('saved_stories', dataStr);
-        logger.storageOperation('SAVE_STORIES', true, {
-            count: stories.length,
-            sizeKB: dataSizeKB
-        });
-        return { success: true, sizeKB: dataSizeKB };
-    } catch (error) {
-        logger.error('STORAGE', 'Failed to save stories', error, { count: stories.length });
-        logger.storageOperation('SAVE_STORIES', false, { error: error.message });
-
-        // Check if quota exceeded
-        if (error.name === 'QuotaExceededError' || error.code === 22) {
-            return {
-                success: false,
-                error: 'QUOTA_EXCEEDED',
-                message: 'Storage is full. Please delete some old stories to save new ones.'
-            };
+        if (!storedRecord) {
+            logger.storageOperation('GET_STORY', false, { storyId, error: 'not found' });
+            return null;
         }
 
-        return {
-            success: false,
-            error: 'UNKNOWN',
-            message: error.message
-        };
+        const story = await hydrateStory(upgradeStory(storedRecord), images);
+
+        logger.storageOperation('GET_STORY', true, { storyId, imageCount: images.length });
+        return story;
+    } catch (error) {
+        logger.error('STORAGE', 'Failed to get story', error, { storyId });
+        logger.storageOperation('GET_STORY', false, { storyId, error: error.message });
+        return null;
     }
 }
 
 /**
- * Add a story to saved stories
+ * Get a single stored page image as a Blob (null if the page has none)
+ */
+export async function getStoryImage(storyId, pageNumber) {
+    try {
+        const image = await withTransaction(STORES.IMAGES, 'readonly', (tx) =>
+            requestToPromise(tx.objectStore(STORES.IMAGES).get(imageKey(storyId, pageNumber)))
+        );
+        return image?.blob || null;
+    } catch (error) {
+        logger.error('STORAGE', 'Failed to get story image', error, { storyId, pageNumber });
+        return null;
+    }
+}
+
+/**
+ * Get every stored image Blob for a story
+ * Returns [{ pageNumber, blob }] for pages and [{ field, blob }] for story-level
+ * images such as the hero photo - used by library backups
+ */
+export async function getStoryImages(storyId) {
+    const images = await withTransaction(STORES.IMAGES, 'readonly', (tx) =>
+        requestToPromise(tx.objectStore(STORES.IMAGES).index('storyId').getAll(storyId))
+    );
+    return images.map(({ pageNumber, field, blob }) => (field ? { field, blob } : { pageNumber, blob }));
+}
+
+/**
+ * Get the stored metadata record for a story (null if not saved)
  */
-export function saveStory(story) {
-    const stories = getSavedStories();
+export async function getStoryRecord(storyId) {
+    await migrateLegacyStories();
 
-    // Check if already saved
-    const existingIndex = stories.findIndex(s => s.id === story.id);
-    if (existingIndex !== -1) {
-        logger.info('STORAGE', 'Story already saved', { storyId: story.id, title: story.title });
-        return { success: false, alreadySaved: true };
+    const record = await withTransaction(STORES.STORIES, 'readonly', (tx) =>
+        requestToPromise(tx.objectStore(STORES.STORIES).get(storyId))
+    );
+    return record ? upgradeStory(record) : null;
+}
+
+/**
+ * Write an already-split story record and its image Blobs (used by library restore)
+ * @param {Object} record - Story metadata as returned by getSavedStories()
+ * @param {Array} images - [{ pageNumber, blob }] or [{ field, blob }]
+ */
+export async function restoreStory(archivedRecord, images) {
+    const record = upgradeStory(archivedRecord);
+    try {
+        await writeStory(record, images.map(({ pageNumber, field, blob }) => (field
+            ? { key: imageKey(record.id, field), storyId: record.id, field, blob }
+            : { key: imageKey(record.id, pageNumber), storyId: record.id, pageNumber, blob }
+        )));
+
+        logger.storageOperation('RESTORE_STORY', true, { storyId: record.id, imageCount: images.length });
+        return { success: true };
+    } catch (error) {
+        logger.error('STORAGE', 'Failed to restore story', error, { storyId: record.id });
+        logger.storageOperation('RESTORE_STORY', false, { error: error.message });
+        return storageErrorResult(error);
     }
+}
+
+/**
+ * Add a story to saved stories
+ */
+export async function saveStory(story) {
+    try {
+        await migrateLegacyStories();
+
+        // Check if already saved
+        if (await isStorySaved(story.id)) {
+            logger.info('STORAGE', 'Story already saved', { storyId: story.id, title: story.title });
+            return { success: false, alreadySaved: true };
+        }
+
+        // Add timestamp
+        story.savedAt = new Date().toISOString();
+
+        const { record, images } = splitStory(story);
+        const imageSizeKB = Math.round(images.reduce((sum, image) => sum + image.blob.size, 0) / 1024);
 
-    // Add timestamp
-    story.savedAt = new Date().toISOString();
+        logger.debug('STORAGE', 'Attempting to save story', {
+            storyId: story.id,
+            imageCount: images.length,
+            imageSizeKB
+        });
 
-    // Add to beginning of array
-    stories.unshift(story);
+        await writeStory(record, images);
 
-    const result = saveStories(stories);
-    if (result.success) {
         logger.info('STORAGE', 'Story saved successfully', {
             storyId: story.id,
             title: story.title,
             pageCount: story.pages?.length,
-            sizeKB: result.sizeKB
+            sizeKB: imageSizeKB
         });
-    }
+        logger.storageOperation('SAVE_STORY', true, { storyId: story.id, sizeKB: imageSizeKB });
 
-    return result;
+        return { success: true, sizeKB: imageSizeKB };
+    } catch (error) {
+        logger.error('STORAGE', 'Failed to save story', error, { storyId: story.id });
+        logger.storageOperation('SAVE_STORY', false, { error: error.message });
+        return storageErrorResult(error);
+    }
 }
 
 /**
- * Delete a story by ID
+ * Update a story that is already in the library (e.g. after a page redraw)
+ * Keeps the original savedAt; returns { success: false, notSaved: true } if the story isn't saved.
  */
-export function deleteStory(storyId) {
-    const stories = getSavedStories();
-    const filtered = stories.filter(s => s.id !== storyId);
-    const success = saveStories(filtered);
+export async function updateStory(story) {
+    try {
+        const existing = await getStoryRecord(story.id);
+        if (!existing) {
+            return { success: false, notSaved: true };
+        }
+
+        const { record, images } = splitStory({
+            ...story,
+            savedAt: existing.savedAt,
+            updatedAt: new Date().toISOString()
+        });
+        await writeStory(record, images);
 
-    if (success) {
-        logger.info('STORAGE', 'Story deleted', { storyId, remainingCount: filtered.length });
+        logger.info('STORAGE', 'Story updated', { storyId: story.id, title: story.title });
+        logger.storageOperation('UPDATE_STORY', true, { storyId: story.id });
+        return { success: true };
+    } catch (error) {
+        logger.error('STORAGE', 'Failed to update story', error, { storyId: story.id });
+        logger.storageOperation('UPDATE_STORY', false, { error: error.message });
+        return storageErrorResult(error);
     }
+}
+
+/**
+ * Delete a story (and its images) by ID
+ */
+export async function deleteStory(storyId) {
+    try {
+        const deletedImages = await withTransaction([STORES.STORIES, STORES.IMAGES], 'readwrite', async (tx) => {
+            tx.objectStore(STORES.STORIES).delete(storyId);
+            return deleteStoryImages(tx.objectStore(STORES.IMAGES), storyId);
+        });
 
-    return success;
+        logger.info('STORAGE', 'Story deleted', { storyId, deletedImages });
+        return { success: true };
+    } catch (error) {
+        logger.error('STORAGE', 'Failed to delete story', error, { storyId });
+        return storageErrorResult(error);
+    }
 }
 
 /**
  * Check if a story is saved
  */
-export function isStorySaved(storyId) {
-    const stories = getSavedStories();
-    const saved = stories.some(s => s.id === storyId);
-    logger.debug('STORAGE', 'Check if story saved', { storyId, saved });
-    return saved;
+export async function isStorySaved(storyId) {
+    try {
+        await migrateLegacyStories();
+
+        const key = await withTransaction(STORES.STORIES, 'readonly', (tx) =>
+            requestToPromise(tx.objectStore(STORES.STORIES).getKey(storyId))
+        );
+        const saved = key !== undefined;
+        logger.debug('STORAGE', 'Check if story saved', { storyId, saved });
+        return saved;
+    } catch (error) {
+        logger.error('STORAGE', 'Failed to check if story is saved', error, { storyId });
+        return false;
+    }
+}
+
+/**
+ * Checkpoint a story whose generation has just started (text, characters, hero photo)
+ * Only one unfinished generation is kept - any older checkpoint is replaced.
+ */
+export async function saveGenerationCheckpoint(story) {
+    try {
+        const { record, images } = splitStory(story, draftImageOwner(story.id));
+        record.checkpointedAt = new Date().toISOString();
+
+        await withTransaction([STORES.DRAFTS, STORES.IMAGES], 'readwrite', async (tx) => {
+            const drafts = tx.objectStore(STORES.DRAFTS);
+            const imageStore = tx.objectStore(STORES.IMAGES);
+
+            for (const draftId of await requestToPromise(drafts.getAllKeys())) {
+                drafts.delete(draftId);
+                await deleteStoryImages(imageStore, draftImageOwner(draftId));
+            }
+
+            drafts.put(record);
+            for (const image of images) {
+                imageStore.put(image);
+            }
+        });
+
+        logger.debug('STORAGE', 'Generation checkpoint saved', { storyId: story.id });
+        return { success: true };
+    } catch (error) {
+        logger.error('STORAGE', 'Failed to save generation checkpoint', error, { storyId: story.id });
+        return storageErrorResult(error);
+    }
+}
+
+/**
+ * Record one finished (or failed, with a null image) page in the generation checkpoint
+ */
+export async function checkpointPageImage(storyId, pageNumber, imageUrl, provider = null, usedReferenceSheet = false) {
+    try {
+        await withTransaction([STORES.DRAFTS, STORES.IMAGES], 'readwrite', async (tx) => {
+            const drafts = tx.objectStore(STORES.DRAFTS);
+            const draft = await requestToPromise(drafts.get(storyId));
+            const page = draft?.pages.find(p => p.pageNumber === pageNumber);
+            if (!page) return;
+
+            if (isDataUrl(imageUrl)) {
+                const owner = draftImageOwner(storyId);
+                tx.objectStore(STORES.IMAGES).put({
+                    key: imageKey(owner, pageNumber),
+                    storyId: owner,
+                    pageNumber,
+                    blob: dataUrlToBlob(imageUrl)
+                });
+                page.image = null;
+                page.hasStoredImage = true;
+            } else {
+                page.image = imageUrl;
+            }
+
+            page.provider = provider;
+            page.usedReferenceSheet = usedReferenceSheet;
+            draft.checkpointedAt = new Date().toISOString();
+            drafts.put(draft);
+        });
+        return { success: true };
+    } catch (error) {
+        logger.error('STORAGE', 'Failed to checkpoint page image', error, { storyId, pageNumber });
+        return storageErrorResult(error);
+    }
+}
+
+/**
+ * Get the unfinished generation left by a previous visit (null if there is none)
+ * Pages that still need an illustration have no image.
+ */
+export async function getGenerationCheckpoint() {
+    try {
+        const drafts = await withTransaction(STORES.DRAFTS, 'readonly', (tx) =>
+            requestToPromise(tx.objectStore(STORES.DRAFTS).getAll())
+        );
+        if (drafts.length === 0) return null;
+
+        drafts.sort((a, b) => new Date(b.checkpointedAt) - new Date(a.checkpointedAt));
+        const draft = drafts[0];
+
+        const images = await withTransaction(STORES.IMAGES, 'readonly', (tx) =>
+            requestToPromise(tx.objectStore(STORES.IMAGES).index('storyId').getAll(draftImageOwner(draft.id)))
+        );
+
+        return hydrateStory(upgradeStory(draft), images);
+    } catch (error) {
+        logger.error('STORAGE', 'Failed to read generation checkpoint', error);
+        return null;
+    }
+}
+
+/**
+ * Remove a story's generation checkpoint (generation finished, cancelled or discarded)
+ */
+export async function clearGenerationCheckpoint(storyId) {
+    try {
+        await withTransaction([STORES.DRAFTS, STORES.IMAGES], 'readwrite', async (tx) => {
+            tx.objectStore(STORES.DRAFTS).delete(storyId);
+            await deleteStoryImages(tx.objectStore(STORES.IMAGES), draftImageOwner(storyId));
+        });
+        logger.debug('STORAGE', 'Generation checkpoint cleared', { storyId });
+        return { success: true };
+    } catch (error) {
+        logger.error('STORAGE', 'Failed to clear generation checkpoint', error, { storyId });
+        return storageErrorResult(error);
+    }
+}
+
+/**
+ * Rebuild a profile from its stored record and photo entries (photos become data URLs)
+ */
+async function hydrateProfile(record, images) {
+    const photos = [...record.photos];
+    for (const image of images) {
+        const photoMatch = image.field?.match(PROFILE_PHOTO_FIELD);
+        if (photoMatch) photos[photoMatch[1]] = await blobToDataUrl(image.blob);
+    }
+    return { ...record, photos };
+}
+
+/**
+ * Get every saved child profile with its photos, sorted by name
+ */
+export async function getProfiles() {
+    try {
+        const stored = await withTransaction([STORES.PROFILES, STORES.IMAGES], 'readonly', async (tx) => {
+            const records = await requestToPromise(tx.objectStore(STORES.PROFILES).getAll());
+            const imagesByOwner = tx.objectStore(STORES.IMAGES).index('storyId');
+
+            const withImages = [];
+            for (const record of records) {
+                withImages.push({ record, images: await requestToPromise(imagesByOwner.getAll(profileImageOwner(record.id))) });
+            }
+            return withImages;
+        });
+
+        const profiles = await Promise.all(stored.map(({ record, images }) => hydrateProfile(record, images)));
+        profiles.sort((a, b) => a.name.localeCompare(b.name));
+
+        logger.storageOperation('GET_PROFILES', true, { count: profiles.length });
+        return profiles;
+    } catch (error) {
+        logger.error('STORAGE', 'Failed to get profiles', error);
+        logger.storageOperation('GET_PROFILES', false, { error: error.message });
+        return [];
+    }
+}
+
+/**
+ * Add or replace a child profile (data URL photos are stored as Blobs)
+ */
+export async function saveProfile(profile) {
+    try {
+        const owner = profileImageOwner(profile.id);
+        const images = [];
+        const photos = profile.photos.map((photo, index) => {
+            if (!isDataUrl(photo)) return photo;
+            images.push({
+                key: imageKey(owner, `photos.${index}`),
+                storyId: owner,
+                field: `photos.${index}`,
+                blob: dataUrlToBlob(photo)
+            });
+            return null;
+        });
+        const record = { ...profile, photos, updatedAt: new Date().toISOString() };
+
+        await withTransaction([STORES.PROFILES, STORES.IMAGES], 'readwrite', async (tx) => {
+            const imageStore = tx.objectStore(STORES.IMAGES);
+            await deleteStoryImages(imageStore, owner);
+
+            tx.objectStore(STORES.PROFILES).put(record);
+            for (const image of images) {
+                imageStore.put(image);
+            }
+        });
+
+        logger.info('STORAGE', 'Profile saved', { profileId: profile.id, photoCount: photos.length });
+        return { success: true };
+    } catch (error) {
+        logger.error('STORAGE', 'Failed to save profile', error, { profileId: profile.id });
+        return storageErrorResult(error);
+    }
+}
+
+/**
+ * Delete a child profile and its photos (books made from it are kept)
+ */
+export async function deleteProfile(profileId) {
+    try {
+        await withTransaction([STORES.PROFILES, STORES.IMAGES], 'readwrite', async (tx) => {
+            tx.objectStore(STORES.PROFILES).delete(profileId);
+            await deleteStoryImages(tx.objectStore(STORES.IMAGES), profileImageOwner(profileId));
+        });
+
+        logger.info('STORAGE', 'Profile deleted', { profileId });
+        return { success: true };
+    } catch (error) {
+        logger.error('STORAGE', 'Failed to delete profile', error, { profileId });
+        return storageErrorResult(error);
+    }
 }
 
 /**
@@ -189,12 +767,13 @@ export function setOpenRouterKey(apiKey) {
 }
 
 /**
- * Get/Set AI Provider (google or openrouter)
+ * Get/Set AI Provider (google, openrouter or mock)
+ * Falls back to VITE_AI_PROVIDER, then OpenRouter
  */
 export function getAIProvider() {
     const provider = localStorage.getItem('ai_provider');
     logger.debug('STORAGE', 'Get AI provider', { provider: provider || 'default' });
-    return provider || 'openrouter';
+    return provider || import.meta.env.VITE_AI_PROVIDER || 'openrouter';
 }
 
 export function setAIProvider(provider) {
@@ -205,3 +784,101 @@ export function setAIProvider(provider) {
     }
     return false;
 }
+
+/**
+ * Get/Set the ordered provider failover chain, e.g. ['openrouter', 'google']
+ * Returns null when no chain is configured (aiProvider then derives one)
+ */
+export function getStoredProviderChain() {
+    try {
+        const chain = JSON.parse(localStorage.getItem('ai_provider_chain') || 'null');
+        return Array.isArray(chain) ? chain : null;
+    } catch {
+        return null;
+    }
+}
+
+export function setStoredProviderChain(chain) {
+    if (Array.isArray(chain) && chain.length > 0) {
+        localStorage.setItem('ai_provider_chain', JSON.stringify(chain));
+        logger.info('STORAGE', 'Provider chain saved', { chain });
+    } else {
+        localStorage.removeItem('ai_provider_chain');
+        logger.info('STORAGE', 'Provider chain cleared');
+    }
+    return true;
+}
+
+/**
+ * Get/Set mock provider behaviour
+ * {
+ *   latencyMs: delay per call (images take twice as long),
+ *   timeoutMs: how long an injected timeout waits before failing,
+ *   failures: { story, repair, analysis, image } - each null, '429', '402' or 'timeout'
+ *     ('invalid' for story/repair returns a story that fails validation),
+ *   failPages: page numbers the image failure applies to (empty = every page)
+ * }
+ */
+const DEFAULT_MOCK_CONFIG = {
+    latencyMs: 600,
+    timeoutMs: 5000,
+    failures: { story: null, repair: null, analysis: null, image: null },
+    failPages: []
+};
+
+export function getMockConfig() {
+    try {
+        const stored = JSON.parse(localStorage.getItem('mock_ai_config') || '{}');
+        return {
+            ...DEFAULT_MOCK_CONFIG,
+            ...stored,
+            failures: { ...DEFAULT_MOCK_CONFIG.failures, ...stored.failures },
+            failPages: Array.isArray(stored.failPages) ? stored.failPages : []
+        };
+    } catch (error) {
+        logger.warn('STORAGE', 'Invalid mock_ai_config, using defaults', { error: error.message });
+        return DEFAULT_MOCK_CONFIG;
+    }
+}
+
+export function setMockConfig(config) {
+    localStorage.setItem('mock_ai_config', JSON.stringify(config));
+    logger.info('STORAGE', 'Mock provider config saved', config);
+    return true;
+}
+
+/**
+ * Get/Set image request scheduler limits
+ * {
+ *   concurrency: image requests in flight at once, across all providers,
+ *   providers: { [provider]: { ratePerMinute, burst } } - token bucket per provider
+ * }
+ */
+const DEFAULT_SCHEDULER_CONFIG = {
+    concurrency: 3,
+    providers: {
+        openrouter: { ratePerMinute: 20, burst: 3 },
+        google: { ratePerMinute: 10, burst: 2 },
+        mock: { ratePerMinute: 600, burst: 10 }
+    }
+};
+
+export function getSchedulerConfig() {
+    try {
+        const stored = JSON.parse(localStorage.getItem('image_scheduler_config') || '{}');
+        return {
+            ...DEFAULT_SCHEDULER_CONFIG,
+            ...stored,
+            providers: { ...DEFAULT_SCHEDULER_CONFIG.providers, ...stored.providers }
+        };
+    } catch (error) {
+        logger.warn('STORAGE', 'Invalid image_scheduler_config, using defaults', { error: error.message });
+        return DEFAULT_SCHEDULER_CONFIG;
+    }
+}
+
+export function setSchedulerConfig(config) {
+    localStorage.setItem('image_scheduler_config', JSON.stringify(config));
+    logger.info('STORAGE', 'Image scheduler config saved', config);
+    return true;
+}
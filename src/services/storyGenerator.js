@@ -0,0 +1,164 @@
+// Story Illustration Service
+// Builds the image request for any page of a story so the initial generation
+// and later single-page redraws use exactly the same prompt and context
+import { generatePageImage } from './aiProvider';
+import { saveGenerationCheckpoint, checkpointPageImage, clearGenerationCheckpoint } from './storageService';
+import { getCoStarCharacters, joinNames } from './heroes';
+import { isAbortError, throwIfAborted } from '../utils/abort';
+import logger from '../utils/logger';
+
+/**
+ * Prompt used for the cover illustration
+ * @param {string[]} castNames - Co-stars and companions shown on the cover next to the child
+ */
+export function buildCoverPrompt(title, childName, castNames = []) {
+    const heroes = castNames.length
+        ? `${childName} as the main character together with ${joinNames(castNames)}`
+        : `${childName} as the main character`;
+    return `Create a stunning storybook cover illustration for "${title}". The cover should show ${heroes} in an exciting pose or scene that captures the essence of the story. Professional children's book cover art.`;
+}
+
+/**
+ * Cast shown on the cover next to the child: co-stars, then companions
+ */
+export function getCoverCastNames(story) {
+    return [...(story.coStars || []), ...(story.companions || [])].map(member => member.name);
+}
+
+/**
+ * Consistency context (art style, outfit, locations, characters) for one page of a story
+ * Co-stars are described from their photo analysis (companions are already pinned into
+ * `characters`), and the photos of everyone on the page (all of them on the cover) are sent
+ * along as extra references, as is the hero's approved reference sheet if the book has one.
+ */
+export function getStoryContext(story, page) {
+    return {
+        artStyle: story.artStyle,
+        characterOutfit: story.characterOutfit,
+        locations: story.locations || {},
+        currentLocation: page.location || Object.keys(story.locations || {})[0] || 'magical setting',
+        characters: { ...story.characters, ...getCoStarCharacters(story) },
+        referenceSheet: story.referenceSheet || null,
+        referencePhotos: [...(story.coStars || []), ...(story.companions || [])]
+            .filter(member => member.photo && (page.isCover || page.charactersPresent?.includes(member.name)))
+            .map(({ name, photo }) => ({ name, photo }))
+    };
+}
+
+/**
+ * Prompt for the hero's character reference sheet, drawn in the story's outfit and art style
+ */
+export function buildReferenceSheetPrompt(story) {
+    return `Create a character reference sheet (turnaround) of ${story.childName}, the hero of a children's storybook, on a plain white background. Show ${story.childName} full-body in their story outfit (${story.characterOutfit || 'as in the reference photo'}) three times in a row - from the front, from the side and from the back - all the same size, plus a row of four head-and-shoulders expressions: happy, surprised, determined and sleepy. No scenery, no other characters, no text or labels.`;
+}
+
+/**
+ * Draw the hero's reference sheet, to be approved and then sent with every page as an extra reference
+ * @param {Object} story - Story carrying its generation context (heroPhoto, characterDescription, characterOutfit, artStyle)
+ * @param {Object} options - { signal: AbortSignal }
+ * @returns {Promise<{imageUrl: string, provider: string, usedReferenceSheet: boolean}>} Image URL, the provider
+ *   that drew it, and whether that provider was sent the story's reference sheet
+ */
+export async function generateReferenceSheet(story, options = {}) {
+    const { signal = null } = options;
+
+    return generatePageImage(
+        buildReferenceSheetPrompt(story),
+        0,
+        story.heroPhoto || null,
+        story.childName,
+        story.characterDescription || null,
+        { artStyle: story.artStyle, characterOutfit: story.characterOutfit, locations: {}, characters: {}, isReferenceSheet: true },
+        story.childAge || null,
+        signal
+    );
+}
+
+/**
+ * Generate (or regenerate) the illustration for one page
+ * @param {Object} story - Story carrying its generation context (heroPhoto, characterDescription, ...)
+ * @param {Object} page - Page with imagePrompt and location
+ * @param {Object} options - { extraInstruction: string, signal: AbortSignal }
+ *   extraInstruction is extra direction from the parent for a redraw
+ * @returns {Promise<{imageUrl: string, provider: string, usedReferenceSheet: boolean}>} Image URL, the provider
+ *   that drew it, and whether that provider was sent the story's reference sheet
+ */
+export async function generateIllustration(story, page, options = {}) {
+    const { extraInstruction = '', signal = null } = options;
+
+    let prompt = page.imagePrompt || (page.isCover
+        ? buildCoverPrompt(story.title, story.childName, getCoverCastNames(story))
+        : page.text);
+
+    if (extraInstruction.trim()) {
+        prompt += `\n\nADDITIONAL INSTRUCTION FROM THE PARENT (follow this while keeping everything else consistent): ${extraInstruction.trim()}`;
+    }
+
+    return generatePageImage(
+        prompt,
+        page.pageNumber,
+        story.heroPhoto || null,
+        story.childName,
+        story.characterDescription || null,
+        getStoryContext(story, page),
+        story.childAge || null,
+        signal
+    );
+}
+
+/**
+ * Illustrate every page of a story that has no image yet
+ * All pages are requested at once (cover first) and the image scheduler decides how many
+ * run in parallel, so pages may finish out of order. A page whose image fails is reported
+ * with a null image and the others carry on.
+ * The story (text, characters, photo analysis) and then each finished page are checkpointed
+ * so a reload can resume; the checkpoint is removed once every page is done or the user cancels.
+ * Aborting `signal` cancels in-flight requests, drops queued ones and rejects with an AbortError.
+ * @param {Object} story - Story with pages to illustrate
+ * @param {Object} options - { signal: AbortSignal, onPageComplete(pageNumber, imageUrl, isComplete, provider, usedReferenceSheet) }
+ */
+export async function illustrateStory(story, options = {}) {
+    const { signal = null, onPageComplete } = options;
+    const pending = story.pages.filter(page => !page.image);
+    let completedImages = 0;
+
+    const illustratePage = async (page) => {
+        let imageUrl = null;
+        let provider = null;
+        let usedReferenceSheet = false;
+        try {
+            ({ imageUrl, provider, usedReferenceSheet } = await generateIllustration(story, page, { signal }));
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            console.warn(`${page.isCover ? 'Cover' : `Page ${page.pageNumber}`} image failed:`, error.message);
+        }
+
+        // Don't report a result that arrived just as the user cancelled
+        throwIfAborted(signal);
+
+        completedImages++;
+        onPageComplete(page.pageNumber, imageUrl, completedImages === pending.length, provider, usedReferenceSheet);
+        await checkpointPageImage(story.id, page.pageNumber, imageUrl, provider, usedReferenceSheet);
+    };
+
+    try {
+        await saveGenerationCheckpoint(story);
+
+        // Wait for every page to settle, then report the first cancellation (if any)
+        const results = await Promise.allSettled(pending.map(illustratePage));
+        const failure = results.find(result => result.status === 'rejected');
+        if (failure) throw failure.reason;
+    } catch (error) {
+        if (isAbortError(error)) {
+            logger.info('IMAGE-GEN', 'Story illustration cancelled', {
+                storyId: story.id,
+                completed: completedImages,
+                total: pending.length
+            });
+            await clearGenerationCheckpoint(story.id);
+        }
+        throw error;
+    }
+
+    await clearGenerationCheckpoint(story.id);
+}
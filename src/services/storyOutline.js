@@ -0,0 +1,89 @@
+// Story Outline
+// Outline-first generation: the model first plans the book (title, character bible,
+// locations and one beat per page), the parent reviews and tweaks that plan, and only
+// then are the page text and image prompts written - following the approved outline.
+import { buildPacingRules } from './bookFormats';
+import { buildLanguageRules } from './languages';
+import { buildCoStarRules } from './heroes';
+import { buildCompanionRules } from './companions';
+import { buildPreferenceRules } from './childProfiles';
+
+/**
+ * Prompt for the planning phase
+ * @param {Object} options
+ * @param {string} options.format - Book format id (sets the pacing the beats follow)
+ * @param {string} options.language - Language code for the title and beats (the story is written in it)
+ * @param {Object[]} options.coStars - Other real people starring with the child ([{ name, age }], heroes.js)
+ * @param {Object[]} options.companions - The child's pets and toys ([{ name, kind }], companions.js)
+ * @param {Object} options.preferences - The child's favourite things (childProfiles.js)
+ */
+export function buildOutlinePrompt(childName, theme, pageCount, childAge, { format = null, language = null, coStars = null, companions = null, preferences = null } = {}) {
+    const languageRules = buildLanguageRules(language, 'the title and every beat "summary"');
+    const coStarRules = buildCoStarRules(childName, coStars);
+    const companionRules = buildCompanionRules(childName, companions);
+    const preferenceRules = buildPreferenceRules(childName, preferences);
+
+    return `You are an award-winning children's book author planning a ${pageCount}-page storybook for a child named ${childName}${childAge ? ` who is ${childAge} years old` : ''}.
+
+STORY THEME: ${theme}
+
+Do NOT write the pages yet. Plan the book so a parent can review it first:
+- A clear arc: pages 1-2 set the scene, the middle builds the adventure, the last pages resolve it with a gentle lesson
+- One beat per page: 1-2 sentences saying what happens on that page
+- ${childName} wears ONE specific outfit throughout
+- A character bible: EVERY character (friends, animals, adults) with a detailed, fixed appearance
+- A few locations, each with consistent colors and key features
+
+${buildPacingRules(format, pageCount, childName)}${coStarRules ? `\n\n${coStarRules}` : ''}${companionRules ? `\n\n${companionRules}` : ''}${preferenceRules ? `\n\n${preferenceRules}` : ''}
+
+OUTPUT FORMAT (JSON):
+{
+    "title": "An evocative, memorable title (2-4 words, no character name)",
+    "characterOutfit": "Precise description of ${childName}'s outfit",
+    "characters": {
+        "${childName}": "The main character (will be described separately from uploaded photo)",
+        "characterName2": "DETAILED appearance: species/type, size, colors, distinctive features, clothing if any"
+    },
+    "locations": {
+        "locationName1": "Vivid description: colors, key features, atmosphere"
+    },
+    "beats": [
+        {
+            "pageNumber": 1,
+            "summary": "What happens on this page (1-2 sentences)",
+            "location": "locationName1",
+            "charactersPresent": ["${childName}"]
+        }
+        ... (${pageCount} beats)
+    ]
+}${languageRules ? `\n\n${languageRules}` : ''}`;
+}
+
+/**
+ * Extra instructions appended to the story prompt when writing from an approved outline
+ */
+export function buildOutlineInstructions(outline) {
+    return `APPROVED OUTLINE - FOLLOW IT EXACTLY:
+The parent has reviewed and approved this plan. Write exactly one page per beat, in order.
+- Use this title, outfit, character bible and locations word for word in your JSON
+- Each page's "location" and "charactersPresent" must match its beat
+- Do not add characters or locations that are not in the outline
+
+${JSON.stringify(outline, null, 2)}`;
+}
+
+/**
+ * Make the approved outline win over anything the model changed while writing
+ * (title, outfit, character and location descriptions)
+ */
+export function applyOutline(storyContent, outline) {
+    if (!storyContent || typeof storyContent !== 'object') return storyContent;
+
+    return {
+        ...storyContent,
+        title: outline.title,
+        characterOutfit: outline.characterOutfit,
+        characters: { ...storyContent.characters, ...outline.characters },
+        locations: { ...storyContent.locations, ...outline.locations }
+    };
+}
@@ -0,0 +1,136 @@
+// Story Schema
+// A story keeps everything it was generated from (prompt, age, models, photo
+// analysis, outfit, locations, characters and per-page prompts) so it can later be
+// regenerated, edited or audited. Older stories are upgraded with defaults.
+import logger from '../utils/logger';
+import { DEFAULT_FORMAT } from './bookFormats';
+import { DEFAULT_LANGUAGE } from './languages';
+import { DEFAULT_ART_STYLE } from './artStyles';
+
+/**
+ * Current story schema version
+ * - 1: original shape (title, childName, pages with text/image) - no schemaVersion field
+ * - 2: full generation context on the story and on every page
+ * - 3: provider that drew each page (page.provider)
+ * - 4: approved outline for outline-first stories (outline)
+ * - 5: book format (format)
+ * - 6: reading level (readingLevel)
+ * - 7: story language (language)
+ * - 8: bilingual books (secondaryLanguage, page.secondaryText)
+ * - 9: co-stars (coStars)
+ * - 10: pets and toys (companions)
+ * - 11: child profile the book was made for (profileId)
+ * - 12: art style (artStyle)
+ * - 13: character reference sheet (referenceSheet, page.usedReferenceSheet)
+ */
+export const STORY_SCHEMA_VERSION = 13;
+
+/**
+ * Default generation metadata (unknown for stories made before it was recorded)
+ */
+function defaultGeneration() {
+    return {
+        provider: null,
+        textModel: null,
+        imageModel: null,
+        analysisProvider: null,
+        generatedAt: null
+    };
+}
+
+/**
+ * Fill in page-level generation fields
+ */
+function upgradePage(page) {
+    const isCover = page.isCover ?? page.pageNumber === 0;
+
+    return {
+        ...page,
+        pageNumber: page.pageNumber,
+        text: page.text ?? '',
+        secondaryText: page.secondaryText ?? null,
+        image: page.image ?? null,
+        isCover,
+        imagePrompt: page.imagePrompt ?? null,
+        location: page.location ?? null,
+        charactersPresent: page.charactersPresent ?? [],
+        provider: page.provider ?? null,
+        usedReferenceSheet: page.usedReferenceSheet ?? false
+    };
+}
+
+/**
+ * Build a new story in the current schema
+ * @param {Object} fields - Story fields; anything missing gets its default
+ */
+export function createStory(fields) {
+    return upgradeStory({
+        id: Date.now().toString(),
+        createdAt: new Date().toISOString(),
+        saved: false,
+        ...fields,
+        schemaVersion: STORY_SCHEMA_VERSION
+    });
+}
+
+/**
+ * Upgrade a story from any older schema version to the current one
+ * Missing fields are filled with defaults; existing values are never overwritten.
+ * Stories from a newer version of the app are returned unchanged.
+ */
+export function upgradeStory(story) {
+    if (!story) return story;
+
+    const fromVersion = story.schemaVersion || 1;
+    if (fromVersion > STORY_SCHEMA_VERSION) {
+        logger.warn('SCHEMA', 'Story was saved by a newer version of the app', {
+            storyId: story.id,
+            schemaVersion: fromVersion
+        });
+        return story;
+    }
+
+    const upgraded = {
+        ...story,
+        schemaVersion: STORY_SCHEMA_VERSION,
+        title: story.title ?? 'Untitled Story',
+        childName: story.childName ?? '',
+        childAge: story.childAge ?? null,
+        profileId: story.profileId ?? null,
+        storyPrompt: story.storyPrompt ?? null,
+        length: story.length ?? null,
+        format: story.format ?? DEFAULT_FORMAT,
+        readingLevel: story.readingLevel ?? null,
+        language: story.language ?? DEFAULT_LANGUAGE,
+        secondaryLanguage: story.secondaryLanguage ?? null,
+        artStyle: story.artStyle ?? DEFAULT_ART_STYLE,
+        heroPhoto: story.heroPhoto ?? null,
+        referenceSheet: story.referenceSheet ?? null,
+        characterDescription: story.characterDescription ?? null,
+        coStars: story.coStars ?? [],
+        companions: story.companions ?? [],
+        characterOutfit: story.characterOutfit ?? null,
+        characters: story.characters ?? {},
+        locations: story.locations ?? {},
+        outline: story.outline ?? null,
+        generation: { ...defaultGeneration(), ...story.generation },
+        pages: (story.pages || []).map(upgradePage)
+    };
+
+    if (fromVersion < STORY_SCHEMA_VERSION) {
+        logger.debug('SCHEMA', 'Upgraded story', {
+            storyId: story.id,
+            from: fromVersion,
+            to: STORY_SCHEMA_VERSION
+        });
+    }
+
+    return upgraded;
+}
+
+/**
+ * Whether a stored story needs upgrading to the current schema
+ */
+export function needsUpgrade(story) {
+    return (story?.schemaVersion || 1) < STORY_SCHEMA_VERSION;
+}
@@ -0,0 +1,174 @@
+// Story Validator
+// Checks the story (and outline) JSON returned by the model against the format the
+// prompts ask for, and builds the prompt that asks the model to repair a story.
+import { getLanguage } from './languages';
+import { joinNames } from './heroes';
+
+/**
+ * Case-insensitive lookup set for the keys of a name -> description map
+ */
+function keySet(map) {
+    return new Set(Object.keys(map || {}).map(key => key.trim().toLowerCase()));
+}
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check the fields shared by stories and outlines: title, outfit, character and location maps
+ */
+function checkBible(story, issues) {
+    if (!isNonEmptyString(story.title)) issues.push('"title" is missing');
+    if (!isNonEmptyString(story.characterOutfit)) issues.push('"characterOutfit" is missing');
+    if (!isPlainObject(story.characters)) issues.push('"characters" must be an object of name -> appearance');
+    if (!isPlainObject(story.locations)) issues.push('"locations" must be an object of name -> description');
+}
+
+/**
+ * Check a page's (or beat's) number, location and characters against the bible
+ */
+function checkPageRefs(page, index, { pageCount, characterNames, locationNames }, issues) {
+    const label = `Page ${index + 1}`;
+
+    if (page.pageNumber !== index + 1) {
+        issues.push(`${label} has pageNumber ${JSON.stringify(page.pageNumber)} (pages must be numbered 1 to ${pageCount} in order)`);
+    }
+
+    if (!isNonEmptyString(page.location)) {
+        issues.push(`${label} has no "location"`);
+    } else if (!locationNames.has(page.location.trim().toLowerCase())) {
+        issues.push(`${label} uses location "${page.location}", which is not defined in "locations"`);
+    }
+
+    if (!Array.isArray(page.charactersPresent)) {
+        issues.push(`${label} has no "charactersPresent" list`);
+    } else {
+        page.charactersPresent
+            .filter(name => !isNonEmptyString(name) || !characterNames.has(name.trim().toLowerCase()))
+            .forEach(name => issues.push(`${label} includes character "${name}", who is not defined in "characters"`));
+    }
+}
+
+/**
+ * Lookup sets for page references (the main character, co-stars and companions are described
+ * from their photos, so they may be left out of "characters")
+ */
+function referenceSets(story, childName, pageCount, photoNames = []) {
+    const characterNames = keySet(story.characters);
+    for (const name of [childName, ...photoNames]) {
+        characterNames.add(String(name || '').trim().toLowerCase());
+    }
+    return { pageCount, characterNames, locationNames: keySet(story.locations) };
+}
+
+/**
+ * Validate generated story content
+ * @param {Object} story - Parsed model output
+ * @param {Object} expected - { childName, pageCount, secondaryLanguage, coStarNames, companionNames } -
+ *   with a secondary language (bilingual book) every page also needs its "secondaryText"
+ * @returns {string[]} Problems found, in plain words (empty when the story is valid)
+ */
+export function validateStoryContent(story, expected) {
+    const { childName, pageCount, secondaryLanguage, coStarNames = [], companionNames = [] } = expected;
+
+    if (!isPlainObject(story)) {
+        return ['The response is not a JSON object'];
+    }
+
+    const issues = [];
+    checkBible(story, issues);
+
+    if (!Array.isArray(story.pages)) {
+        issues.push('"pages" is missing');
+        return issues;
+    }
+
+    if (story.pages.length !== pageCount) {
+        issues.push(`Expected exactly ${pageCount} pages but got ${story.pages.length}`);
+    }
+
+    const refs = referenceSets(story, childName, pageCount, [...coStarNames, ...companionNames]);
+
+    story.pages.forEach((page, index) => {
+        const label = `Page ${index + 1}`;
+
+        if (!isPlainObject(page)) {
+            issues.push(`${label} is not an object`);
+            return;
+        }
+        if (!isNonEmptyString(page.text)) issues.push(`${label} has no "text"`);
+        if (secondaryLanguage && !isNonEmptyString(page.secondaryText)) issues.push(`${label} has no "secondaryText"`);
+        if (!isNonEmptyString(page.imagePrompt)) issues.push(`${label} has no "imagePrompt"`);
+        checkPageRefs(page, index, refs, issues);
+    });
+
+    return issues;
+}
+
+/**
+ * Validate a story outline (planning phase of outline-first generation)
+ * @param {Object} outline - Parsed model output, or the parent's edited outline
+ * @param {Object} expected - { childName, pageCount, coStarNames, companionNames }
+ * @returns {string[]} Problems found (empty when the outline is valid)
+ */
+export function validateStoryOutline(outline, expected) {
+    const { childName, pageCount, coStarNames = [], companionNames = [] } = expected;
+
+    if (!isPlainObject(outline)) {
+        return ['The response is not a JSON object'];
+    }
+
+    const issues = [];
+    checkBible(outline, issues);
+
+    if (!Array.isArray(outline.beats)) {
+        issues.push('"beats" is missing');
+        return issues;
+    }
+
+    if (outline.beats.length !== pageCount) {
+        issues.push(`Expected exactly ${pageCount} beats but got ${outline.beats.length}`);
+    }
+
+    const refs = referenceSets(outline, childName, pageCount, [...coStarNames, ...companionNames]);
+
+    outline.beats.forEach((beat, index) => {
+        if (!isPlainObject(beat)) {
+            issues.push(`Page ${index + 1} is not an object`);
+            return;
+        }
+        if (!isNonEmptyString(beat.summary)) issues.push(`Page ${index + 1} has no "summary"`);
+        checkPageRefs(beat, index, refs, issues);
+    });
+
+    return issues;
+}
+
+/**
+ * Prompt asking the model to fix the listed problems and return the whole story again
+ * @param {Object} story - The invalid story
+ * @param {string[]} issues - From validateStoryContent
+ * @param {Object} expected - { childName, pageCount, secondaryLanguage, coStarNames, companionNames }
+ */
+export function buildRepairPrompt(story, issues, expected) {
+    const { childName, pageCount, secondaryLanguage, coStarNames = [], companionNames = [] } = expected;
+
+    return `The JSON below is a children's storybook, but it does not match the required format.
+
+PROBLEMS TO FIX:
+${issues.map(issue => `- ${issue}`).join('\n')}
+
+REQUIRED FORMAT:
+- "title", "characterOutfit", "characters" (name -> detailed appearance), "locations" (name -> description), "pages"
+- Exactly ${pageCount} pages, with "pageNumber" 1 to ${pageCount} in order
+- Every page has "text", "location", "charactersPresent" and "imagePrompt"${secondaryLanguage ? `
+- Every page also has "secondaryText": the same page in ${getLanguage(secondaryLanguage).label}` : ''}
+- Every page's "location" is a key of "locations"
+- Every name in "charactersPresent" is a key of "characters" (the main character is "${childName}"${coStarNames.length ? `, starring alongside ${joinNames(coStarNames.map(name => `"${name}"`))}` : ''}${companionNames.length ? `, with their own ${joinNames(companionNames.map(name => `"${name}"`))}` : ''})
+
+Fix only these problems. Keep the title, text and descriptions unchanged wherever they are not part of a problem;
+add any missing character or location with a detailed description. Respond with the complete corrected JSON only.
+
+STORY JSON:
+${JSON.stringify(story, null, 2)}`;
+}
@@ -0,0 +1,38 @@
+// Abort Helpers
+// Shared handling for cancelling in-flight generation via AbortSignal
+
+/**
+ * Whether an error came from an aborted request or operation
+ */
+export function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+/**
+ * Throw the signal's abort reason if it has been aborted
+ */
+export function throwIfAborted(signal) {
+    if (signal?.aborted) {
+        throw signal.reason ?? new DOMException('The operation was aborted.', 'AbortError');
+    }
+}
+
+/**
+ * Wait for `ms`, rejecting early with an AbortError if the signal is aborted
+ */
+export function sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        throwIfAborted(signal);
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason ?? new DOMException('The operation was aborted.', 'AbortError'));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
@@ -0,0 +1,65 @@
+// Edit History
+// Immutable undo/redo stack for in-place story edits
+
+const MAX_HISTORY = 100;
+
+// Keystrokes in the same field closer together than this are one undo step
+const COALESCE_MS = 1000;
+
+/**
+ * Start a history with its initial value
+ */
+export function createHistory(present) {
+    return { past: [], present, future: [], lastKey: null, lastChangeAt: 0 };
+}
+
+/**
+ * Record a new value
+ * Consecutive changes to the same field (`key`) in quick succession replace the
+ * current step instead of adding one, so undo works per word burst rather than per keystroke.
+ */
+export function recordChange(history, present, key = null) {
+    const now = Date.now();
+    const coalesce = key !== null
+        && key === history.lastKey
+        && now - history.lastChangeAt < COALESCE_MS
+        && history.past.length > 0;
+
+    return {
+        past: coalesce ? history.past : [...history.past, history.present].slice(-MAX_HISTORY),
+        present,
+        future: [],
+        lastKey: key,
+        lastChangeAt: now
+    };
+}
+
+/**
+ * Step back one change (no-op if there is nothing to undo)
+ */
+export function undo(history) {
+    if (history.past.length === 0) return history;
+
+    return {
+        past: history.past.slice(0, -1),
+        present: history.past[history.past.length - 1],
+        future: [history.present, ...history.future],
+        lastKey: null,
+        lastChangeAt: 0
+    };
+}
+
+/**
+ * Re-apply the last undone change (no-op if there is nothing to redo)
+ */
+export function redo(history) {
+    if (history.future.length === 0) return history;
+
+    return {
+        past: [...history.past, history.present],
+        present: history.future[0],
+        future: history.future.slice(1),
+        lastKey: null,
+        lastChangeAt: 0
+    };
+}
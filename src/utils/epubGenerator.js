@@ -3,6 +3,8 @@
 
 import JSZip from 'jszip';
 import { saveAs } from 'file-saver';
+import { getBookFormat } from '../services/bookFormats';
+import { getLanguage, getBookString } from '../services/languages';
 
 /**
  * Generate and download an EPUB file from a story
@@ -80,10 +82,13 @@ export async function generateEPUB(story) {
     const titlePageHtml = generateTitlePage(story, coverPage);
     oebps.file('title.xhtml', titlePageHtml);
 
-    // Story pages (excluding cover)
+    // Story pages (excluding cover), styled for the book format's layout
+    const { layout } = getBookFormat(story.format);
+    const language = getLanguage(story.language);
+    const secondaryLanguage = story.secondaryLanguage ? getLanguage(story.secondaryLanguage) : null;
     for (let i = 0; i < storyPages.length; i++) {
         const page = storyPages[i];
-        const pageHtml = generateStoryPage(page, i + 1, story.title);
+        const pageHtml = generateStoryPage(page, i + 1, story.title, layout, language, secondaryLanguage);
         oebps.file(`page${i + 1}.xhtml`, pageHtml);
     }
 
@@ -113,13 +118,16 @@ function generateContentOpf(story, imageManifest = [], coverPage = null) {
         if (coverItem) coverImageId = coverItem.id;
     }
 
+    const language = getLanguage(story.language);
+
     return `<?xml version="1.0" encoding="UTF-8"?>
 <package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="bookid">
     <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
         <dc:identifier id="bookid">urn:uuid:${generateUUID()}</dc:identifier>
         <dc:title>${escapeXml(story.title)}</dc:title>
         <dc:creator>StoryBook Magic</dc:creator>
-        <dc:language>en</dc:language>
+        <dc:language>${language.code}</dc:language>
+        ${story.secondaryLanguage ? `<dc:language>${getLanguage(story.secondaryLanguage).code}</dc:language>` : ''}
         <dc:date>${new Date().toISOString().split('T')[0]}</dc:date>
         <meta property="dcterms:modified">${new Date().toISOString().split('.')[0]}Z</meta>
         ${coverImageId ? `<meta name="cover" content="${coverImageId}" />` : ''}
@@ -135,7 +143,7 @@ function generateContentOpf(story, imageManifest = [], coverPage = null) {
         `<item id="${img.id}" href="${img.href}" media-type="${img.mediaType}" ${img.id === coverImageId ? 'properties="cover-image"' : ''}/>`
     ).join('\n        ')}
     </manifest>
-    <spine toc="ncx">
+    <spine toc="ncx" page-progression-direction="${language.dir}">
         <itemref idref="title"/>
         ${pages.map((_, i) => `<itemref idref="page${i + 1}"/>`).join('\n        ')}
     </spine>
@@ -148,8 +156,10 @@ function generateTocNcx(story, storyPages = []) {
         storyPages = story.pages.filter(p => !p.isCover);
     }
 
+    const language = getLanguage(story.language);
+
     return `<?xml version="1.0" encoding="UTF-8"?>
-<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1" xml:lang="${language.code}">
     <head>
         <meta name="dtb:uid" content="urn:uuid:${generateUUID()}"/>
         <meta name="dtb:depth" content="1"/>
@@ -161,12 +171,12 @@ function generateTocNcx(story, storyPages = []) {
     </docTitle>
     <navMap>
         <navPoint id="title" playOrder="1">
-            <navLabel><text>Title Page</text></navLabel>
+            <navLabel><text>${escapeXml(getBookString(language.code, 'titlePage'))}</text></navLabel>
             <content src="title.xhtml"/>
         </navPoint>
         ${storyPages.map((page, i) => `
         <navPoint id="page${i + 1}" playOrder="${i + 2}">
-            <navLabel><text>Page ${i + 1}</text></navLabel>
+            <navLabel><text>${escapeXml(getBookString(language.code, 'page', { number: i + 1 }))}</text></navLabel>
             <content src="page${i + 1}.xhtml"/>
         </navPoint>`).join('')}
     </navMap>
@@ -225,6 +235,32 @@ h1, h2, h3 {
     margin-top: 2em;
 }
 
+.layout-caption .page-text {
+    font-size: 1.6em;
+    font-weight: bold;
+}
+
+.layout-chapter .page-image {
+    max-width: 60%;
+}
+
+.layout-chapter .page-text {
+    text-align: start;
+    margin: 1em;
+}
+
+.page-text.secondary-text {
+    font-size: 0.95em;
+    color: #3f4a7a;
+    border-top: 1px dashed #b8bfdc;
+    padding-top: 1em;
+}
+
+.layout-caption .page-text.secondary-text {
+    font-size: 1.2em;
+    font-weight: normal;
+}
+
 .cover-image-container {
     margin-bottom: 2em;
     text-align: center;
@@ -241,11 +277,12 @@ h1, h2, h3 {
 }
 
 function generateTitlePage(story, coverPage = null) {
+    const language = getLanguage(story.language);
     const coverImageHtml = coverPage && (coverPage.imageRef || coverPage.image) ?
         `<div class="cover-image-container"><img src="${coverPage.imageRef || coverPage.image}" alt="Cover Illustration" class="cover-image" /></div>` : '';
 
     return `<?xml version="1.0" encoding="UTF-8"?>
-<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${language.code}" lang="${language.code}" dir="${language.dir}">
 <head>
     <title>${escapeXml(story.title)}</title>
     <link rel="stylesheet" type="text/css" href="styles.css"/>
@@ -254,29 +291,38 @@ function generateTitlePage(story, coverPage = null) {
     <div class="title-page">
         ${coverImageHtml}
         <h1>${escapeXml(story.title)}</h1>
-        <p style="font-size: 1.5em; color: #555; margin-top: 0.5em;">Starring ${escapeXml(story.childName)}</p>
+        <p style="font-size: 1.5em; color: #555; margin-top: 0.5em;">${escapeXml(getBookString(language.code, 'starring', { name: story.childName }))}</p>
     </div>
 </body>
 </html>`;
 }
 
-function generateStoryPage(page, pageNum, storyTitle) {
+/**
+ * Bilingual books (`secondaryLanguage` set) put the second language under the first,
+ * marked with its own language and direction
+ */
+function generateStoryPage(page, pageNum, storyTitle, layout, language, secondaryLanguage = null) {
+    const pageLabel = escapeXml(getBookString(language.code, 'page', { number: pageNum }));
+
     // Use imageRef (file path) if available, otherwise fall back to data URL
     const imageSrc = page.imageRef || page.image;
     const imageHtml = imageSrc ?
-        `<img class="page-image" src="${imageSrc}" alt="Page ${pageNum} illustration"/>` : '';
+        `<img class="page-image" src="${imageSrc}" alt="${pageLabel}"/>` : '';
+    const secondaryHtml = secondaryLanguage && page.secondaryText ?
+        `<p class="page-text secondary-text" xml:lang="${secondaryLanguage.code}" lang="${secondaryLanguage.code}" dir="${secondaryLanguage.dir}">${escapeXml(page.secondaryText).replace(/\n/g, '<br/>')}</p>` : '';
 
     return `<?xml version="1.0" encoding="UTF-8"?>
-<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${language.code}" lang="${language.code}" dir="${language.dir}">
 <head>
-    <title>${escapeXml(storyTitle)} - Page ${pageNum}</title>
+    <title>${escapeXml(storyTitle)} - ${pageLabel}</title>
     <link rel="stylesheet" type="text/css" href="styles.css"/>
 </head>
 <body>
-    <div class="story-page">
+    <div class="story-page layout-${layout}">
         ${imageHtml}
-        <p class="page-text">${escapeXml(page.text)}</p>
-        <div class="page-number">Page ${pageNum}</div>
+        <p class="page-text">${escapeXml(page.text).replace(/\n/g, '<br/>')}</p>
+        ${secondaryHtml}
+        <div class="page-number">${pageLabel}</div>
     </div>
 </body>
 </html>`;
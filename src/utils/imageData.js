@@ -0,0 +1,60 @@
+// Image Data Helpers
+// Convert between data URLs (what the AI APIs return) and Blobs (what IndexedDB stores)
+
+const MAX_PHOTO_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Check whether a value is a base64 data URL
+ */
+export function isDataUrl(value) {
+    return typeof value === 'string' && value.startsWith('data:');
+}
+
+/**
+ * Convert a base64 data URL to a Blob
+ */
+export function dataUrlToBlob(dataUrl) {
+    const [header, data = ''] = dataUrl.split(',');
+    const mimeType = header.match(/data:([^;,]+)/)?.[1] || 'application/octet-stream';
+
+    if (!header.includes(';base64')) {
+        return new Blob([decodeURIComponent(data)], { type: mimeType });
+    }
+
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mimeType });
+}
+
+/**
+ * Convert a Blob to a base64 data URL
+ */
+export function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Why an uploaded photo can't be used, or null if it can
+ */
+export function checkPhotoFile(file) {
+    if (!file.type.startsWith('image/')) return 'Please upload an image file';
+    if (file.size > MAX_PHOTO_BYTES) return 'File size must be less than 10MB';
+    return null;
+}
+
+/**
+ * File extension for an image MIME type (image/jpeg -> jpg)
+ */
+export function extensionForMimeType(mimeType) {
+    const subtype = (mimeType || '').split('/')[1] || 'png';
+    if (subtype === 'jpeg') return 'jpg';
+    return subtype.replace(/\+.*$/, '');
+}
@@ -0,0 +1,315 @@
+// Library Backup & Restore
+// Packs every saved story (metadata, text, prompts, images) into one versioned zip
+
+import JSZip from 'jszip';
+import { saveAs } from 'file-saver';
+import { getSavedStories, getStoryImages, getStoryRecord, restoreStory, isStoryImageField } from '../services/storageService';
+import { upgradeStory } from '../services/storySchema';
+import { extensionForMimeType } from './imageData';
+import logger from './logger';
+
+export const LIBRARY_ARCHIVE_FORMAT = 'storybook-magic-library';
+export const LIBRARY_ARCHIVE_VERSION = 1;
+
+const MANIFEST_FILE = 'manifest.json';
+
+const MIME_TYPES_BY_EXTENSION = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp',
+    gif: 'image/gif'
+};
+
+/**
+ * Archive layout (version 1):
+ *
+ *   manifest.json                       { format, version, exportedAt, stories: [{ id, title, path }] }
+ *   stories/<id>/story.json             story record; pages with an image carry `imageFile`,
+ *                                       story-level images are listed in `imageFiles`
+ *   stories/<id>/images/<page>.<ext>    page image (cover is page 0)
+ *   stories/<id>/images/<field>.<ext>   story-level image (e.g. heroPhoto, referenceSheet, coStars.0.photo)
+ */
+function storyFolder(storyId) {
+    return `stories/${String(storyId).replace(/[^a-z0-9_-]/gi, '_')}/`;
+}
+
+/**
+ * Export the whole library and trigger a download
+ * @returns {Object} { storyCount, imageCount }
+ */
+export async function exportLibrary() {
+    const zip = new JSZip();
+    const stories = await getSavedStories();
+    const manifestStories = [];
+    let imageCount = 0;
+
+    for (const story of stories) {
+        const folder = storyFolder(story.id);
+        const images = await getStoryImages(story.id);
+        const imageFiles = new Map();
+        const fieldImageFiles = {};
+
+        for (const { pageNumber, field, blob } of images) {
+            const filename = `images/${field || pageNumber}.${extensionForMimeType(blob.type)}`;
+            // Images are already compressed - don't waste time deflating them
+            zip.file(folder + filename, blob, { compression: 'STORE' });
+            if (field) {
+                fieldImageFiles[field] = filename;
+            } else {
+                imageFiles.set(pageNumber, filename);
+            }
+            imageCount++;
+        }
+
+        const record = {
+            ...story,
+            imageFiles: fieldImageFiles,
+            pages: story.pages.map(page => {
+                const archivedPage = { ...page };
+                delete archivedPage.hasStoredImage;
+                if (imageFiles.has(page.pageNumber)) {
+                    archivedPage.imageFile = imageFiles.get(page.pageNumber);
+                }
+                return archivedPage;
+            })
+        };
+
+        zip.file(folder + 'story.json', JSON.stringify(record, null, 2));
+        manifestStories.push({ id: story.id, title: story.title, path: folder });
+    }
+
+    zip.file(MANIFEST_FILE, JSON.stringify({
+        format: LIBRARY_ARCHIVE_FORMAT,
+        version: LIBRARY_ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        stories: manifestStories
+    }, null, 2));
+
+    const blob = await zip.generateAsync({
+        type: 'blob',
+        mimeType: 'application/zip',
+        compression: 'DEFLATE'
+    });
+
+    const date = new Date().toISOString().split('T')[0];
+    saveAs(blob, `storybook-library-${date}.zip`);
+
+    logger.info('ARCHIVE', 'Library exported', {
+        storyCount: manifestStories.length,
+        imageCount,
+        sizeKB: Math.round(blob.size / 1024)
+    });
+
+    return { storyCount: manifestStories.length, imageCount };
+}
+
+/**
+ * Read and validate the archive manifest
+ * Throws if the file is not a library archive this version can read.
+ */
+async function readManifest(zip) {
+    const manifestFile = zip.file(MANIFEST_FILE);
+    if (!manifestFile) {
+        throw new Error('This file is not a StoryBook Magic library backup (manifest.json is missing).');
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(await manifestFile.async('string'));
+    } catch {
+        throw new Error('The library backup is damaged (manifest.json is not valid JSON).');
+    }
+
+    if (manifest.format !== LIBRARY_ARCHIVE_FORMAT) {
+        throw new Error('This file is not a StoryBook Magic library backup.');
+    }
+    if (!Number.isInteger(manifest.version) || manifest.version > LIBRARY_ARCHIVE_VERSION) {
+        throw new Error(`This backup was made by a newer version of StoryBook Magic (format v${manifest.version}). Please update the app and try again.`);
+    }
+    if (!Array.isArray(manifest.stories)) {
+        throw new Error('The library backup is damaged (story list is missing).');
+    }
+
+    return manifest;
+}
+
+/**
+ * Read one story (record + image Blobs) from the archive
+ * Throws with a short reason if the story entry is invalid.
+ */
+async function readArchivedStory(zip, entry) {
+    const storyFile = entry?.path && zip.file(entry.path + 'story.json');
+    if (!storyFile) {
+        throw new Error('story.json is missing');
+    }
+
+    let archived;
+    try {
+        archived = JSON.parse(await storyFile.async('string'));
+    } catch {
+        throw new Error('story.json is not valid JSON');
+    }
+
+    if (!archived || typeof archived.id !== 'string' || !archived.id) throw new Error('story has no id');
+    if (archived.id !== entry.id) throw new Error('story id does not match the manifest');
+    if (typeof archived.title !== 'string') throw new Error('story has no title');
+    if (!Array.isArray(archived.pages)) throw new Error('story has no pages');
+
+    const images = [];
+    const pages = [];
+
+    const readImage = async (path, what) => {
+        const imageFile = zip.file(entry.path + path);
+        if (!imageFile) {
+            throw new Error(`${what} is missing`);
+        }
+        const extension = path.split('.').pop().toLowerCase();
+        const data = await imageFile.async('uint8array');
+        return new Blob([data], { type: MIME_TYPES_BY_EXTENSION[extension] || 'image/png' });
+    };
+
+    for (const [field, path] of Object.entries(archived.imageFiles || {})) {
+        if (!isStoryImageField(field)) continue;
+        images.push({ field, blob: await readImage(path, field) });
+    }
+
+    for (const page of archived.pages) {
+        if (!page || !Number.isInteger(page.pageNumber)) {
+            throw new Error('a page is missing its page number');
+        }
+
+        const storedPage = { ...page };
+        delete storedPage.imageFile;
+        storedPage.hasStoredImage = false;
+
+        if (page.imageFile) {
+            images.push({
+                pageNumber: page.pageNumber,
+                blob: await readImage(page.imageFile, `image for page ${page.pageNumber}`)
+            });
+            storedPage.image = null;
+            storedPage.hasStoredImage = true;
+        }
+
+        pages.push(storedPage);
+    }
+
+    // Backups made before the story schema existed are upgraded on the way in
+    const record = upgradeStory({ ...archived, pages });
+    delete record.imageFiles;
+
+    return { record, images };
+}
+
+/**
+ * JSON with object keys sorted, so records compare equal whatever order their fields were written in
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Size of each image, keyed by page number or story field
+ */
+function imageSizes(images) {
+    return stableStringify(Object.fromEntries(
+        images.map(({ pageNumber, field, blob }) => [field || `page ${pageNumber}`, blob.size])
+    ));
+}
+
+/**
+ * Whether an archived story matches the saved one: same record and the same images
+ * (an image added, removed or redrawn counts as a change)
+ */
+async function isSameStory(existing, record, images) {
+    if (stableStringify(existing) !== stableStringify(record)) return false;
+    return imageSizes(await getStoryImages(existing.id)) === imageSizes(images);
+}
+
+/**
+ * Import a library backup, merging stories by id
+ *
+ * Stories not in the library are added. A story whose id already exists is
+ * left untouched and reported as a conflict (or as unchanged if identical),
+ * unless its id is listed in `options.overwriteIds`.
+ *
+ * @param {File|Blob} file - The zip produced by exportLibrary()
+ * @param {Object} options - { overwriteIds: string[] }
+ * @returns {Object} { imported, replaced, unchanged, conflicts, invalid }
+ */
+export async function importLibrary(file, options = {}) {
+    const { overwriteIds = [] } = options;
+
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(file);
+    } catch {
+        throw new Error('This file is not a valid zip archive.');
+    }
+
+    const manifest = await readManifest(zip);
+    const result = { imported: [], replaced: [], unchanged: [], conflicts: [], invalid: [] };
+
+    for (const entry of manifest.stories) {
+        const label = { id: entry?.id, title: entry?.title || 'Untitled story' };
+
+        let story;
+        try {
+            story = await readArchivedStory(zip, entry);
+        } catch (error) {
+            result.invalid.push({ ...label, reason: error.message });
+            continue;
+        }
+
+        const { record, images } = story;
+        const existing = await getStoryRecord(record.id);
+
+        if (existing) {
+            if (await isSameStory(existing, record, images)) {
+                result.unchanged.push(label);
+                continue;
+            }
+            if (!overwriteIds.includes(record.id)) {
+                result.conflicts.push({
+                    ...label,
+                    existingTitle: existing.title,
+                    existingSavedAt: existing.savedAt,
+                    archivedSavedAt: record.savedAt
+                });
+                continue;
+            }
+        }
+
+        const saved = await restoreStory(record, images);
+        if (!saved.success) {
+            if (saved.error === 'QUOTA_EXCEEDED') {
+                throw new Error(saved.message);
+            }
+            result.invalid.push({ ...label, reason: saved.message });
+            continue;
+        }
+
+        (existing ? result.replaced : result.imported).push(label);
+    }
+
+    logger.info('ARCHIVE', 'Library import finished', {
+        archiveVersion: manifest.version,
+        imported: result.imported.length,
+        replaced: result.replaced.length,
+        unchanged: result.unchanged.length,
+        conflicts: result.conflicts.length,
+        invalid: result.invalid.length
+    });
+
+    return result;
+}
@@ -83,6 +83,8 @@ class Logger {
     error(context, message, error, data = {}) {
         const errorData = {
             ...data,
+            // Typed AI errors add their type, status, provider and retry-after
+            ...(typeof error?.toLogData === 'function' ? error.toLogData() : {}),
             errorMessage: error?.message || String(error),
             errorStack: error?.stack,
             errorName: error?.name
@@ -0,0 +1,159 @@
+// Partial JSON
+// Best-effort parsing of a JSON document that is still being streamed: strings, arrays
+// and objects that haven't been closed yet are cut off where the text stops, so the
+// part received so far can be shown before the rest arrives.
+
+const ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+const LITERAL = /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+
+/**
+ * Parse the beginning of a JSON document
+ * Anything before the first { or [ (e.g. a markdown code fence) is skipped. A number or
+ * literal at the very end is left out, since more digits may still be on the way.
+ * @param {string} text - JSON received so far (may stop anywhere)
+ * @returns {Object} { value, open } - the value so far (undefined if nothing usable yet) and
+ *   the Set of objects/arrays in it whose closing bracket hasn't arrived yet
+ */
+export function parsePartialJSON(text) {
+    const open = new Set();
+    let pos = text.search(/[{[]/);
+
+    if (pos === -1) return { value: undefined, open };
+
+    const skipWhitespace = () => {
+        while (pos < text.length && /\s/.test(text[pos])) pos++;
+    };
+
+    // Stop parsing: the text ended (or isn't JSON from here on)
+    const cutOff = () => {
+        pos = text.length;
+    };
+
+    const parseString = () => {
+        let result = '';
+        pos++; // opening quote
+
+        while (pos < text.length) {
+            const char = text[pos];
+
+            if (char === '"') {
+                pos++;
+                return { value: result, complete: true };
+            }
+
+            if (char === '\\') {
+                const escape = text[pos + 1];
+                if (escape === undefined) break;
+
+                if (escape === 'u') {
+                    const hex = text.slice(pos + 2, pos + 6);
+                    if (hex.length < 4) break;
+                    result += String.fromCharCode(parseInt(hex, 16));
+                    pos += 6;
+                } else {
+                    result += ESCAPES[escape] ?? escape;
+                    pos += 2;
+                }
+                continue;
+            }
+
+            result += char;
+            pos++;
+        }
+
+        cutOff();
+        return { value: result, complete: false };
+    };
+
+    const parseLiteral = () => {
+        LITERAL.lastIndex = pos;
+        const match = LITERAL.exec(text);
+
+        if (!match || LITERAL.lastIndex >= text.length) {
+            cutOff();
+            return undefined;
+        }
+
+        pos = LITERAL.lastIndex;
+        return JSON.parse(match[0]);
+    };
+
+    const parseArray = () => {
+        const array = [];
+        open.add(array);
+        pos++;
+
+        while (true) {
+            skipWhitespace();
+            if (pos >= text.length) return array;
+
+            if (text[pos] === ']') {
+                pos++;
+                open.delete(array);
+                return array;
+            }
+            if (text[pos] === ',') {
+                pos++;
+                continue;
+            }
+
+            const value = parseValue();
+            if (value !== undefined) array.push(value);
+        }
+    };
+
+    const parseObject = () => {
+        const object = {};
+        open.add(object);
+        pos++;
+
+        while (true) {
+            skipWhitespace();
+            if (pos >= text.length) return object;
+
+            if (text[pos] === '}') {
+                pos++;
+                open.delete(object);
+                return object;
+            }
+            if (text[pos] === ',') {
+                pos++;
+                continue;
+            }
+            if (text[pos] !== '"') {
+                cutOff();
+                return object;
+            }
+
+            const key = parseString();
+            skipWhitespace();
+            if (!key.complete || text[pos] !== ':') {
+                cutOff();
+                return object;
+            }
+            pos++;
+
+            const value = parseValue();
+            if (value !== undefined) object[key.value] = value;
+        }
+    };
+
+    const parseValue = () => {
+        skipWhitespace();
+        if (pos >= text.length) return undefined;
+
+        switch (text[pos]) {
+            case '{':
+                return parseObject();
+            case '[':
+                return parseArray();
+            case '"':
+                return parseString().value;
+            default:
+                return parseLiteral();
+        }
+    };
+
+    return { value: parseValue(), open };
+}
@@ -0,0 +1,463 @@
+// PDF Generator for Storybook
+// Creates a print-ready 8.5" x 8.5" picture book PDF entirely in the browser
+
+import { jsPDF } from 'jspdf';
+import { saveAs } from 'file-saver';
+import andikaRegularUrl from '@expo-google-fonts/andika/Andika_400Regular.ttf?url';
+import andikaBoldUrl from '@expo-google-fonts/andika/Andika_700Bold.ttf?url';
+import notoArabicRegularUrl from '@expo-google-fonts/noto-sans-arabic/400Regular/NotoSansArabic_400Regular.ttf?url';
+import notoArabicBoldUrl from '@expo-google-fonts/noto-sans-arabic/700Bold/NotoSansArabic_700Bold.ttf?url';
+import notoHebrewRegularUrl from '@expo-google-fonts/noto-sans-hebrew/400Regular/NotoSansHebrew_400Regular.ttf?url';
+import notoHebrewBoldUrl from '@expo-google-fonts/noto-sans-hebrew/700Bold/NotoSansHebrew_700Bold.ttf?url';
+import { isDataUrl, blobToDataUrl } from './imageData';
+import { getBookFormat } from '../services/bookFormats';
+import { getLanguage, getBookString } from '../services/languages';
+
+/**
+ * Print specification (inches)
+ * Pages are trim + bleed on every side; art runs to the bleed edge,
+ * text stays inside the safe area.
+ */
+export const PRINT_SPEC = {
+    trimSize: 8.5,
+    bleed: 0.125,
+    safeMargin: 0.5
+};
+
+const PAGE_SIZE = PRINT_SPEC.trimSize + PRINT_SPEC.bleed * 2;
+const POINTS_PER_INCH = 72;
+
+/**
+ * Fonts per script (see languages.js). Andika is designed for early readers and covers Latin
+ * and Cyrillic; Arabic and Hebrew use Noto Sans, which also has basic Latin for names.
+ */
+const ANDIKA = { name: 'Andika', regular: andikaRegularUrl, bold: andikaBoldUrl };
+const FONTS_BY_SCRIPT = {
+    latin: ANDIKA,
+    cyrillic: ANDIKA,
+    arabic: { name: 'NotoSansArabic', regular: notoArabicRegularUrl, bold: notoArabicBoldUrl },
+    hebrew: { name: 'NotoSansHebrew', regular: notoHebrewRegularUrl, bold: notoHebrewBoldUrl }
+};
+
+/**
+ * jsPDF text options for right-to-left text: lines are split in reading order, then
+ * reordered for display (Arabic letters are also joined by jsPDF's Arabic plugin)
+ */
+const RTL_TEXT = { isInputVisual: false, isOutputVisual: true, isInputRtl: true, isOutputRtl: false };
+
+/**
+ * Bilingual books: the second language is set under the first, at this share of its size
+ * and after a gap of this many of its lines
+ */
+const SECONDARY_TEXT_SCALE = 0.8;
+const TEXT_BLOCK_GAP = 0.8;
+
+/**
+ * Generate and download a print-ready PDF from a story
+ * Layout: cover, then per story page, depending on the book format -
+ * picture book: a spread (illustration left, text right); board book: one illustrated page
+ * with the text on a band; early chapter book: one page, illustration above the text.
+ * Right-to-left stories are set right-aligned and open right to left in PDF viewers.
+ * Bilingual stories set the second language under the first, smaller and in a softer color.
+ * @param {Object} story - The story object with title, pages, format, language, etc.
+ */
+export async function generatePDF(story) {
+    const doc = new jsPDF({
+        unit: 'in',
+        format: [PAGE_SIZE, PAGE_SIZE],
+        compress: true
+    });
+
+    const language = getLanguage(story.language);
+    const secondaryLanguage = story.secondaryLanguage ? getLanguage(story.secondaryLanguage) : null;
+    await embedFonts(doc, [language, secondaryLanguage].filter(Boolean).map(({ script }) => FONTS_BY_SCRIPT[script]));
+    doc.setLanguage(language.code);
+
+    const rtl = language.dir === 'rtl';
+    if (rtl) {
+        doc.viewerPreferences({ Direction: 'R2L' });
+    }
+
+    doc.setProperties({
+        title: story.title,
+        subject: `A personalized storybook starring ${story.childName}`,
+        author: 'StoryBook Magic',
+        creator: 'StoryBook Magic'
+    });
+
+    const pages = story.pages || [];
+    const coverPage = pages.find(p => p.isCover);
+    const storyPages = pages.filter(p => !p.isCover);
+
+    // Cover (first page already exists)
+    setPrintBoxes(doc);
+    await drawCover(doc, story, coverPage, rtl);
+
+    const { layout } = getBookFormat(story.format);
+    const primaryStyle = textStyle(language);
+    const secondaryStyle = secondaryLanguage ? textStyle(secondaryLanguage, true) : null;
+
+    // Interior pages
+    for (let i = 0; i < storyPages.length; i++) {
+        const page = storyPages[i];
+        const blocks = pageTextBlocks(page, primaryStyle, secondaryStyle);
+
+        doc.addPage([PAGE_SIZE, PAGE_SIZE]);
+        setPrintBoxes(doc);
+
+        if (layout === 'caption') {
+            await drawCaptionPage(doc, page, blocks, i);
+        } else if (layout === 'chapter') {
+            await drawChapterPage(doc, page, blocks, i + 1);
+        } else {
+            await drawIllustrationPage(doc, page, i);
+
+            doc.addPage([PAGE_SIZE, PAGE_SIZE]);
+            setPrintBoxes(doc);
+            drawTextPage(doc, blocks, i + 1);
+        }
+    }
+
+    const blob = doc.output('blob');
+    const filename = `${story.title.replace(/[^a-z0-9]/gi, '_')}.pdf`;
+    saveAs(blob, filename);
+}
+
+/**
+ * Embed the TTF fonts of the story's languages so the PDF prints the same everywhere
+ * (the first font set, the story language's, is selected)
+ */
+async function embedFonts(doc, fontSets) {
+    for (const fontSet of new Set(fontSets)) {
+        const fonts = [
+            { url: fontSet.regular, file: `${fontSet.name}-Regular.ttf`, style: 'normal' },
+            { url: fontSet.bold, file: `${fontSet.name}-Bold.ttf`, style: 'bold' }
+        ];
+
+        for (const font of fonts) {
+            const response = await fetch(font.url);
+            if (!response.ok) {
+                throw new Error(`Failed to load font ${font.file}`);
+            }
+            const dataUrl = await blobToDataUrl(await response.blob());
+            doc.addFileToVFS(font.file, dataUrl.split(',')[1]);
+            doc.addFont(font.file, fontSet.name, font.style);
+        }
+    }
+
+    doc.setFont(fontSets[0].name, 'normal');
+}
+
+/**
+ * Switch between the embedded font's 'normal' and 'bold' styles
+ */
+function setFontStyle(doc, style) {
+    doc.setFont(doc.getFont().fontName, style);
+}
+
+/**
+ * How one language's text is set: font, direction, size (relative to the page's text size),
+ * color and weight (null keeps the page's). A bilingual book's second language is the
+ * `secondary` style: smaller, softer and never bold.
+ */
+function textStyle(language, secondary = false) {
+    return {
+        font: FONTS_BY_SCRIPT[language.script].name,
+        rtl: language.dir === 'rtl',
+        scale: secondary ? SECONDARY_TEXT_SCALE : 1,
+        color: secondary ? [74, 85, 135] : [40, 40, 40],
+        weight: secondary ? 'normal' : null
+    };
+}
+
+/**
+ * A page's text as blocks to lay out: the story text, then the second language if the book has one
+ */
+function pageTextBlocks(page, primaryStyle, secondaryStyle) {
+    const blocks = [{ ...primaryStyle, text: page.text || '' }];
+    if (secondaryStyle && page.secondaryText) {
+        blocks.push({ ...secondaryStyle, text: page.secondaryText });
+    }
+    return blocks;
+}
+
+/**
+ * Record BleedBox and TrimBox on the current page so print shops know where to cut
+ */
+function setPrintBoxes(doc) {
+    const { pageContext } = doc.getCurrentPageInfo();
+    const full = PAGE_SIZE * POINTS_PER_INCH;
+    const bleed = PRINT_SPEC.bleed * POINTS_PER_INCH;
+
+    pageContext.bleedBox = { bottomLeftX: 0, bottomLeftY: 0, topRightX: full, topRightY: full };
+    pageContext.trimBox = {
+        bottomLeftX: bleed,
+        bottomLeftY: bleed,
+        topRightX: full - bleed,
+        topRightY: full - bleed
+    };
+}
+
+/**
+ * Safe area rectangle (inside trim by the safe margin)
+ */
+function safeArea() {
+    const inset = PRINT_SPEC.bleed + PRINT_SPEC.safeMargin;
+    return { x: inset, y: inset, width: PAGE_SIZE - inset * 2, height: PAGE_SIZE - inset * 2 };
+}
+
+/**
+ * Resolve a page image to a data URL jsPDF can embed
+ * Remote URLs are fetched; returns null if the image can't be loaded.
+ */
+async function loadImage(image) {
+    if (!image) return null;
+    if (isDataUrl(image)) return image;
+
+    try {
+        const response = await fetch(image);
+        if (!response.ok) return null;
+        return await blobToDataUrl(await response.blob());
+    } catch (error) {
+        console.warn('Failed to load image for PDF:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Draw an image scaled to cover the whole page including bleed (cropping overflow)
+ */
+function drawFullBleedImage(doc, dataUrl) {
+    const { width, height } = doc.getImageProperties(dataUrl);
+    const scale = Math.max(PAGE_SIZE / width, PAGE_SIZE / height);
+    const drawWidth = width * scale;
+    const drawHeight = height * scale;
+
+    doc.addImage(
+        dataUrl,
+        (PAGE_SIZE - drawWidth) / 2,
+        (PAGE_SIZE - drawHeight) / 2,
+        drawWidth,
+        drawHeight,
+        undefined,
+        'SLOW'
+    );
+}
+
+/**
+ * Draw an image scaled to fit inside a box (no cropping), centered horizontally
+ * @returns {number} Height drawn
+ */
+function drawContainedImage(doc, dataUrl, x, y, boxWidth, boxHeight) {
+    const { width, height } = doc.getImageProperties(dataUrl);
+    const scale = Math.min(boxWidth / width, boxHeight / height);
+
+    doc.addImage(dataUrl, x + (boxWidth - width * scale) / 2, y, width * scale, height * scale, undefined, 'SLOW');
+    return height * scale;
+}
+
+/**
+ * Soft themed background used when a page has no illustration
+ */
+function drawPlaceholder(doc, index, label) {
+    const hue = (index * 40 + 200) % 360;
+    doc.setFillColor(...hslToRgb(hue, 0.75, 0.8));
+    doc.rect(0, 0, PAGE_SIZE, PAGE_SIZE, 'F');
+
+    setFontStyle(doc, 'bold');
+    doc.setFontSize(20);
+    doc.setTextColor(255, 255, 255);
+    doc.text(label, PAGE_SIZE / 2, PAGE_SIZE / 2, { align: 'center', baseline: 'middle' });
+}
+
+async function drawCover(doc, story, coverPage, rtl) {
+    const image = await loadImage(coverPage?.image);
+    if (image) {
+        drawFullBleedImage(doc, image);
+    } else {
+        drawPlaceholder(doc, 0, '');
+    }
+
+    // Title band across the bottom of the safe area
+    const area = safeArea();
+    const bandHeight = 1.9;
+    const bandY = area.y + area.height - bandHeight;
+
+    doc.setGState(new doc.GState({ opacity: 0.82 }));
+    doc.setFillColor(27, 31, 59);
+    doc.roundedRect(area.x, bandY, area.width, bandHeight, 0.15, 0.15, 'F');
+    doc.setGState(new doc.GState({ opacity: 1 }));
+
+    setFontStyle(doc, 'bold');
+    doc.setTextColor(232, 197, 71);
+    const titleSize = fitFontSize(doc, story.title, area.width - 0.5, 1.0, 36, 20, 1.1);
+    doc.setFontSize(titleSize);
+    const titleLines = doc.splitTextToSize(story.title, area.width - 0.5);
+    doc.text(titleLines, PAGE_SIZE / 2, bandY + 0.3, { align: 'center', baseline: 'top', lineHeightFactor: 1.1, ...(rtl && RTL_TEXT) });
+
+    if (story.childName) {
+        setFontStyle(doc, 'normal');
+        doc.setFontSize(16);
+        doc.setTextColor(245, 237, 214);
+        const starring = getBookString(story.language, 'starring', { name: story.childName });
+        doc.text(starring, PAGE_SIZE / 2, bandY + bandHeight - 0.4, { align: 'center', baseline: 'middle', ...(rtl && RTL_TEXT) });
+    }
+}
+
+async function drawIllustrationPage(doc, page, index) {
+    const image = await loadImage(page.image);
+    if (image) {
+        drawFullBleedImage(doc, image);
+    } else {
+        drawPlaceholder(doc, index + 1, 'Illustration');
+    }
+}
+
+function drawTextPage(doc, blocks, pageNum) {
+    const area = safeArea();
+    const lineHeightFactor = 1.45;
+
+    // Warm paper background to the bleed edge
+    doc.setFillColor(255, 254, 248);
+    doc.rect(0, 0, PAGE_SIZE, PAGE_SIZE, 'F');
+
+    // Leave room for the page number at the bottom of the safe area
+    const textHeight = area.height - 0.6;
+
+    const layout = fitTextBlocks(doc, blocks, area.width, textHeight, 24, 12, lineHeightFactor, 'normal');
+    const startY = area.y + Math.max(0, (textHeight - layout.height) / 2);
+    drawTextBlocks(doc, layout, startY, lineHeightFactor, 'normal');
+
+    drawPageNumber(doc, pageNum);
+}
+
+/**
+ * Board book page: the illustration fills the page, with the text on a light band across the bottom
+ */
+async function drawCaptionPage(doc, page, blocks, index) {
+    await drawIllustrationPage(doc, page, index);
+
+    const area = safeArea();
+    const lineHeightFactor = 1.2;
+    // A bilingual band is taller to hold both languages
+    const bandHeight = blocks.length > 1 ? 2.4 : 1.6;
+    const bandY = area.y + area.height - bandHeight;
+    const textWidth = area.width - 0.5;
+
+    doc.setGState(new doc.GState({ opacity: 0.88 }));
+    doc.setFillColor(255, 254, 248);
+    doc.roundedRect(area.x, bandY, area.width, bandHeight, 0.15, 0.15, 'F');
+    doc.setGState(new doc.GState({ opacity: 1 }));
+
+    const layout = fitTextBlocks(doc, blocks, textWidth, bandHeight - 0.3, 40, 18, lineHeightFactor, 'bold');
+    drawTextBlocks(doc, layout, bandY + Math.max(0.15, (bandHeight - layout.height) / 2), lineHeightFactor, 'bold');
+}
+
+/**
+ * Early chapter book page: illustration across the top of the safe area, text below it
+ */
+async function drawChapterPage(doc, page, blocks, pageNum) {
+    const area = safeArea();
+    const lineHeightFactor = 1.4;
+
+    doc.setFillColor(255, 254, 248);
+    doc.rect(0, 0, PAGE_SIZE, PAGE_SIZE, 'F');
+
+    // Without an illustration the text simply gets the whole page
+    const image = await loadImage(page.image);
+    const imageHeight = image ? drawContainedImage(doc, image, area.x, area.y, area.width, area.height * 0.42) : 0;
+
+    const textTop = area.y + (imageHeight ? imageHeight + 0.25 : 0);
+    const textHeight = area.y + area.height - 0.6 - textTop;
+
+    // Chapter text is set flush to the reading edge: left, or right for right-to-left languages
+    const layout = fitTextBlocks(doc, blocks, area.width, textHeight, 16, 9, lineHeightFactor, 'normal');
+    drawTextBlocks(doc, layout, textTop, lineHeightFactor, 'normal', area);
+
+    drawPageNumber(doc, pageNum);
+}
+
+function drawPageNumber(doc, pageNum) {
+    const area = safeArea();
+
+    setFontStyle(doc, 'normal');
+    doc.setFontSize(11);
+    doc.setTextColor(120, 120, 120);
+    doc.text(String(pageNum), PAGE_SIZE / 2, area.y + area.height, { align: 'center', baseline: 'bottom' });
+}
+
+/**
+ * Largest font size (pt) between max and min at which text fits the box
+ */
+function fitFontSize(doc, text, width, height, maxSize, minSize, lineHeightFactor = 1.15) {
+    for (let size = maxSize; size > minSize; size--) {
+        doc.setFontSize(size);
+        const lines = doc.splitTextToSize(text || '', width);
+        if (lines.length * (size / POINTS_PER_INCH) * lineHeightFactor <= height) {
+            return size;
+        }
+    }
+    return minSize;
+}
+
+/**
+ * Set text blocks (see pageTextBlocks) at `fontSize`, one under the other
+ * @returns {Object} { blocks, height } - each block with its fontSize, lines and offset from the top
+ */
+function layoutTextBlocks(doc, blocks, fontSize, width, lineHeightFactor, style) {
+    let height = 0;
+    const laidOut = blocks.map((block, index) => {
+        const blockSize = Math.round(fontSize * block.scale);
+        const lineHeight = (blockSize / POINTS_PER_INCH) * lineHeightFactor;
+
+        doc.setFont(block.font, block.weight || style);
+        doc.setFontSize(blockSize);
+        const lines = doc.splitTextToSize(block.text, width);
+
+        const offset = height + (index > 0 ? lineHeight * TEXT_BLOCK_GAP : 0);
+        height = offset + lines.length * lineHeight;
+        return { ...block, fontSize: blockSize, lines, offset };
+    });
+
+    return { blocks: laidOut, height };
+}
+
+/**
+ * Lay out text blocks at the largest font size between max and min at which they all fit the box
+ */
+function fitTextBlocks(doc, blocks, width, height, maxSize, minSize, lineHeightFactor, style) {
+    let layout;
+    for (let size = maxSize; size >= minSize; size--) {
+        layout = layoutTextBlocks(doc, blocks, size, width, lineHeightFactor, style);
+        if (layout.height <= height) break;
+    }
+    return layout;
+}
+
+/**
+ * Draw laid-out text blocks from `top`, centered on the page - or, given a `box`, flush to
+ * each block's reading edge of it (left, or right for right-to-left text)
+ */
+function drawTextBlocks(doc, layout, top, lineHeightFactor, style, box = null) {
+    for (const block of layout.blocks) {
+        doc.setFont(block.font, block.weight || style);
+        doc.setFontSize(block.fontSize);
+        doc.setTextColor(...block.color);
+
+        const y = top + block.offset;
+        if (!box) {
+            doc.text(block.lines, PAGE_SIZE / 2, y, { align: 'center', baseline: 'top', lineHeightFactor, ...(block.rtl && RTL_TEXT) });
+        } else if (block.rtl) {
+            doc.text(block.lines, box.x + box.width, y, { align: 'right', baseline: 'top', lineHeightFactor, ...RTL_TEXT });
+        } else {
+            doc.text(block.lines, box.x, y, { baseline: 'top', lineHeightFactor });
+        }
+    }
+}
+
+function hslToRgb(h, s, l) {
+    const k = n => (n + h / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+    return [Math.round(f(0) * 255), Math.round(f(8) * 255), Math.round(f(4) * 255)];
+}
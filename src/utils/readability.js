@@ -0,0 +1,52 @@
+// Readability
+// Local, dependency-free text statistics and Flesch-Kincaid grade level, used to check
+// each page of a story against its reading level. Syllables are estimated with the
+// usual English vowel-group heuristic, which is close enough for short children's text.
+
+/**
+ * Estimate the syllables in one English word
+ */
+export function countSyllables(word) {
+    const cleaned = word.toLowerCase().replace(/[^a-z]/g, '');
+    if (!cleaned) return 0;
+    if (cleaned.length <= 3) return 1;
+
+    // Silent endings ("-es", "-ed", "-e") and a leading consonant "y" don't add a syllable
+    const trimmed = cleaned
+        .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '')
+        .replace(/^y/, '');
+    const vowelGroups = trimmed.match(/[aeiouy]{1,2}/g);
+
+    return Math.max(1, vowelGroups ? vowelGroups.length : 0);
+}
+
+/**
+ * Text statistics and Flesch-Kincaid grade level
+ * @param {string} text
+ * @returns {Object} { words, sentences, syllables, averageSentenceLength, longestSentence, gradeLevel }
+ */
+export function analyzeText(text) {
+    // A lowercase word after the punctuation continues the sentence ("Wow!" said Mia.)
+    const sentences = (text || '')
+        .split(/[.!?…]+["'”’)]*(?:\s+(?![a-z])|$)|\n+/)
+        .map(sentence => sentence.match(/[\p{L}\p{N}'’-]+/gu) || [])
+        .filter(words => words.length > 0);
+
+    const words = sentences.flat();
+    if (words.length === 0) {
+        return { words: 0, sentences: 0, syllables: 0, averageSentenceLength: 0, longestSentence: 0, gradeLevel: 0 };
+    }
+
+    const syllables = words.reduce((total, word) => total + countSyllables(word), 0);
+    const averageSentenceLength = words.length / sentences.length;
+    const gradeLevel = 0.39 * averageSentenceLength + 11.8 * (syllables / words.length) - 15.59;
+
+    return {
+        words: words.length,
+        sentences: sentences.length,
+        syllables,
+        averageSentenceLength: Math.round(averageSentenceLength * 10) / 10,
+        longestSentence: Math.max(...sentences.map(sentence => sentence.length)),
+        gradeLevel: Math.max(0, Math.round(gradeLevel * 10) / 10)
+    };
+}